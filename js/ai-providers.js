@@ -0,0 +1,346 @@
+/**
+ * @file ai-providers.js
+ * @description Pluggable AI provider layer. Every provider receives the conversation in the
+ * Gemini `contents` shape already used across the app ({ role, parts: [{ text } | { inlineData }] })
+ * and maps it to its own request format, so the analysis and advisor code stays provider-agnostic.
+ */
+
+// --- Provider Configuration ---
+const AI_PROVIDER_SETTINGS_KEY = 'aiProviderSettings';
+
+const AI_PROVIDERS = {
+    gemini: {
+        label: 'Google Gemini',
+        requiresApiKey: true,
+        defaultEndpoint: 'https://generativelanguage.googleapis.com/v1beta',
+        models: [
+            { value: 'gemini-2.5-flash-preview-05-20', label: 'Gemini 2.5 Flash (速度快)' },
+            { value: 'gemini-2.5-pro', label: 'Gemini 2.5 Pro (功能強)' },
+        ],
+        buildRequest(contents, { apiKey, model, endpoint, responseSchema, stream }) {
+            const body = { contents };
+            if (responseSchema) body.generationConfig = { responseMimeType: 'application/json', responseSchema };
+            return {
+                url: stream
+                    ? `${endpoint}/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`
+                    : `${endpoint}/models/${model}:generateContent?key=${apiKey}`,
+                headers: { 'Content-Type': 'application/json' },
+                body,
+            };
+        },
+        extractText(result) {
+            const candidate = result.candidates && result.candidates[0];
+            if (candidate && candidate.content && candidate.content.parts && candidate.content.parts.length > 0) {
+                return candidate.content.parts.map(part => part.text || '').join('');
+            }
+            if (result.promptFeedback) {
+                throw new Error(`AI 因安全設定而封鎖了回應。原因: ${result.promptFeedback.blockReason}`);
+            }
+            return null;
+        },
+        // Each SSE event carries a complete GenerateContentResponse holding only the new text.
+        extractStreamText(chunk) {
+            return this.extractText(chunk) || '';
+        },
+        extractError(body) {
+            return body && body.error ? body.error.message : null;
+        },
+        // Gemini reports how long to back off in a RetryInfo detail instead of a Retry-After header.
+        extractRetryDelay(body) {
+            const details = (body && body.error && body.error.details) || [];
+            const retryInfo = details.find(d => d.retryDelay);
+            return retryInfo ? parseFloat(retryInfo.retryDelay) : null;
+        },
+    },
+    openai: {
+        label: 'OpenAI 相容端點 (含 llama.cpp)',
+        requiresApiKey: false,
+        defaultEndpoint: 'https://api.openai.com/v1',
+        models: [
+            { value: 'gpt-4o-mini', label: 'GPT-4o mini' },
+            { value: 'gpt-4o', label: 'GPT-4o' },
+        ],
+        buildRequest(contents, { apiKey, model, endpoint, responseSchema, stream }) {
+            const messages = toChatMessages(contents).map(msg => ({
+                role: msg.role,
+                content: msg.images.length === 0 ? msg.text : [
+                    { type: 'text', text: msg.text },
+                    ...msg.images.map(img => ({ type: 'image_url', image_url: { url: `data:${img.mimeType};base64,${img.data}` } })),
+                ],
+            }));
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+            const body = { model, messages };
+            if (stream) body.stream = true;
+            // OpenAI-compatible servers only offer generic JSON mode, the schema itself stays in the prompt.
+            if (responseSchema) body.response_format = { type: 'json_object' };
+            return {
+                url: `${endpoint}/chat/completions`,
+                headers,
+                body,
+            };
+        },
+        extractText(result) {
+            const choice = result.choices && result.choices[0];
+            return choice && choice.message ? choice.message.content : null;
+        },
+        extractStreamText(chunk) {
+            const choice = chunk.choices && chunk.choices[0];
+            return (choice && choice.delta && choice.delta.content) || '';
+        },
+        extractError(body) {
+            return body && body.error ? (body.error.message || body.error) : null;
+        },
+    },
+    local: {
+        label: '本機模型伺服器 (Ollama)',
+        requiresApiKey: false,
+        defaultEndpoint: 'http://localhost:11434',
+        models: [
+            { value: 'llama3.2-vision', label: 'Llama 3.2 Vision' },
+            { value: 'qwen2.5vl', label: 'Qwen 2.5 VL' },
+        ],
+        buildRequest(contents, { model, endpoint, responseSchema, stream }) {
+            const messages = toChatMessages(contents).map(msg => {
+                const message = { role: msg.role, content: msg.text };
+                if (msg.images.length > 0) message.images = msg.images.map(img => img.data);
+                return message;
+            });
+            return {
+                url: `${endpoint}/api/chat`,
+                headers: { 'Content-Type': 'application/json' },
+                body: { model, messages, stream: Boolean(stream), ...(responseSchema ? { format: 'json' } : {}) },
+            };
+        },
+        extractText(result) {
+            return result.message ? result.message.content : null;
+        },
+        // Ollama streams newline-delimited JSON objects rather than SSE.
+        extractStreamText(chunk) {
+            return (chunk.message && chunk.message.content) || '';
+        },
+        extractError(body) {
+            return body ? body.error : null;
+        },
+    },
+};
+
+// --- Settings ---
+
+function getAIProviderSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(AI_PROVIDER_SETTINGS_KEY));
+        if (saved && AI_PROVIDERS[saved.provider]) return saved;
+    } catch (e) {
+        console.error("讀取 AI 服務設定失敗:", e);
+    }
+    return { provider: 'gemini', endpoint: '', model: '', customModel: '' };
+}
+
+function saveAIProviderSettings(settings) {
+    localStorage.setItem(AI_PROVIDER_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+function getActiveAIProvider() {
+    return AI_PROVIDERS[getAIProviderSettings().provider];
+}
+
+/**
+ * Resolves the model to use: a custom model name wins over the dropdown selection,
+ * which in turn falls back to the provider's first preset.
+ * @returns {string} The model identifier.
+ */
+function getSelectedAIModel() {
+    const settings = getAIProviderSettings();
+    const provider = AI_PROVIDERS[settings.provider];
+    if (settings.customModel) return settings.customModel;
+    if (settings.model && provider.models.some(m => m.value === settings.model)) return settings.model;
+    return provider.models[0].value;
+}
+
+// --- Request Handling ---
+
+/**
+ * Parses a Retry-After header, which is either a number of seconds or an HTTP date.
+ * @returns {number|null} Seconds to wait.
+ */
+function parseRetryAfter(headerValue) {
+    if (!headerValue) return null;
+    const seconds = Number(headerValue);
+    if (!isNaN(seconds)) return seconds;
+    const date = Date.parse(headerValue);
+    return isNaN(date) ? null : Math.max(0, (date - Date.now()) / 1000);
+}
+
+/**
+ * Flattens Gemini-style contents into provider-neutral chat messages.
+ * @param {Array} contents - [{ role, parts: [{ text } | { inlineData }] }]
+ * @returns {Array} [{ role: 'user'|'assistant', text, images: [{ mimeType, data }] }]
+ */
+function toChatMessages(contents) {
+    return contents.map(content => {
+        const parts = content.parts || [];
+        return {
+            role: content.role === 'model' ? 'assistant' : 'user',
+            text: parts.filter(p => typeof p.text === 'string').map(p => p.text).join('\n\n'),
+            images: parts.filter(p => p.inlineData).map(p => p.inlineData),
+        };
+    });
+}
+
+/**
+ * Redacts and (optionally) previews the conversation, then posts it to the active provider.
+ * Failed responses are turned into errors carrying `status` and `retryAfter` for the scheduler,
+ * and network failures into errors with `networkError` set.
+ * @param {Array} contents - The conversation in Gemini `contents` shape.
+ * @param {object} options - { apiKey, model, responseSchema, stream, signal }
+ * @returns {Promise<{provider: object, response: Response}>} The provider and the successful response.
+ */
+async function sendAIRequest(contents, { apiKey, model, responseSchema = null, stream = false, signal = null }) {
+    const settings = getAIProviderSettings();
+    const provider = AI_PROVIDERS[settings.provider];
+    const endpoint = (settings.endpoint || provider.defaultEndpoint).replace(/\/+$/, '');
+
+    const redactedContents = redactOutgoingContents(contents);
+    if (!(await confirmOutgoingPayload(redactedContents))) {
+        throw new Error('使用者取消傳送資料給 AI。');
+    }
+    const request = provider.buildRequest(redactedContents, { apiKey, model: model || getSelectedAIModel(), endpoint, responseSchema, stream });
+
+    let response;
+    try {
+        response = await fetch(request.url, { method: 'POST', headers: request.headers, body: JSON.stringify(request.body), signal });
+    } catch (e) {
+        // fetch() rejects with a TypeError when the network fails; mark it so the scheduler retries it.
+        if (e instanceof TypeError) e.networkError = true;
+        throw e;
+    }
+
+    if (!response.ok) {
+        let detail = null;
+        let retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+        const errorText = await response.text();
+        try {
+            const errorJson = JSON.parse(errorText);
+            detail = provider.extractError(errorJson);
+            if (retryAfter === null && provider.extractRetryDelay) retryAfter = provider.extractRetryDelay(errorJson);
+            console.error("API Error Response:", errorJson);
+        } catch (e) {
+            console.error("API Error Response (non-JSON):", errorText);
+        }
+        const error = new Error(`API 請求失敗 (${response.status})${detail ? `: ${detail}` : ''}。請檢查您的 API 金鑰與 AI 服務設定，或查看主控台以獲取詳細資訊。`);
+        error.status = response.status;
+        error.retryAfter = retryAfter;
+        throw error;
+    }
+    return { provider, response };
+}
+
+/**
+ * Sends a conversation to the active provider and returns the model's text reply.
+ * Every text part is redacted first, and the user may be asked to approve the payload.
+ * @param {Array} contents - The conversation in Gemini `contents` shape.
+ * @param {object} options - { apiKey, model, responseSchema }. With `responseSchema`, the provider's
+ * JSON mode is switched on where available.
+ * @returns {Promise<string>} The text of the first reply.
+ */
+async function requestAIText(contents, options) {
+    const { provider, response } = await sendAIRequest(contents, options);
+    const result = await response.json();
+    const text = provider.extractText(result);
+    if (typeof text !== 'string') {
+        console.error("API did not return a valid reply. Full response:", result);
+        throw new Error('AI 回傳的資料格式不符預期。');
+    }
+    return text;
+}
+
+/**
+ * Streams the model's reply, calling `onText` with the accumulated text after every chunk.
+ * Handles both SSE (`data: {...}`) and newline-delimited JSON bodies. When `signal` is aborted,
+ * the text received so far is returned instead of throwing.
+ * @param {Array} contents - The conversation in Gemini `contents` shape.
+ * @param {object} options - { apiKey, model, signal, onText(text) }
+ * @returns {Promise<string>} The full (or partial, if aborted) reply.
+ */
+async function streamAIText(contents, { apiKey, model, signal = null, onText = null }) {
+    let text = '';
+    try {
+        const { provider, response } = await sendAIRequest(contents, { apiKey, model, stream: true, signal });
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        const handleLine = (rawLine) => {
+            const line = rawLine.trim().replace(/^data:\s*/, '');
+            if (!line || line === '[DONE]' || line.startsWith(':') || line.startsWith('event:')) return;
+            const delta = provider.extractStreamText(JSON.parse(line));
+            if (delta) {
+                text += delta;
+                if (onText) onText(text);
+            }
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        }
+        handleLine(buffer + decoder.decode());
+    } catch (error) {
+        if (error.name === 'AbortError') return text;
+        throw error;
+    }
+    return text;
+}
+
+// --- Settings UI ---
+
+function renderModelOptions(selectElement, provider, selectedModel) {
+    selectElement.innerHTML = provider.models
+        .map(m => `<option value="${m.value}" ${m.value === selectedModel ? 'selected' : ''}>${m.label}</option>`)
+        .join('');
+}
+
+/**
+ * Wires the provider dropdown, endpoint and model inputs next to `model-select`.
+ * Elements that are missing on the current page are simply skipped.
+ */
+function initializeAIProviderControls() {
+    const providerSelect = document.getElementById('provider-select');
+    const endpointInput = document.getElementById('provider-endpoint-input');
+    const modelSelect = document.getElementById('model-select');
+    const customModelInput = document.getElementById('model-custom-input');
+    if (!providerSelect || !modelSelect) return;
+
+    const settings = getAIProviderSettings();
+    providerSelect.innerHTML = Object.entries(AI_PROVIDERS)
+        .map(([id, p]) => `<option value="${id}" ${id === settings.provider ? 'selected' : ''}>${p.label}</option>`)
+        .join('');
+
+    const refresh = () => {
+        const current = getAIProviderSettings();
+        const provider = AI_PROVIDERS[current.provider];
+        renderModelOptions(modelSelect, provider, getSelectedAIModel());
+        if (endpointInput) {
+            endpointInput.value = current.endpoint || '';
+            endpointInput.placeholder = provider.defaultEndpoint;
+        }
+        if (customModelInput) customModelInput.value = current.customModel || '';
+    };
+
+    const persist = (changes) => saveAIProviderSettings({ ...getAIProviderSettings(), ...changes });
+
+    providerSelect.addEventListener('change', () => {
+        persist({ provider: providerSelect.value, endpoint: '', model: '', customModel: '' });
+        refresh();
+    });
+    modelSelect.addEventListener('change', () => persist({ model: modelSelect.value }));
+    if (endpointInput) endpointInput.addEventListener('change', () => persist({ endpoint: endpointInput.value.trim() }));
+    if (customModelInput) customModelInput.addEventListener('change', () => persist({ customModel: customModelInput.value.trim() }));
+
+    refresh();
+}
@@ -0,0 +1,144 @@
+/**
+ * @file backup-format.js
+ * @description The versioned backup format. Backups carry a `formatVersion` header; older
+ * backups are upgraded one version at a time by the migrations below before any page reads
+ * them, and backups written by a newer version of the app are rejected with a clear error.
+ *
+ * Version history:
+ *   1 - No header. `{ creditCard: { bankName: { results } }, bankStatement: {...} }` as written
+ *       by the first releases, with whatever dates, amounts and categories the model returned.
+ *   2 - `formatVersion` / `exportedAt` header; every statement has all of its list arrays,
+ *       dates are YYYY-MM-DD, amounts are numbers and categories use the current names.
+ */
+
+// --- Configuration ---
+const BACKUP_FORMAT_VERSION = 2;
+const BACKUP_DATA_TYPES = ['creditCard', 'bankStatement'];
+
+// Category names returned by earlier prompts or models, mapped to the current lists.
+const LEGACY_CATEGORY_NAMES = {
+    '餐飲': '餐飲美食',
+    '美食': '餐飲美食',
+    '交通': '交通出行',
+    '購物': '購物消費',
+    '生活': '居家生活',
+    '居家': '居家生活',
+    '娛樂': '休閒娛樂',
+    '醫療': '醫療保健',
+    '繳費': '帳單繳費',
+    '提款': '現金提款',
+    '轉帳': '轉帳支出',
+};
+const LEGACY_DEPOSIT_CATEGORY_NAMES = {
+    '薪資': '薪資入帳',
+    '轉帳': '他人轉入',
+    '存款': '現金存入',
+    '利息': '帳戶利息',
+    '投資': '投資收益',
+};
+
+// --- Migrations ---
+
+function forEachBackupStatement(data, callback) {
+    BACKUP_DATA_TYPES.forEach(dataType => {
+        Object.values(data[dataType] || {}).forEach(group => {
+            (group.results || []).forEach(result => callback(result, dataType));
+        });
+    });
+}
+
+function normalizeBackupDate(value, referenceDate) {
+    const normalized = coerceStatementDate(value, referenceDate);
+    return normalized === undefined ? value : normalized;
+}
+
+function normalizeBackupAmount(value) {
+    const normalized = coerceStatementAmount(value);
+    return normalized === undefined ? value : normalized;
+}
+
+/**
+ * Each entry upgrades a backup from version `n` to `n + 1`. Migrations receive a deep copy
+ * and may modify it in place.
+ */
+const BACKUP_MIGRATIONS = {
+    1: (data) => {
+        BACKUP_DATA_TYPES.forEach(dataType => {
+            const groups = data[dataType];
+            if (groups === undefined || groups === null) return;
+            if (typeof groups !== 'object' || Array.isArray(groups)) {
+                throw new Error(`備份中的 ${dataType} 格式無效。`);
+            }
+            Object.keys(groups).forEach(groupName => {
+                // Some early backups stored the result array directly under the bank name.
+                if (Array.isArray(groups[groupName])) groups[groupName] = { results: groups[groupName] };
+                const group = groups[groupName];
+                group.results = Array.isArray(group && group.results) ? group.results.filter(r => r && typeof r === 'object') : [];
+            });
+        });
+
+        forEachBackupStatement(data, (result, dataType) => {
+            STATEMENT_LIST_KEYS[dataType].forEach(list => {
+                if (!Array.isArray(result[list])) result[list] = [];
+            });
+            result.statementDate = normalizeBackupDate(result.statementDate, null);
+            const referenceDate = result.statementDate || null;
+            if (result.dueDate) result.dueDate = normalizeBackupDate(result.dueDate, referenceDate);
+            if (result.statementPeriod) {
+                result.statementPeriod.startDate = normalizeBackupDate(result.statementPeriod.startDate, referenceDate);
+                result.statementPeriod.endDate = normalizeBackupDate(result.statementPeriod.endDate, referenceDate);
+            }
+            ['totalAmount', 'previousBalance', 'paymentAmount', 'openingBalance', 'endingBalance']
+                .filter(key => result[key] !== undefined)
+                .forEach(key => { result[key] = normalizeBackupAmount(result[key]); });
+
+            STATEMENT_LIST_KEYS[dataType].forEach(list => {
+                const categoryNames = list === 'deposits' ? LEGACY_DEPOSIT_CATEGORY_NAMES : LEGACY_CATEGORY_NAMES;
+                result[list].forEach(row => {
+                    row.date = normalizeBackupDate(row.date, referenceDate);
+                    row.amount = normalizeBackupAmount(row.amount);
+                    if (row.category && categoryNames[row.category]) row.category = categoryNames[row.category];
+                });
+            });
+        });
+        return data;
+    },
+};
+
+// --- Reading and Writing ---
+
+function getBackupFormatVersion(data) {
+    return data.formatVersion === undefined ? 1 : data.formatVersion;
+}
+
+/**
+ * Upgrades a backup to the current format.
+ * @param {object} data - A parsed (and decrypted) backup.
+ * @returns {object} The backup in the current format, with `formatVersion` set.
+ * @throws {Error} When the backup is from a newer version of the app or cannot be read.
+ */
+function upgradeBackupData(data) {
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) throw new Error('無效的 JSON 格式。');
+    const version = getBackupFormatVersion(data);
+    if (!Number.isInteger(version) || version < 1) throw new Error(`無法辨識的備份格式版本「${data.formatVersion}」。`);
+    if (version > BACKUP_FORMAT_VERSION) {
+        throw new Error(`此備份由較新版本的程式建立 (格式 v${version})，目前僅支援到 v${BACKUP_FORMAT_VERSION}，請更新後再匯入。`);
+    }
+
+    let upgraded = JSON.parse(JSON.stringify(data));
+    for (let from = version; from < BACKUP_FORMAT_VERSION; from++) {
+        upgraded = BACKUP_MIGRATIONS[from](upgraded);
+        upgraded.formatVersion = from + 1;
+    }
+    if (version < BACKUP_FORMAT_VERSION) console.log(`已將備份從格式 v${version} 升級至 v${BACKUP_FORMAT_VERSION}。`);
+    return upgraded;
+}
+
+/**
+ * Adds the version header to the data being exported.
+ * @param {object} allData - { creditCard, bankStatement }
+ * @returns {object} The backup object to serialise.
+ */
+function createBackupData(allData) {
+    return { formatVersion: BACKUP_FORMAT_VERSION, exportedAt: new Date().toISOString(), ...allData };
+}
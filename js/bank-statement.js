@@ -6,6 +6,11 @@
 // --- Page-Specific State ---
 let activeCharts = {};
 let monthlyAndBankGroupedData = {}; 
+let bankReconciliations = {};
+let duplicateSuggestions = [];
+// Saved card statements, used together with the queue to train the local category model.
+let linkedCardResults = [];
+let merchantModel = null;
 
 // --- Prompt Generation ---
 
@@ -32,9 +37,10 @@ function getBankStatementPrompt(hash) {
     * \`date\`, \`description\`, \`amount\` (應為正數), \`category\`
 5.  **\`deposits\` 物件**應包含以下欄位：
     * \`date\`, \`description\`, \`amount\`, \`category\`
-6.  **消費分類 (\`category\`)：** 請對 \`withdrawals\` 和 \`deposits\` 陣列中的項目進行分類。
-    * **支出分類列表**: \`餐飲美食\`, \`交通出行\`, \`購物消費\`, \`居家生活\`, \`休閒娛樂\`, \`醫療保健\`, \`帳單繳費\`, \`現金提款\`, \`轉帳支出\`, \`其他\`
-    * **存入分類列表**: \`薪資入帳\`, \`他人轉入\`, \`現金存入\`, \`帳戶利息\`, \`投資收益\`, \`其他\`
+6.  **餘額欄位：** \`openingBalance\` 為對帳期間開始時的期初 (上期) 餘額，\`endingBalance\` 為期末餘額；若對帳單沒有列出期初餘額，\`openingBalance\` 請填 \`null\`。
+7.  **消費分類 (\`category\`)：** 請對 \`withdrawals\` 和 \`deposits\` 陣列中的項目進行分類。
+    * **支出分類列表**: ${formatCategoryPromptList('withdrawals')}
+    * **存入分類列表**: ${formatCategoryPromptList('deposits')}
 
 ---
 ## JSON 輸出格式範本
@@ -50,6 +56,7 @@ function getBankStatementPrompt(hash) {
     "startDate": "YYYY-MM-DD",
     "endDate": "YYYY-MM-DD"
   },
+  "openingBalance": 0,
   "endingBalance": 0,
   "withdrawals": [],
   "deposits": []
@@ -63,9 +70,10 @@ function handleFiles(files) {
     if (files.length === 0) return;
     
     for (const file of files) {
-        if (file.type === 'application/pdf') {
+        const importFormat = getImportFormat(file);
+        if (file.type === 'application/pdf' || importFormat) {
             const fileId = `file-${crypto.randomUUID()}`;
-            fileQueue.push({ id: fileId, file: file, status: 'pending', result: null, hash: null });
+            fileQueue.push({ id: fileId, file: file, status: 'pending', result: null, hash: null, importFormat });
         }
     }
     renderFileQueue();
@@ -74,8 +82,10 @@ function handleFiles(files) {
 
 async function processQueue() {
     const apiKey = dom.apiKeyInput.value;
-    if (!apiKey) {
-        alert('請先輸入您的 Gemini API 金鑰。');
+    const hasAIAccess = Boolean(apiKey) || !getActiveAIProvider().requiresApiKey;
+    const hasPendingPdf = fileQueue.some(item => item.status === 'pending' && !item.importFormat);
+    if (!hasAIAccess && getParserMode() === 'ai' && hasPendingPdf) {
+        alert('請先輸入您的 AI 服務 API 金鑰。');
         return;
     }
     
@@ -87,10 +97,23 @@ async function processQueue() {
         if (item.status !== 'pending') continue;
         try {
             item.status = 'processing';
+            item.error = null;
+            item.templateName = null;
+            item.attempt = 0;
+            item.retryAt = null;
             renderFileQueue();
+            if (item.importFormat) {
+                const imported = await importTransactionFile(item.file, 'bankStatement');
+                const loadedItem = fileQueue.find(i => i.loadedFromLocal && i.hash === imported.billHash);
+                item.hash = imported.billHash;
+                item.result = loadedItem ? loadedItem.result : imported;
+                item.loadedFromLocal = Boolean(loadedItem);
+                item.status = 'success';
+                continue;
+            }
             const fileData = await readFileAsArrayBuffer(item.file);
             
-            const { apiParts, hash } = await prepareApiPayload(fileData, item.file.name, getBankStatementPrompt);
+            const { apiParts, hash, templateMatch } = await prepareApiPayload(fileData, item.file.name, getBankStatementPrompt, 'bankStatement');
             item.apiParts = apiParts;
             item.hash = hash;
 
@@ -99,10 +122,17 @@ async function processQueue() {
                  item.result = loadedItem.result;
                  item.status = 'success';
                  item.loadedFromLocal = true;
+            } else if (templateMatch) {
+                item.result = templateMatch.result;
+                item.templateName = templateMatch.template.name;
+                item.status = 'success';
+            } else if (!hasAIAccess) {
+                throw new Error('沒有符合的解析範本，且未提供 AI 服務 API 金鑰。');
             }
         } catch (error) {
             console.error(`預處理檔案 ${item.file.name} 失敗:`, error);
             item.status = 'error';
+            item.error = error.message;
         }
     }
     renderFileQueue();
@@ -110,13 +140,27 @@ async function processQueue() {
     const analysisPromises = fileQueue.map(async (item) => {
         if (item.status !== 'processing' || !item.apiParts) return item;
         try {
-            const selectedModel = dom.modelSelect.value;
-            const resultJson = await analyzeWithGemini(item.apiParts, apiKey, item.hash, selectedModel);
+            const selectedModel = getSelectedAIModel();
+            const resultJson = await scheduleWithRetry(
+                () => analyzeWithGemini(item.apiParts, apiKey, item.hash, selectedModel, 'bankStatement'),
+                {
+                    onAttempt: (attempt) => {
+                        item.attempt = attempt;
+                        item.retryAt = null;
+                        renderFileQueue();
+                    },
+                    onRetry: (attempt, delay) => {
+                        item.retryAt = Date.now() + delay;
+                        renderFileQueue();
+                    },
+                }
+            );
             item.status = 'success';
             item.result = resultJson;
         } catch (error) {
             console.error(`分析檔案 ${item.file.name} 失敗:`, error);
             item.status = 'error';
+            item.error = error.message;
         } finally {
             delete item.apiParts;
         }
@@ -124,6 +168,7 @@ async function processQueue() {
     });
 
     await Promise.allSettled(analysisPromises);
+    categorizeQueue();
     
     renderFileQueue();
     renderAggregatedResults();
@@ -134,6 +179,35 @@ async function processQueue() {
 }
 
 
+// --- Categorisation ---
+
+/**
+ * Applies the merchant rules, retrains the local model and lets it fill in uncategorised rows.
+ * @returns {number} How many rows changed category.
+ */
+function categorizeQueue() {
+    const changed = applyCategoryRulesToQueue(fileQueue, 'bankStatement');
+    merchantModel = buildMerchantModel([
+        ...getQueueTrainingSources(fileQueue, 'bankStatement'),
+        { dataType: 'creditCard', results: linkedCardResults, confirmed: true },
+    ]);
+    return changed + applyMerchantModelToQueue(fileQueue, 'bankStatement', merchantModel);
+}
+
+/**
+ * Records a category chosen by hand and learns a merchant rule from it.
+ * @returns {number} How many other rows changed category as a result.
+ */
+function confirmRowCategory(row, tableType, category) {
+    row.category = category;
+    row.categorySource = 'manual';
+    delete row.categoryConfidence;
+    delete row.unknownCategory;
+    learnCategoryRule(tableType, row.description, category);
+    return categorizeQueue();
+}
+
+
 // --- Data Loading and Saving ---
 
 function processLoadedData(data) {
@@ -170,10 +244,18 @@ function processLoadedData(data) {
     }
 }
 
+function getLinkedCardResults(fullData) {
+    if (!fullData || !fullData.creditCard) return [];
+    return Object.values(fullData.creditCard).flatMap(group => group.results || []);
+}
+
 async function handleLoadFile(file) {
     try {
         const fullData = await loadAnalysisData(file);
+        linkedCardResults = getLinkedCardResults(fullData);
         processLoadedData(fullData ? fullData.bankStatement : null);
+        categorizeQueue();
+        renderAggregatedResults();
     } catch (error) {
         alert(error.message);
         dom.loadStatus.classList.add('hidden');
@@ -183,7 +265,12 @@ async function handleLoadFile(file) {
 async function autoLoadSavedData() {
     try {
         const fullData = await loadAnalysisData();
+        linkedCardResults = getLinkedCardResults(fullData);
         processLoadedData(fullData ? fullData.bankStatement : null);
+        markQueueItemsSaved(fileQueue);
+        categorizeQueue();
+        renderAggregatedResults();
+        if (fullData) startPaymentReminders(() => fullData);
     } catch (error) {
         console.error("自動載入失敗:", error);
     }
@@ -208,9 +295,11 @@ function getBillingMonth(statementDateStr) {
 
 function renderAggregatedResults() {
     const successfulResults = fileQueue.filter(item => item.status === 'success' && item.result);
-    dom.saveButton.disabled = successfulResults.length === 0;
+    dom.saveButton.disabled = successfulResults.length === 0 && pendingStatementDeletions.size === 0;
     
     monthlyAndBankGroupedData = {};
+    bankReconciliations = reconcileBankStatements(successfulResults.map(item => item.result));
+    duplicateSuggestions = findDuplicateSuggestions(successfulResults, 'bankStatement');
 
     const monthlyGroups = successfulResults.reduce((acc, item) => {
         const billingMonth = getBillingMonth(item.result.statementDate);
@@ -265,6 +354,8 @@ function populateAndRenderMonth(monthSection, month, items) {
                 withdrawals: [],
                 endingBalance: 0,
                 count: 0,
+                reconciliations: [],
+                duplicates: [],
                 dpSortState: { key: 'date', direction: 'asc' },
                 wdSortState: { key: 'date', direction: 'asc' }
             };
@@ -273,6 +364,8 @@ function populateAndRenderMonth(monthSection, month, items) {
         if(Array.isArray(item.result.withdrawals)) acc[bankName].withdrawals.push(...item.result.withdrawals.map((tx, i) => ({...tx, originalIndex: `${item.id}_w_${i}`})));
         acc[bankName].endingBalance += item.result.endingBalance || 0;
         acc[bankName].count++;
+        acc[bankName].reconciliations.push(bankReconciliations[item.result.billHash]);
+        acc[bankName].duplicates.push(...duplicateSuggestions.filter(s => s.duplicate.itemId === item.id));
         return acc;
     }, {});
 
@@ -331,12 +424,16 @@ function createResultCard(bankName, data, month) {
 
     card.innerHTML = `
         <div>
-            <h4 class="text-xl font-bold mb-2">${bankName}</h4>
+            <div class="flex flex-wrap items-center gap-2 mb-2">
+                <h4 class="text-xl font-bold">${bankName}</h4>
+                <div class="reconciliation-badge">${renderReconciliationBadge(data.reconciliations)}</div>
+            </div>
             <div class="grid grid-cols-3 gap-4 mb-4 text-center">
                 <div><p class="text-sm text-gray-500">總存入</p><p class="text-lg font-semibold text-green-600">${totalDeposits.toLocaleString()}</p></div>
                 <div><p class="text-sm text-gray-500">總支出</p><p class="text-lg font-semibold text-red-600">${totalWithdrawals.toLocaleString()}</p></div>
                 <div><p class="text-sm text-gray-500">期末餘額</p><p class="text-lg font-semibold">${data.endingBalance.toLocaleString()}</p></div>
             </div>
+            ${renderDuplicateSuggestions(data.duplicates)}
         </div>
     `;
     
@@ -391,13 +488,16 @@ function renderTableRows(tbody, items, type) {
         const row = document.createElement('tr');
         row.className = 'border-b hover:bg-gray-50';
         const amountColor = type === 'deposits' ? 'text-green-600' : 'text-red-600';
+        const transferBadge = type === 'withdrawals' && isCardPaymentWithdrawal(item)
+            ? '<span class="mr-1" title="信用卡繳款：財務總覽不重複計入支出">🔁</span>'
+            : '';
         
         row.innerHTML = `
             <td class="py-2 px-3" contenteditable="true" data-index="${item.originalIndex}" data-field="date">${item.date || ''}</td>
             <td class="py-2 px-3" contenteditable="true" data-index="${item.originalIndex}" data-field="description">${item.description || ''}</td>
-            <td class="py-2 px-3" contenteditable="true" data-index="${item.originalIndex}" data-field="category">${item.category || '其他'}</td>
+            <td class="py-2 px-3 ${item.unknownCategory ? 'bg-yellow-100' : ''}" contenteditable="true" data-index="${item.originalIndex}" data-field="category" ${item.unknownCategory ? 'title="此分類不在分類清單中"' : ''}>${item.category || '其他'}</td>
             <td class="py-2 px-3 text-right font-medium ${amountColor}" contenteditable="true" data-index="${item.originalIndex}" data-field="amount">${(item.amount || 0).toLocaleString()}</td>
-            <td class="py-2 px-3 text-center"><button class="delete-row-btn text-gray-400 hover:text-red-600" data-index="${item.originalIndex}">🗑️</button></td>
+            <td class="py-2 px-3 text-center whitespace-nowrap">${transferBadge}<span class="category-suggestion">${renderCategorySuggestion(item, type, merchantModel, item.originalIndex)}</span> <button class="delete-row-btn text-gray-400 hover:text-red-600" data-index="${item.originalIndex}">🗑️</button></td>
         `;
         tbody.appendChild(row);
     });
@@ -477,9 +577,6 @@ function renderMonthlyCharts(month, chartData) {
     }
     activeCharts[month] = {};
 
-    const withdrawalColors = ['#FF6384', '#FF9F40', '#FFCD56', '#4BC0C0', '#F7464A', '#9966FF', '#C9CBCF', '#4D5360'];
-    const depositColors = ['#4CAF50', '#8BC34A', '#CDDC39', '#009688', '#00BCD4', '#673AB7'];
-
     totalSpendingEl.textContent = `NT$ ${chartData.withdrawal.total.toLocaleString()}`;
     const withdrawalLabels = Object.keys(chartData.withdrawal.categories);
     if (withdrawalLabels.length > 0) {
@@ -490,7 +587,7 @@ function renderMonthlyCharts(month, chartData) {
                 datasets: [{
                     label: '支出金額',
                     data: Object.values(chartData.withdrawal.categories),
-                    backgroundColor: withdrawalColors,
+                    backgroundColor: withdrawalLabels.map(label => getCategoryColor('expense', label)),
                     hoverOffset: 4
                 }]
             },
@@ -508,7 +605,7 @@ function renderMonthlyCharts(month, chartData) {
                 datasets: [{
                     label: '存入金額',
                     data: Object.values(chartData.deposit.categories),
-                    backgroundColor: depositColors,
+                    backgroundColor: depositLabels.map(label => getCategoryColor('income', label)),
                     hoverOffset: 4
                 }]
             },
@@ -578,6 +675,20 @@ function addCardEventListeners(card) {
                 fileItem.result[tableType].splice(itemIndex, 1);
                 renderAggregatedResults();
             }
+        } else if (e.target.matches('.apply-category-suggestion-btn')) {
+            const tableType = e.target.closest('table').dataset.tableType;
+            const [fileId, type, itemIndexStr] = e.target.dataset.index.split('_');
+            const fileItem = fileQueue.find(i => i.id === fileId);
+            const row = fileItem && fileItem.result && fileItem.result[tableType][parseInt(itemIndexStr, 10)];
+            if (!row) return;
+            confirmRowCategory(row, tableType, e.target.dataset.category);
+            renderAggregatedResults();
+        } else if (e.target.matches('.merge-duplicate-btn, .dismiss-duplicate-btn')) {
+            const suggestion = duplicateSuggestions.find(s => s.key === e.target.dataset.duplicateKey);
+            if (!suggestion) return;
+            if (e.target.matches('.merge-duplicate-btn')) mergeDuplicateSuggestion(suggestion, fileQueue);
+            else dismissDuplicateSuggestion(suggestion);
+            renderAggregatedResults();
         } else if (e.target.matches('.add-row-btn')) {
             const bankName = e.target.closest('[data-bank-name]').dataset.bankName;
             const month = e.target.closest('[data-month]').dataset.month;
@@ -626,6 +737,10 @@ function addCardEventListeners(card) {
                 const parsedValue = parseFloat(value.replace(/,/g, ''));
                 originalItem[field] = isNaN(parsedValue) ? 0 : parsedValue;
                 e.target.textContent = originalItem[field].toLocaleString();
+            } else if (field === 'category') {
+                // Remember the correction for this merchant and apply it to the other rows.
+                if (value !== originalItem.category) confirmRowCategory(originalItem, tableType, value);
+                else delete originalItem.unknownCategory;
             } else {
                 originalItem[field] = value;
             }
@@ -740,6 +855,15 @@ function initializeApp() {
     }
     
     loadApiKey();
+    initializeAIProviderControls();
+    initializeParserModeControl();
+    initializeOcrModeControl();
+    initializeSchedulerControls();
+    initializeRedactionSettings();
+    initializeEncryptionControls();
+    initializeExportControls(() => ({
+        bankStatement: fileQueue.filter(item => item.status === 'success' && item.result).map(item => item.result),
+    }));
     renderPasswordPresets();
     autoLoadSavedData();
 
@@ -793,7 +917,12 @@ function initializeApp() {
         handleLoadFile(e.dataTransfer.files[0]);
     });
     
-    dom.saveButton.addEventListener('click', () => saveAnalysisData('bankStatement', fileQueue));
+    dom.saveButton.addEventListener('click', async () => {
+        if (await saveAnalysisData('bankStatement', fileQueue)) {
+            renderFileQueue();
+            renderAggregatedResults();
+        }
+    });
 
     dom.dragArea.addEventListener('click', () => dom.fileInput.click());
     dom.dragArea.addEventListener('dragover', (e) => { e.preventDefault(); dom.dragArea.classList.add('active'); });
@@ -814,6 +943,14 @@ function initializeApp() {
             dom.passwordModalError.classList.add('hidden');
         }
     });
+    dom.passwordModalCancel.addEventListener('click', () => {
+        if (passwordResolver) {
+            passwordResolver(null);
+            dom.passwordModal.classList.add('hidden');
+            dom.passwordModalInput.value = '';
+            dom.passwordModalError.classList.add('hidden');
+        }
+    });
 
     dom.fileQueueContainer.addEventListener('click', (e) => {
         const fileId = e.target.dataset.fileId;
@@ -832,6 +969,7 @@ function initializeApp() {
             renderFileQueue();
             renderAggregatedResults();
         } else if (e.target.classList.contains('remove-file-btn')) {
+            recordStatementDeletion(fileItem);
             fileQueue = fileQueue.filter(item => item.id !== fileId);
             renderFileQueue();
             renderAggregatedResults();
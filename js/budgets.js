@@ -0,0 +1,195 @@
+/**
+ * @file budgets.js
+ * @description Monthly budgets per expense category. Budgets are tracked against credit card
+ * spending by top-level category, per billing month. With roll-over, whatever was left of a
+ * month's budget (or overspent) carries into the next month. Provides the progress bars shown
+ * next to the spending charts and the budget-vs-actual history used by the summary page.
+ */
+
+// --- Configuration ---
+const BUDGET_SETTINGS_KEY = 'categoryBudgets';
+// Progress bars turn amber from this share of the budget.
+const BUDGET_WARNING_RATIO = 0.8;
+
+// --- Settings ---
+
+/**
+ * @returns {object} Category → { amount, rollover }. Budgets of renamed or merged categories
+ * follow them to the new name.
+ */
+function getBudgetSettings() {
+    let budgets = {};
+    try {
+        budgets = JSON.parse(localStorage.getItem(BUDGET_SETTINGS_KEY)) || {};
+    } catch (e) {
+        console.error("讀取預算設定失敗:", e);
+    }
+    const aliases = getCategorySettings().aliases.expense;
+    Object.keys(budgets).forEach(category => {
+        const target = aliases[category];
+        if (target && !budgets[target]) budgets[target] = budgets[category];
+        if (target) delete budgets[category];
+    });
+    return budgets;
+}
+
+function saveBudgetSettings(budgets) {
+    localStorage.setItem(BUDGET_SETTINGS_KEY, JSON.stringify(budgets));
+}
+
+/**
+ * Sets or clears a category's monthly budget.
+ * @param {string} category - A top-level expense category.
+ * @param {number} amount - The monthly budget; 0 or less removes it.
+ * @param {boolean} rollover - Whether leftovers carry into the next month.
+ */
+function setCategoryBudget(category, amount, rollover) {
+    const budgets = getBudgetSettings();
+    if (amount > 0) budgets[category] = { amount, rollover: !!rollover };
+    else delete budgets[category];
+    saveBudgetSettings(budgets);
+}
+
+/**
+ * The categories a budget can be set for: top-level expense categories used on cards.
+ */
+function getBudgetCategories() {
+    return getCategories('expense').filter(c => !c.parent && !c.bankOnly).map(c => c.name);
+}
+
+// --- Tracking ---
+
+/**
+ * Adds card transactions to a category → amount map, rolled up to top-level categories.
+ * Refunds (negative amounts) are ignored, as in the spending charts.
+ * @param {object} totals - The map to add to.
+ * @param {Array<object>} transactions - Card transaction rows.
+ * @returns {object} `totals`.
+ */
+function addCategorySpending(totals, transactions) {
+    (transactions || []).forEach(tx => {
+        if (!(tx.amount > 0)) return;
+        const category = getTopLevelCategory('expense', tx.category || FALLBACK_CATEGORY);
+        totals[category] = (totals[category] || 0) + tx.amount;
+    });
+    return totals;
+}
+
+function getNextMonth(month) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    return monthIndex === 12 ? `${year + 1}-01` : `${year}-${String(monthIndex + 1).padStart(2, '0')}`;
+}
+
+function getTrackedMonths(spendingByMonth) {
+    return Object.keys(spendingByMonth).filter(month => /^\d{4}-\d{2}$/.test(month)).sort();
+}
+
+/**
+ * Works out each budget for one month.
+ * @param {object} spendingByMonth - 'YYYY-MM' → category → amount.
+ * @param {string} month - 'YYYY-MM'.
+ * @param {object} [budgets] - From `getBudgetSettings`.
+ * @returns {Array<{category: string, amount: number, carry: number, available: number, spent: number, remaining: number, over: boolean}>}
+ * `carry` is what roll-over brought in from earlier months (negative after overspending).
+ */
+function getBudgetStatus(spendingByMonth, month, budgets = getBudgetSettings()) {
+    if (!/^\d{4}-\d{2}$/.test(month || '')) return [];
+    const firstMonth = getTrackedMonths(spendingByMonth)[0];
+    return getBudgetCategories()
+        .filter(category => budgets[category] && budgets[category].amount > 0)
+        .map(category => {
+            const budget = budgets[category];
+            let carry = 0;
+            // Roll-over starts with the first month that has any data, including empty months in between.
+            if (budget.rollover && firstMonth) {
+                for (let m = firstMonth; m < month; m = getNextMonth(m)) {
+                    carry += budget.amount - ((spendingByMonth[m] || {})[category] || 0);
+                }
+            }
+            const available = budget.amount + carry;
+            const spent = (spendingByMonth[month] || {})[category] || 0;
+            return { category, amount: budget.amount, carry, available, spent, remaining: available - spent, over: spent > available };
+        });
+}
+
+/**
+ * Totals budget and actual spending per month, for all budgeted categories or just one.
+ * @param {object} spendingByMonth - 'YYYY-MM' → category → amount.
+ * @param {string} [category] - Limit to this category.
+ * @returns {{months: Array<string>, budgeted: Array<number>, actual: Array<number>}}
+ */
+function getBudgetHistory(spendingByMonth, category = '') {
+    const budgets = getBudgetSettings();
+    const months = getTrackedMonths(spendingByMonth);
+    const history = { months, budgeted: [], actual: [] };
+    months.forEach(month => {
+        const status = getBudgetStatus(spendingByMonth, month, budgets).filter(s => !category || s.category === category);
+        history.budgeted.push(status.reduce((sum, s) => sum + s.available, 0));
+        history.actual.push(status.reduce((sum, s) => sum + s.spent, 0));
+    });
+    return history;
+}
+
+// --- Rendering ---
+
+/**
+ * Builds the progress bars for one month.
+ * @param {Array<object>} status - From `getBudgetStatus`.
+ * @returns {string} HTML, or a hint when no budgets are set.
+ */
+function renderBudgetProgress(status) {
+    if (status.length === 0) {
+        return '<p class="text-sm text-gray-500 text-center">尚未設定預算。</p>';
+    }
+    return status.map(s => {
+        const ratio = s.available > 0 ? s.spent / s.available : (s.spent > 0 ? 1 : 0);
+        const barColor = s.over ? 'bg-red-500' : (ratio >= BUDGET_WARNING_RATIO ? 'bg-amber-400' : 'bg-green-500');
+        const carryText = s.carry !== 0 ? `，含前期結轉 ${s.carry > 0 ? '+' : ''}${Math.round(s.carry).toLocaleString()}` : '';
+        const remainingText = s.over
+            ? `<span class="text-red-600 font-semibold">超支 ${Math.round(-s.remaining).toLocaleString()}</span>`
+            : `剩餘 ${Math.round(s.remaining).toLocaleString()}`;
+        return `
+            <div class="text-sm ${s.over ? 'bg-red-50 rounded p-1' : ''}" title="每月預算 ${s.amount.toLocaleString()}${carryText}">
+                <div class="flex justify-between gap-2">
+                    <span class="font-medium">${s.category}</span>
+                    <span class="text-gray-500">${Math.round(s.spent).toLocaleString()} / ${Math.round(s.available).toLocaleString()}</span>
+                </div>
+                <div class="w-full bg-gray-200 rounded-full h-2 my-1">
+                    <div class="${barColor} h-2 rounded-full" style="width: ${Math.min(ratio, 1) * 100}%"></div>
+                </div>
+                <div class="text-xs text-right text-gray-500">${remainingText}</div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Renders the budget editor into a container and saves every change.
+ * @param {HTMLElement} container - Where to render.
+ * @param {Function} onChange - Called after a budget is saved.
+ */
+function renderBudgetSettings(container, onChange) {
+    const budgets = getBudgetSettings();
+    container.innerHTML = `
+        <table class="w-full text-sm">
+            <thead><tr class="text-left text-xs text-gray-500"><th class="py-1">分類</th><th class="py-1">每月預算</th><th class="py-1 text-center">結轉餘額</th></tr></thead>
+            <tbody>
+                ${getBudgetCategories().map(category => `
+                    <tr data-budget-category="${category.replace(/"/g, '&quot;')}">
+                        <td class="py-1 pr-2 whitespace-nowrap"><span class="inline-block w-3 h-3 rounded-full mr-1" style="background:${getCategoryColor('expense', category)}"></span>${category}</td>
+                        <td class="py-1 pr-2"><input type="number" min="0" step="100" class="budget-amount-input w-full p-1 border border-gray-300 rounded-md" value="${budgets[category] ? budgets[category].amount : ''}" placeholder="未設定"></td>
+                        <td class="py-1 text-center"><input type="checkbox" class="budget-rollover-input h-4 w-4" ${budgets[category] && budgets[category].rollover ? 'checked' : ''}></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <p class="text-xs text-gray-500 mt-2">預算以信用卡消費的上層分類計算。勾選「結轉餘額」後，每月剩餘 (或超支) 的金額會累計到下個月。</p>
+    `;
+    container.onchange = (e) => {
+        const row = e.target.closest('[data-budget-category]');
+        if (!row) return;
+        const amount = parseFloat(row.querySelector('.budget-amount-input').value);
+        setCategoryBudget(row.dataset.budgetCategory, isNaN(amount) ? 0 : amount, row.querySelector('.budget-rollover-input').checked);
+        onChange();
+    };
+}
@@ -0,0 +1,176 @@
+/**
+ * @file card-payments.js
+ * @description Links each credit card statement to the bank withdrawals that paid it, so the
+ * card page can show whether a bill was paid in full, partly or not at all, and flag bills that
+ * are past their due date without a payment. The paying withdrawals are marked as transfers, so
+ * the summary does not count the same spending on the card and again on the bank account.
+ */
+
+// --- Configuration ---
+const CARD_PAYMENT_DESCRIPTION_PATTERN = /信用卡|卡費|卡款|繳卡/;
+// Days after the due date (or statement date) in which a bank withdrawal can still pay a card bill.
+const CARD_PAYMENT_MATCH_DAYS = 10;
+// Used as the due date when a statement does not print one.
+const DEFAULT_CARD_PAYMENT_DAYS = 20;
+// Payments within this many dollars of the amount due count as paid in full.
+const CARD_PAYMENT_TOLERANCE = 1;
+const CARD_PAYMENT_TRANSFER = 'creditCardPayment';
+
+const CARD_PAYMENT_STATUS_LABELS = {
+    paid: '✅ 已繳清',
+    partial: '🟠 部分繳款',
+    unpaid: '⏳ 尚未繳款',
+    nothingDue: '本期無須繳款',
+    unknown: '銀行資料未涵蓋繳款期限',
+};
+
+// --- Date Helpers ---
+
+function isIsoDate(dateStr) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(dateStr || '');
+}
+
+function addDaysToDate(dateStr, days) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+function getTodayDateString() {
+    const today = new Date();
+    return `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+}
+
+function getCardDueDate(card) {
+    return isIsoDate(card.dueDate) ? card.dueDate : addDaysToDate(card.statementDate, DEFAULT_CARD_PAYMENT_DAYS);
+}
+
+// --- Linking ---
+
+function getCardIssuerName(card) {
+    return (card.bankName || '').replace(/銀行|商業|股份有限公司/g, '');
+}
+
+function mentionsCardPayment(row, card) {
+    const description = row.description || '';
+    const issuer = getCardIssuerName(card);
+    return CARD_PAYMENT_DESCRIPTION_PATTERN.test(description) && !!issuer && description.includes(issuer);
+}
+
+/**
+ * Links card statements to the withdrawals that paid them. Statements are linked oldest first;
+ * each withdrawal pays at most one statement. A withdrawal between the statement date and a few
+ * days after the due date pays the statement when it matches the amount due, or when it names
+ * a card payment and the issuer (several of those add up, e.g. a minimum payment and the rest).
+ * Statements without a printed `totalAmount` (e.g. rows added by hand) are not linked, and
+ * nothing is linked when no bank statements are loaded.
+ * @param {Array<object>} cardResults - Credit card statements.
+ * @param {Array<object>} bankResults - Bank statements.
+ * @param {string} [today] - YYYY-MM-DD, for the overdue check.
+ * @returns {Map<object, object>} Card statement → { status, dueDate, amountDue, paidAmount, payments, overdue },
+ * where status is 'paid', 'partial', 'unpaid', 'nothingDue' or 'unknown' (no payment found and the
+ * loaded bank statements end before the due date).
+ */
+function linkCardPayments(cardResults, bankResults, today = getTodayDateString()) {
+    const links = new Map();
+    if (bankResults.length === 0) return links;
+    const withdrawals = bankResults.flatMap(result => (result.withdrawals || []).filter(row => isIsoDate(row.date) && typeof row.amount === 'number' && row.amount > 0));
+    // The last day the loaded bank statements cover; a missing payment after it is not evidence.
+    const coveredUntil = bankResults
+        .map(result => (result.statementPeriod && result.statementPeriod.endDate) || result.statementDate)
+        .filter(isIsoDate)
+        .sort()
+        .pop() || '';
+    const used = new Set();
+
+    cardResults
+        .filter(card => isIsoDate(card.statementDate) && typeof card.totalAmount === 'number')
+        .sort((a, b) => a.statementDate.localeCompare(b.statementDate))
+        .forEach(card => {
+            const dueDate = getCardDueDate(card);
+            const amountDue = card.totalAmount;
+            const link = { status: 'unknown', dueDate, amountDue, paidAmount: 0, payments: [], overdue: false };
+            links.set(card, link);
+            if (amountDue <= 0) {
+                link.status = 'nothingDue';
+                return;
+            }
+            const to = addDaysToDate(dueDate, CARD_PAYMENT_MATCH_DAYS);
+            const candidates = withdrawals.filter(row => !used.has(row) && row.date >= card.statementDate && row.date <= to);
+            const exact = candidates.find(row => Math.abs(row.amount - amountDue) <= CARD_PAYMENT_TOLERANCE);
+            if (exact) {
+                link.payments = [exact];
+            } else {
+                for (const row of candidates.filter(row => mentionsCardPayment(row, card))) {
+                    link.payments.push(row);
+                    if (link.payments.reduce((sum, p) => sum + p.amount, 0) >= amountDue - CARD_PAYMENT_TOLERANCE) break;
+                }
+            }
+            link.payments.forEach(row => used.add(row));
+            link.paidAmount = link.payments.reduce((sum, row) => sum + row.amount, 0);
+
+            if (link.payments.length === 0) link.status = coveredUntil >= dueDate ? 'unpaid' : 'unknown';
+            else if (link.paidAmount >= amountDue - CARD_PAYMENT_TOLERANCE) link.status = 'paid';
+            else link.status = 'partial';
+            link.overdue = (link.status === 'unpaid' || link.status === 'partial') && dueDate < today;
+        });
+    return links;
+}
+
+/**
+ * Lists the withdrawals that pay card statements.
+ * @param {Array<object>} cardResults - Credit card statements.
+ * @param {Array<object>} bankResults - Bank statements.
+ * @returns {Map<object, object>} Withdrawal row → the card statement it pays.
+ */
+function matchCardPaymentWithdrawals(cardResults, bankResults) {
+    const matches = new Map();
+    linkCardPayments(cardResults, bankResults).forEach((link, card) => {
+        link.payments.forEach(row => matches.set(row, card));
+    });
+    return matches;
+}
+
+// --- Transfers ---
+
+function isCardPaymentWithdrawal(row) {
+    return row.transfer === CARD_PAYMENT_TRANSFER || CARD_PAYMENT_DESCRIPTION_PATTERN.test(row.description || '');
+}
+
+/**
+ * Marks the withdrawals in `allData.bankStatement` that pay a card bill with
+ * `transfer: 'creditCardPayment'`: those matched to a loaded card statement, and those whose
+ * description says they are a card payment.
+ * @param {object} allData - { creditCard, bankStatement }
+ * @returns {Map<object, object>} The withdrawals matched to a card statement, as from
+ * `matchCardPaymentWithdrawals`.
+ */
+function markCardPaymentTransfers(allData) {
+    const cardResults = Object.values(allData.creditCard || {}).flatMap(group => group.results || []);
+    const bankResults = Object.values(allData.bankStatement || {}).flatMap(group => group.results || []);
+    const matches = matchCardPaymentWithdrawals(cardResults, bankResults);
+    bankResults.forEach(result => (result.withdrawals || []).forEach(row => {
+        if (matches.has(row) || isCardPaymentWithdrawal(row)) row.transfer = CARD_PAYMENT_TRANSFER;
+    }));
+    return matches;
+}
+
+// --- Rendering ---
+
+/**
+ * Builds the payment status badges for the statements on one result card.
+ * @param {Array<object>} links - Links from `linkCardPayments`, one per statement.
+ * @returns {string} HTML for the badges.
+ */
+function renderCardPaymentBadge(links) {
+    return links.filter(Boolean).map(link => {
+        const paymentDetails = link.payments.map(row => `${row.date} ${row.description || ''} ${row.amount.toLocaleString()}`).join('\n');
+        const title = `繳款期限 ${link.dueDate}，應繳 ${link.amountDue.toLocaleString()}，已繳 ${link.paidAmount.toLocaleString()}${paymentDetails ? `\n${paymentDetails}` : ''}`.replace(/"/g, '&quot;');
+        if (link.overdue) {
+            const label = link.status === 'partial' ? '僅部分繳款' : '未找到繳款紀錄';
+            return `<span class="inline-block text-xs font-semibold bg-red-100 text-red-700 px-2 py-1 rounded" title="${title}">🚨 已逾期，${label} (期限 ${link.dueDate})</span>`;
+        }
+        const colors = { paid: 'bg-green-100 text-green-700', partial: 'bg-orange-100 text-orange-700', unpaid: 'bg-blue-100 text-blue-700' }[link.status] || 'bg-gray-100 text-gray-500';
+        const suffix = link.status === 'unpaid' ? ` (期限 ${link.dueDate})` : '';
+        return `<span class="inline-block text-xs ${colors} px-2 py-1 rounded" title="${title}">${CARD_PAYMENT_STATUS_LABELS[link.status]}${suffix}</span>`;
+    }).join(' ');
+}
@@ -0,0 +1,351 @@
+/**
+ * @file categories.js
+ * @description User-defined categories and merchant rules. Categories (with colours and an
+ * optional parent) are injected into the analysis prompts and used by validation and charts.
+ * Merchant rules ("description contains 全聯 → 居家生活") are learned when a category is
+ * corrected by hand and applied after every analysis and to previously saved data. Renamed and
+ * merged categories are remembered as aliases, so saved rows pick up the new name when loaded.
+ */
+
+// --- Configuration ---
+const CATEGORY_SETTINGS_KEY = 'categorySettings';
+const FALLBACK_CATEGORY = '其他';
+
+// Which category kind each statement list uses.
+const CATEGORY_LIST_KINDS = { transactions: 'expense', withdrawals: 'expense', deposits: 'income' };
+const CATEGORY_KIND_LABELS = { expense: '支出分類', income: '收入分類' };
+
+// Categories flagged `bankOnly` are offered for bank withdrawals but not card transactions.
+const DEFAULT_CATEGORIES = {
+    expense: [
+        { name: '餐飲美食', color: '#FF6384' },
+        { name: '交通出行', color: '#36A2EB' },
+        { name: '購物消費', color: '#FFCE56' },
+        { name: '居家生活', color: '#4BC0C0' },
+        { name: '休閒娛樂', color: '#9966FF' },
+        { name: '醫療保健', color: '#FF9F40' },
+        { name: '帳單繳費', color: '#C9CBCF' },
+        { name: '現金提款', color: '#F7464A', bankOnly: true },
+        { name: '轉帳支出', color: '#00BCD4', bankOnly: true },
+        { name: '其他', color: '#4D5360' },
+    ],
+    income: [
+        { name: '薪資入帳', color: '#4CAF50' },
+        { name: '他人轉入', color: '#8BC34A' },
+        { name: '現金存入', color: '#CDDC39' },
+        { name: '帳戶利息', color: '#009688' },
+        { name: '投資收益', color: '#00BCD4' },
+        { name: '其他', color: '#673AB7' },
+    ],
+};
+const CATEGORY_COLOR_PALETTE = ['#E91E63', '#3F51B5', '#795548', '#607D8B', '#FFC107', '#2196F3', '#8E24AA', '#43A047'];
+
+// --- Settings ---
+
+/**
+ * @returns {{categories: {expense: Array<object>, income: Array<object>}, rules: Array<object>, aliases: {expense: object, income: object}}}
+ */
+function getCategorySettings() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(CATEGORY_SETTINGS_KEY)) || {};
+    } catch (e) {
+        console.error("讀取分類設定失敗:", e);
+    }
+    const categories = saved.categories || {};
+    return {
+        categories: {
+            expense: Array.isArray(categories.expense) ? categories.expense : DEFAULT_CATEGORIES.expense.map(c => ({ ...c })),
+            income: Array.isArray(categories.income) ? categories.income : DEFAULT_CATEGORIES.income.map(c => ({ ...c })),
+        },
+        rules: Array.isArray(saved.rules) ? saved.rules : [],
+        aliases: { expense: {}, income: {}, ...(saved.aliases || {}) },
+    };
+}
+
+function saveCategorySettings(settings) {
+    localStorage.setItem(CATEGORY_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// --- Lookups ---
+
+function getCategories(kind) {
+    return getCategorySettings().categories[kind];
+}
+
+/**
+ * The category names allowed in a statement list, parents before their children and
+ * 「其他」 last.
+ * @param {string} listKey - 'transactions', 'withdrawals' or 'deposits'.
+ * @returns {Array<string>}
+ */
+function getCategoryNames(listKey) {
+    const categories = getCategories(CATEGORY_LIST_KINDS[listKey])
+        .filter(c => !(listKey === 'transactions' && c.bankOnly));
+    const names = categories.filter(c => !c.parent).flatMap(parent => [
+        parent.name,
+        ...categories.filter(c => c.parent === parent.name).map(c => c.name),
+    ]);
+    return [...names.filter(name => name !== FALLBACK_CATEGORY), FALLBACK_CATEGORY];
+}
+
+function findCategory(kind, name) {
+    return getCategories(kind).find(c => c.name === name) || null;
+}
+
+/**
+ * @returns {string} The top-level category a (possibly child) category rolls up to.
+ */
+function getTopLevelCategory(kind, name) {
+    const category = findCategory(kind, name);
+    return category && category.parent ? category.parent : name;
+}
+
+function getCategoryColor(kind, name) {
+    const category = findCategory(kind, name);
+    if (category && category.color) return category.color;
+    if (category && category.parent) return getCategoryColor(kind, category.parent);
+    const hash = [...String(name || '')].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+    return CATEGORY_COLOR_PALETTE[hash % CATEGORY_COLOR_PALETTE.length];
+}
+
+/**
+ * Formats a list's categories for an analysis prompt, e.g. `餐飲美食`, `居家生活` (子分類：`水電瓦斯`).
+ * @param {string} listKey - 'transactions', 'withdrawals' or 'deposits'.
+ * @returns {string}
+ */
+function formatCategoryPromptList(listKey) {
+    const names = getCategoryNames(listKey);
+    const kind = CATEGORY_LIST_KINDS[listKey];
+    return names
+        .filter(name => !(findCategory(kind, name) || {}).parent)
+        .map(name => {
+            const children = names.filter(child => (findCategory(kind, child) || {}).parent === name);
+            return children.length > 0
+                ? `\`${name}\` (子分類：${children.map(child => `\`${child}\``).join('、')}，請優先使用最貼切的子分類)`
+                : `\`${name}\``;
+        })
+        .join(', ');
+}
+
+// --- Category Management ---
+
+function assertEditableCategory(kind, name) {
+    if (!findCategory(kind, name)) throw new Error(`找不到分類「${name}」。`);
+    if (name === FALLBACK_CATEGORY) throw new Error(`「${FALLBACK_CATEGORY}」為預設分類，無法更名或合併。`);
+}
+
+function assertNewCategoryName(kind, name) {
+    if (!name) throw new Error('分類名稱不可空白。');
+    if (findCategory(kind, name)) throw new Error(`分類「${name}」已存在。`);
+}
+
+function assertValidParent(settings, kind, name, parent) {
+    if (!parent) return;
+    const parentCategory = settings.categories[kind].find(c => c.name === parent);
+    if (!parentCategory) throw new Error(`找不到上層分類「${parent}」。`);
+    if (parent === name || parent === FALLBACK_CATEGORY) throw new Error(`「${parent}」不能作為上層分類。`);
+    if (parentCategory.parent) throw new Error('分類僅支援兩層，子分類不能再有子分類。');
+    if (settings.categories[kind].some(c => c.parent === name)) throw new Error(`「${name}」已有子分類，不能再設定上層分類。`);
+}
+
+/**
+ * Points every alias and rule that targets `from` at `to`, and records `from → to`.
+ */
+function redirectCategory(settings, kind, from, to) {
+    const aliases = settings.aliases[kind];
+    Object.keys(aliases).forEach(key => {
+        if (aliases[key] === from) aliases[key] = to;
+    });
+    aliases[from] = to;
+    delete aliases[to];
+    settings.rules.forEach(rule => {
+        if (rule.kind === kind && rule.category === from) rule.category = to;
+    });
+}
+
+function addCategory(kind, { name, color, parent }) {
+    const settings = getCategorySettings();
+    const trimmed = (name || '').trim();
+    assertNewCategoryName(kind, trimmed);
+    assertValidParent(settings, kind, trimmed, parent);
+    const category = { name: trimmed, color: color || getCategoryColor(kind, trimmed) };
+    if (parent) category.parent = parent;
+    // Keep 「其他」 at the end of the list.
+    settings.categories[kind].splice(Math.max(settings.categories[kind].length - 1, 0), 0, category);
+    delete settings.aliases[kind][trimmed];
+    saveCategorySettings(settings);
+}
+
+function renameCategory(kind, oldName, newName) {
+    const trimmed = (newName || '').trim();
+    assertEditableCategory(kind, oldName);
+    assertNewCategoryName(kind, trimmed);
+    const settings = getCategorySettings();
+    settings.categories[kind].forEach(c => {
+        if (c.name === oldName) c.name = trimmed;
+        if (c.parent === oldName) c.parent = trimmed;
+    });
+    redirectCategory(settings, kind, oldName, trimmed);
+    saveCategorySettings(settings);
+}
+
+/**
+ * Merges `fromName` into `intoName`: its rows, rules and children move to `intoName`.
+ */
+function mergeCategory(kind, fromName, intoName) {
+    assertEditableCategory(kind, fromName);
+    if (!findCategory(kind, intoName) || fromName === intoName) throw new Error('請選擇另一個要合併進去的分類。');
+    const settings = getCategorySettings();
+    const into = settings.categories[kind].find(c => c.name === intoName);
+    settings.categories[kind] = settings.categories[kind].filter(c => c.name !== fromName);
+    settings.categories[kind].forEach(c => {
+        if (c.parent === fromName) {
+            // Children of a merged category move under the target, or become top-level if the target is itself a child.
+            if (into.parent) delete c.parent;
+            else c.parent = intoName;
+        }
+        if (c.name === intoName && c.parent === fromName) delete c.parent;
+    });
+    redirectCategory(settings, kind, fromName, intoName);
+    saveCategorySettings(settings);
+}
+
+function updateCategory(kind, name, { color, parent }) {
+    const settings = getCategorySettings();
+    const category = settings.categories[kind].find(c => c.name === name);
+    if (!category) throw new Error(`找不到分類「${name}」。`);
+    if (color !== undefined) category.color = color;
+    if (parent !== undefined) {
+        assertValidParent(settings, kind, name, parent);
+        if (parent) category.parent = parent;
+        else delete category.parent;
+    }
+    saveCategorySettings(settings);
+}
+
+// --- Merchant Rules ---
+
+/**
+ * Turns a transaction description into a rule pattern: the canonical merchant (see
+ * merchant-classifier.js), so the rule also matches the merchant's other branches and wallets.
+ */
+function getRulePatternFromDescription(description) {
+    return normalizeMerchantName(description);
+}
+
+function findCategoryRule(rules, kind, description) {
+    // Rules match the printed description or its canonical merchant.
+    const text = `${String(description || '').replace(/\s+/g, ' ')}\n${normalizeMerchantName(description)}`.toLowerCase();
+    return rules
+        .filter(rule => rule.kind === kind && rule.pattern && text.includes(rule.pattern.toLowerCase()))
+        // The most specific (longest) pattern wins.
+        .sort((a, b) => b.pattern.length - a.pattern.length)[0] || null;
+}
+
+/**
+ * Learns a rule from a category corrected by hand. A rule for the same pattern is replaced.
+ * @param {string} listKey - The list the row is in.
+ * @param {string} description - The row's description.
+ * @param {string} category - The corrected category.
+ * @returns {object|null} The rule, or null when nothing could be learned.
+ */
+function learnCategoryRule(listKey, description, category) {
+    const kind = CATEGORY_LIST_KINDS[listKey];
+    const pattern = getRulePatternFromDescription(description);
+    if (!kind || !pattern || !category || !getCategoryNames(listKey).includes(category)) return null;
+    const settings = getCategorySettings();
+    settings.rules = settings.rules.filter(rule => !(rule.kind === kind && rule.pattern === pattern));
+    const rule = { pattern, kind, category, learned: true };
+    settings.rules.push(rule);
+    saveCategorySettings(settings);
+    return rule;
+}
+
+function addCategoryRule(kind, pattern, category) {
+    const trimmed = (pattern || '').trim();
+    if (!trimmed) throw new Error('規則的關鍵字不可空白。');
+    if (!findCategory(kind, category)) throw new Error(`找不到分類「${category}」。`);
+    const settings = getCategorySettings();
+    settings.rules = settings.rules.filter(rule => !(rule.kind === kind && rule.pattern === trimmed));
+    settings.rules.push({ pattern: trimmed, kind, category, learned: false });
+    saveCategorySettings(settings);
+}
+
+function updateCategoryRule(index, changes) {
+    const settings = getCategorySettings();
+    const rule = settings.rules[index];
+    if (!rule) return;
+    if (changes.pattern !== undefined) {
+        const trimmed = changes.pattern.trim();
+        if (!trimmed) throw new Error('規則的關鍵字不可空白。');
+        rule.pattern = trimmed;
+    }
+    if (changes.category !== undefined) rule.category = changes.category;
+    // An edited rule is the user's own, not a learned one.
+    rule.learned = false;
+    saveCategorySettings(settings);
+}
+
+function removeCategoryRule(index) {
+    const settings = getCategorySettings();
+    settings.rules.splice(index, 1);
+    saveCategorySettings(settings);
+}
+
+/**
+ * Applies category aliases and merchant rules to a statement's rows, in place. Rows whose
+ * category was set by hand only follow aliases (renamed or merged categories); rules never
+ * override them.
+ * @param {object} result - A statement.
+ * @param {string} dataType - 'creditCard' or 'bankStatement'.
+ * @param {object} [settings] - Category settings, to avoid re-reading them per statement.
+ * @returns {number} How many rows changed category.
+ */
+function applyCategoryRules(result, dataType, settings = getCategorySettings()) {
+    let changed = 0;
+    STATEMENT_LIST_KEYS[dataType].filter(listKey => CATEGORY_LIST_KINDS[listKey]).forEach(listKey => {
+        const kind = CATEGORY_LIST_KINDS[listKey];
+        const allowed = getCategoryNames(listKey);
+        (result[listKey] || []).forEach(row => {
+            let category = row.category;
+            if (settings.aliases[kind][category]) category = settings.aliases[kind][category];
+            const rule = row.categorySource === 'manual' ? null : findCategoryRule(settings.rules, kind, row.description);
+            if (rule && allowed.includes(rule.category)) category = rule.category;
+            if (category !== row.category) {
+                row.category = category;
+                if (row.categorySource === 'model') {
+                    delete row.categorySource;
+                    delete row.categoryConfidence;
+                }
+                changed++;
+            }
+            if (row.unknownCategory && allowed.includes(row.category)) delete row.unknownCategory;
+        });
+    });
+    return changed;
+}
+
+/**
+ * Applies the rules to every successful item of a page's file queue.
+ * @returns {number} How many rows changed category.
+ */
+function applyCategoryRulesToQueue(queue, dataType) {
+    const settings = getCategorySettings();
+    return queue
+        .filter(item => item.status === 'success' && item.result)
+        .reduce((sum, item) => sum + applyCategoryRules(item.result, dataType, settings), 0);
+}
+
+/**
+ * Applies the rules to loaded data, e.g. on the summary page.
+ * @param {object} allData - { creditCard, bankStatement }
+ */
+function applyCategoryRulesToData(allData) {
+    const settings = getCategorySettings();
+    ['creditCard', 'bankStatement'].forEach(dataType => {
+        Object.values(allData[dataType] || {}).forEach(group => {
+            (group.results || []).forEach(result => applyCategoryRules(result, dataType, settings));
+        });
+    });
+}
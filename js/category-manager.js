@@ -0,0 +1,169 @@
+/**
+ * @file category-manager.js
+ * @description Logic for the category management page: adding, renaming, merging, colouring and
+ * nesting categories, and editing the merchant rules that assign them automatically.
+ */
+
+// --- Helpers ---
+
+function showCategoryStatus(message, isError = false) {
+    const status = document.getElementById('category-status');
+    status.textContent = message;
+    status.className = `text-center text-sm font-semibold ${isError ? 'text-red-600' : 'text-green-600'}`;
+}
+
+/**
+ * Runs a change, reports its outcome and re-renders the page.
+ */
+function runCategoryAction(action, successMessage) {
+    try {
+        action();
+        showCategoryStatus(successMessage);
+    } catch (e) {
+        console.error("更新分類設定失敗:", e);
+        showCategoryStatus(e.message, true);
+    }
+    renderCategoryManager();
+}
+
+function buildCategoryOptions(kind, selected, { includeNone = false, topLevelOnly = false, exclude = null } = {}) {
+    const options = getCategories(kind)
+        .filter(c => c.name !== exclude && !(topLevelOnly && (c.parent || c.name === FALLBACK_CATEGORY)))
+        .map(c => `<option value="${escapeHtml(c.name)}" ${c.name === selected ? 'selected' : ''}>${escapeHtml(c.parent ? `${c.parent} › ${c.name}` : c.name)}</option>`);
+    return (includeNone ? [`<option value="">(無上層分類)</option>`] : []).concat(options).join('');
+}
+
+// --- Rendering ---
+
+function renderCategoryList(panel, kind) {
+    const categories = getCategories(kind);
+    const ordered = categories.filter(c => !c.parent).flatMap(parent => [parent, ...categories.filter(c => c.parent === parent.name)]);
+    panel.querySelector('.category-list').innerHTML = ordered.map(category => {
+        const name = escapeHtml(category.name);
+        const isFallback = category.name === FALLBACK_CATEGORY;
+        const hasChildren = categories.some(c => c.parent === category.name);
+        return `
+            <div class="flex flex-wrap items-center gap-2 py-1 ${category.parent ? 'pl-8' : ''}" data-category-name="${name}">
+                <input type="color" class="category-color-input h-8 w-10 border rounded" value="${escapeHtml(getCategoryColor(kind, category.name))}" title="分類顏色">
+                <span class="font-medium flex-1 min-w-[6rem]">${category.parent ? '↳ ' : ''}${name}${category.bankOnly ? ' <span class="text-xs bg-gray-100 text-gray-500 px-1 rounded">僅銀行</span>' : ''}</span>
+                ${isFallback || hasChildren ? '' : `<select class="category-parent-select p-1 border border-gray-300 rounded-md text-sm" title="上層分類">${buildCategoryOptions(kind, category.parent || '', { includeNone: true, topLevelOnly: true, exclude: category.name })}</select>`}
+                ${isFallback ? '' : `
+                    <button class="rename-category-btn text-sm bg-gray-200 text-gray-700 px-2 py-1 rounded hover:bg-gray-300">更名</button>
+                    <select class="merge-category-select p-1 border border-gray-300 rounded-md text-sm" title="將此分類的交易與規則併入另一個分類">
+                        <option value="">合併至…</option>
+                        ${buildCategoryOptions(kind, null, { exclude: category.name })}
+                    </select>
+                `}
+            </div>
+        `;
+    }).join('');
+
+    panel.querySelector('.category-add-form').innerHTML = `
+        <input type="color" class="new-category-color h-9 w-10 border rounded" value="${CATEGORY_COLOR_PALETTE[categories.length % CATEGORY_COLOR_PALETTE.length]}">
+        <input type="text" class="new-category-name p-2 border border-gray-300 rounded-md flex-1 min-w-[8rem]" placeholder="新分類名稱">
+        <select class="new-category-parent p-2 border border-gray-300 rounded-md">${buildCategoryOptions(kind, '', { includeNone: true, topLevelOnly: true })}</select>
+        <button class="add-category-btn bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700">➕ 新增分類</button>
+    `;
+}
+
+function renderCategoryRules() {
+    const { rules } = getCategorySettings();
+    const tbody = document.getElementById('category-rules-body');
+    if (rules.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="text-center py-4 text-gray-500">尚無規則。在帳單頁面修改交易分類後會自動建立。</td></tr>';
+    } else {
+        tbody.innerHTML = rules.map((rule, index) => `
+            <tr data-rule-index="${index}">
+                <td class="py-2 px-3"><input type="text" class="rule-pattern-input w-full p-1 border border-gray-300 rounded-md" value="${escapeHtml(rule.pattern)}"></td>
+                <td class="py-2 px-3">${rule.kind === 'income' ? '收入' : '支出'}</td>
+                <td class="py-2 px-3"><select class="rule-category-select p-1 border border-gray-300 rounded-md">${buildCategoryOptions(rule.kind, rule.category)}</select></td>
+                <td class="py-2 px-3 text-gray-500">${rule.learned ? '自動學習' : '手動'}</td>
+                <td class="py-2 px-3 text-center"><button class="delete-rule-btn text-gray-400 hover:text-red-600">🗑️</button></td>
+            </tr>
+        `).join('');
+    }
+    const kind = document.getElementById('new-rule-kind').value;
+    document.getElementById('new-rule-category').innerHTML = buildCategoryOptions(kind, null);
+}
+
+function renderCategoryManager() {
+    document.querySelectorAll('[data-category-kind]').forEach(panel => renderCategoryList(panel, panel.dataset.categoryKind));
+    renderCategoryRules();
+}
+
+// --- Event Handling ---
+
+function addCategoryPanelListeners(panel) {
+    const kind = panel.dataset.categoryKind;
+    const getName = (e) => e.target.closest('[data-category-name]').dataset.categoryName;
+
+    panel.addEventListener('click', (e) => {
+        if (e.target.matches('.rename-category-btn')) {
+            const name = getName(e);
+            const newName = prompt(`將「${name}」更名為：`, name);
+            if (newName === null || newName.trim() === name) return;
+            runCategoryAction(() => renameCategory(kind, name, newName), `已將「${name}」更名為「${newName.trim()}」。`);
+        } else if (e.target.matches('.add-category-btn')) {
+            const name = panel.querySelector('.new-category-name').value;
+            const parent = panel.querySelector('.new-category-parent').value;
+            const color = panel.querySelector('.new-category-color').value;
+            runCategoryAction(() => addCategory(kind, { name, color, parent }), `已新增分類「${name.trim()}」。`);
+        }
+    });
+
+    panel.addEventListener('change', (e) => {
+        if (e.target.matches('.category-color-input')) {
+            const name = getName(e);
+            runCategoryAction(() => updateCategory(kind, name, { color: e.target.value }), `已更新「${name}」的顏色。`);
+        } else if (e.target.matches('.category-parent-select')) {
+            const name = getName(e);
+            runCategoryAction(() => updateCategory(kind, name, { parent: e.target.value }), `已更新「${name}」的上層分類。`);
+        } else if (e.target.matches('.merge-category-select')) {
+            const name = getName(e);
+            const into = e.target.value;
+            if (!into) return;
+            if (!confirm(`確定要將「${name}」合併至「${into}」嗎？「${name}」的交易與規則都會改用「${into}」。`)) {
+                e.target.value = '';
+                return;
+            }
+            runCategoryAction(() => mergeCategory(kind, name, into), `已將「${name}」合併至「${into}」。`);
+        }
+    });
+}
+
+function addRuleListeners() {
+    const tbody = document.getElementById('category-rules-body');
+    const getIndex = (e) => parseInt(e.target.closest('[data-rule-index]').dataset.ruleIndex, 10);
+
+    tbody.addEventListener('click', (e) => {
+        if (e.target.matches('.delete-rule-btn')) {
+            runCategoryAction(() => removeCategoryRule(getIndex(e)), '已刪除規則。');
+        }
+    });
+    tbody.addEventListener('change', (e) => {
+        if (e.target.matches('.rule-pattern-input')) {
+            runCategoryAction(() => updateCategoryRule(getIndex(e), { pattern: e.target.value }), '已更新規則。');
+        } else if (e.target.matches('.rule-category-select')) {
+            runCategoryAction(() => updateCategoryRule(getIndex(e), { category: e.target.value }), '已更新規則。');
+        }
+    });
+
+    document.getElementById('new-rule-kind').addEventListener('change', renderCategoryRules);
+    document.getElementById('add-rule-button').addEventListener('click', () => {
+        const pattern = document.getElementById('new-rule-pattern').value;
+        const kind = document.getElementById('new-rule-kind').value;
+        const category = document.getElementById('new-rule-category').value;
+        runCategoryAction(() => {
+            addCategoryRule(kind, pattern, category);
+            document.getElementById('new-rule-pattern').value = '';
+        }, `已新增規則「${pattern.trim()}」→「${category}」。`);
+    });
+}
+
+function initializeCategoryManager() {
+    document.querySelectorAll('[data-category-kind]').forEach(addCategoryPanelListeners);
+    addRuleListeners();
+    renderCategoryManager();
+}
+
+document.addEventListener('DOMContentLoaded', initializeCategoryManager);
@@ -6,6 +6,12 @@
 // --- Page-Specific State ---
 let activeCharts = {};
 let monthlyAndBankGroupedData = {}; 
+let duplicateSuggestions = [];
+let cardPaymentLinks = new Map();
+// Saved bank statements, used to find the withdrawals that paid each card bill.
+let linkedBankResults = [];
+// Local category model, retrained from the queue and the saved bank statements.
+let merchantModel = null;
 
 // --- Prompt Generation ---
 
@@ -34,20 +40,23 @@ function getBasePrompt(hash) {
         b. **一筆對應的、帶有「分期」字樣的全額負向交易** (例如：\`XXX分期 -10000\`)
         c. **一筆實際的、帶有期數說明的正向分期付款** (例如：\`XXX第1/10期 1000\`)
     * **處理規則：** 在最終的 JSON 輸出中，你**必須只保留(c)那筆實際的分期付款項目**。項目 (a) 和 (b) 必須被**忽略且不可計入** \`transactions\` 陣列中，以避免重複計算。
-4.  **交易分類邏輯 (Transaction-Reward Sorting Logic):**
+4.  **繳款紀錄處理 (Payment Handling):**
+    * 上期帳單的繳款紀錄 (例如「繳款-謝謝」、「自動扣繳」) **不是消費也不是回饋**，請勿放入任何陣列，而是將繳款總額 (正數) 填入 \`paymentAmount\`。
+    * 帳單上列出的上期應繳總額請填入 \`previousBalance\`；若帳單沒有列出，這兩個欄位請填 \`null\`。
+5.  **交易分類邏輯 (Transaction-Reward Sorting Logic):**
     * 在應用上述分期邏輯後，對剩餘的交易進行分類：
     * **一般消費（金額為正）**應放入根物件的 \`transactions\` 陣列中。
     * **回饋項目（金額為負**，且描述通常包含「回饋」、「返現」等）應放入根物件的 \`rewards\` 陣列中。
-5.  **\`transactions\` 物件**應包含以下欄位，並遵循外幣處理邏輯：
+6.  **\`transactions\` 物件**應包含以下欄位，並遵循外幣處理邏輯：
     * \`date\`, \`description\`, \`amount\`, \`foreignAmount\`, \`foreignCurrency\`, \`category\`
     * **外幣處理邏輯:**
         * **如果是一筆外幣消費**，請同時填寫 \`foreignAmount\` (外幣金額), \`foreignCurrency\` (幣別)，以及 \`amount\` (換算後的台幣金額)。
         * **如果該外幣消費沒有顯示台幣金額** (例如雙幣卡)，則 \`amount\` 欄位應為 \`null\`。
         * **如果是一筆台幣消費**，\`foreignAmount\` 和 \`foreignCurrency\` 欄位應為 \`null\`。
-6.  **\`rewards\` 物件**應包含以下欄位：
+7.  **\`rewards\` 物件**應包含以下欄位：
     * \`date\`, \`description\`, \`amount\`
-7.  **消費分類 (\`category\`)：** 僅需對 \`transactions\` 陣列中的項目進行分類。分類列表如下：
-    * \`餐飲美食\`, \`交通出行\`, \`購物消費\`, \`居家生活\`, \`休閒娛樂\`, \`醫療保健\`, \`帳單繳費\`, \`其他\`
+8.  **消費分類 (\`category\`)：** 僅需對 \`transactions\` 陣列中的項目進行分類。分類列表如下：
+    * ${formatCategoryPromptList('transactions')}
 
 ---
 
@@ -59,6 +68,8 @@ function getBasePrompt(hash) {
   "billHash": "${hash}",
   "statementDate": "YYYY-MM-DD",
   "dueDate": "YYYY-MM-DD",
+  "previousBalance": 0,
+  "paymentAmount": 0,
   "totalAmount": 0,
   "transactions": [],
   "rewards": []
@@ -72,9 +83,10 @@ function handleFiles(files) {
     if (files.length === 0) return;
     
     for (const file of files) {
-        if (file.type === 'application/pdf') {
+        const importFormat = getImportFormat(file);
+        if (file.type === 'application/pdf' || importFormat) {
             const fileId = `file-${crypto.randomUUID()}`;
-            fileQueue.push({ id: fileId, file: file, status: 'pending', result: null, hash: null });
+            fileQueue.push({ id: fileId, file: file, status: 'pending', result: null, hash: null, importFormat });
         }
     }
     renderFileQueue();
@@ -83,8 +95,10 @@ function handleFiles(files) {
 
 async function processQueue() {
     const apiKey = dom.apiKeyInput.value;
-    if (!apiKey) {
-        alert('請先輸入您的 Gemini API 金鑰。');
+    const hasAIAccess = Boolean(apiKey) || !getActiveAIProvider().requiresApiKey;
+    const hasPendingPdf = fileQueue.some(item => item.status === 'pending' && !item.importFormat);
+    if (!hasAIAccess && getParserMode() === 'ai' && hasPendingPdf) {
+        alert('請先輸入您的 AI 服務 API 金鑰。');
         return;
     }
     
@@ -96,10 +110,23 @@ async function processQueue() {
         if (item.status !== 'pending') continue;
         try {
             item.status = 'processing';
+            item.error = null;
+            item.templateName = null;
+            item.attempt = 0;
+            item.retryAt = null;
             renderFileQueue();
+            if (item.importFormat) {
+                const imported = await importTransactionFile(item.file, 'creditCard');
+                const loadedItem = fileQueue.find(i => i.loadedFromLocal && i.hash === imported.billHash);
+                item.hash = imported.billHash;
+                item.result = loadedItem ? loadedItem.result : imported;
+                item.loadedFromLocal = Boolean(loadedItem);
+                item.status = 'success';
+                continue;
+            }
             const fileData = await readFileAsArrayBuffer(item.file);
             
-            const { apiParts, hash } = await prepareApiPayload(fileData, item.file.name, getBasePrompt);
+            const { apiParts, hash, templateMatch } = await prepareApiPayload(fileData, item.file.name, getBasePrompt, 'creditCard');
             item.apiParts = apiParts;
             item.hash = hash;
 
@@ -108,10 +135,17 @@ async function processQueue() {
                  item.result = loadedItem.result;
                  item.status = 'success';
                  item.loadedFromLocal = true;
+            } else if (templateMatch) {
+                item.result = templateMatch.result;
+                item.templateName = templateMatch.template.name;
+                item.status = 'success';
+            } else if (!hasAIAccess) {
+                throw new Error('沒有符合的解析範本，且未提供 AI 服務 API 金鑰。');
             }
         } catch (error) {
             console.error(`預處理檔案 ${item.file.name} 失敗:`, error);
             item.status = 'error';
+            item.error = error.message;
         }
     }
     renderFileQueue();
@@ -119,13 +153,27 @@ async function processQueue() {
     const analysisPromises = fileQueue.map(async (item) => {
         if (item.status !== 'processing' || !item.apiParts) return item;
         try {
-            const selectedModel = dom.modelSelect.value;
-            const resultJson = await analyzeWithGemini(item.apiParts, apiKey, item.hash, selectedModel);
+            const selectedModel = getSelectedAIModel();
+            const resultJson = await scheduleWithRetry(
+                () => analyzeWithGemini(item.apiParts, apiKey, item.hash, selectedModel, 'creditCard'),
+                {
+                    onAttempt: (attempt) => {
+                        item.attempt = attempt;
+                        item.retryAt = null;
+                        renderFileQueue();
+                    },
+                    onRetry: (attempt, delay) => {
+                        item.retryAt = Date.now() + delay;
+                        renderFileQueue();
+                    },
+                }
+            );
             item.status = 'success';
             item.result = resultJson;
         } catch (error) {
             console.error(`分析檔案 ${item.file.name} 失敗:`, error);
             item.status = 'error';
+            item.error = error.message;
         } finally {
             delete item.apiParts;
         }
@@ -133,6 +181,7 @@ async function processQueue() {
     });
 
     await Promise.allSettled(analysisPromises);
+    categorizeQueue();
     
     renderFileQueue();
     renderAggregatedResults();
@@ -143,6 +192,35 @@ async function processQueue() {
 }
 
 
+// --- Categorisation ---
+
+/**
+ * Applies the merchant rules, retrains the local model and lets it fill in uncategorised rows.
+ * @returns {number} How many rows changed category.
+ */
+function categorizeQueue() {
+    const changed = applyCategoryRulesToQueue(fileQueue, 'creditCard');
+    merchantModel = buildMerchantModel([
+        ...getQueueTrainingSources(fileQueue, 'creditCard'),
+        { dataType: 'bankStatement', results: linkedBankResults, confirmed: true },
+    ]);
+    return changed + applyMerchantModelToQueue(fileQueue, 'creditCard', merchantModel);
+}
+
+/**
+ * Records a category chosen by hand and learns a merchant rule from it.
+ * @returns {number} How many other rows changed category as a result.
+ */
+function confirmRowCategory(row, tableType, category) {
+    row.category = category;
+    row.categorySource = 'manual';
+    delete row.categoryConfidence;
+    delete row.unknownCategory;
+    learnCategoryRule(tableType, row.description, category);
+    return categorizeQueue();
+}
+
+
 // --- Data Loading and Saving ---
 
 function processLoadedData(data) {
@@ -179,10 +257,18 @@ function processLoadedData(data) {
     }
 }
 
+function getLinkedBankResults(fullData) {
+    if (!fullData || !fullData.bankStatement) return [];
+    return Object.values(fullData.bankStatement).flatMap(group => group.results || []);
+}
+
 async function handleLoadFile(file) {
     try {
         const fullData = await loadAnalysisData(file);
+        linkedBankResults = getLinkedBankResults(fullData);
         processLoadedData(fullData ? fullData.creditCard : null);
+        categorizeQueue();
+        renderAggregatedResults();
     } catch (error) {
         alert(error.message);
         dom.loadStatus.classList.add('hidden');
@@ -192,7 +278,12 @@ async function handleLoadFile(file) {
 async function autoLoadSavedData() {
     try {
         const fullData = await loadAnalysisData();
+        linkedBankResults = getLinkedBankResults(fullData);
         processLoadedData(fullData ? fullData.creditCard : null);
+        markQueueItemsSaved(fileQueue);
+        categorizeQueue();
+        renderAggregatedResults();
+        if (fullData) startPaymentReminders(() => fullData);
     } catch (error) {
         console.error("自動載入失敗:", error);
     }
@@ -221,11 +312,13 @@ function getBillingMonth(statementDateStr, cutoffDay) {
 
 function renderAggregatedResults() {
     const successfulResults = fileQueue.filter(item => item.status === 'success' && item.result);
-    dom.saveButton.disabled = successfulResults.length === 0;
+    dom.saveButton.disabled = successfulResults.length === 0 && pendingStatementDeletions.size === 0;
     
     const cutoffDay = parseInt(dom.cutoffDayInput.value, 10);
     
     monthlyAndBankGroupedData = {};
+    duplicateSuggestions = findDuplicateSuggestions(successfulResults, 'creditCard');
+    cardPaymentLinks = linkCardPayments(successfulResults.map(item => item.result), linkedBankResults);
 
     const monthlyGroups = successfulResults.reduce((acc, item) => {
         const billingMonth = getBillingMonth(item.result.statementDate, cutoffDay);
@@ -265,7 +358,7 @@ function createMonthSection(month, items) {
     section.className = 'month-section';
     section.dataset.month = month;
 
-    section.innerHTML = `<h3 class="text-2xl font-bold mb-4 border-b pb-2">帳單月份：${month}</h3>`;
+    section.innerHTML = `<h3 class="text-2xl font-bold mb-4 border-b pb-2">帳單月份：${month}<span class="budget-alert"></span></h3>`;
 
     const contentGrid = document.createElement('div');
     contentGrid.className = 'grid lg:grid-cols-3 gap-8';
@@ -281,6 +374,7 @@ function createMonthSection(month, items) {
                 rewards: [], 
                 totalAmount: 0, 
                 count: 0,
+                duplicates: [],
                 txSortState: { key: 'date', direction: 'asc' },
                 rwSortState: { key: 'date', direction: 'asc' }
             };
@@ -289,6 +383,7 @@ function createMonthSection(month, items) {
         if(Array.isArray(item.result.rewards)) acc[bankName].rewards.push(...item.result.rewards.map((rw, index) => ({...rw, originalIndex: `${item.id}_${index}`})));
         acc[bankName].totalAmount += item.result.totalAmount || 0;
         acc[bankName].count++;
+        acc[bankName].duplicates.push(...duplicateSuggestions.filter(s => s.duplicate.itemId === item.id));
         return acc;
     }, {});
 
@@ -319,11 +414,16 @@ function createResultCard(bankName, data, month) {
 
     card.innerHTML = `
         <div>
-            <h4 class="text-xl font-bold mb-2">${bankName}</h4>
+            <div class="flex flex-wrap items-center gap-2 mb-2">
+                <h4 class="text-xl font-bold">${bankName}</h4>
+                <div class="reconciliation-badge"></div>
+                <div class="payment-badge"></div>
+            </div>
             <div class="grid grid-cols-2 gap-4 mb-4 text-center">
                 <div><p class="text-sm text-gray-500">帳單數量</p><p class="text-lg font-semibold">${data.count}</p></div>
                 <div><p class="text-sm text-gray-500">總應繳金額</p><p class="text-lg font-semibold text-red-600">${data.totalAmount.toLocaleString()}</p></div>
             </div>
+            ${renderDuplicateSuggestions(data.duplicates)}
         </div>
     `;
     
@@ -385,10 +485,10 @@ function renderTableRows(tbody, items, type) {
             row.innerHTML = `
                 <td class="py-2 px-3" contenteditable="true" data-index="${item.originalIndex}" data-field="date">${item.date || ''}</td>
                 <td class="py-2 px-3" contenteditable="true" data-index="${item.originalIndex}" data-field="description">${item.description || ''}</td>
-                <td class="py-2 px-3" contenteditable="true" data-index="${item.originalIndex}" data-field="category">${item.category || '其他'}</td>
+                <td class="py-2 px-3 ${item.unknownCategory ? 'bg-yellow-100' : ''}" contenteditable="true" data-index="${item.originalIndex}" data-field="category" ${item.unknownCategory ? 'title="此分類不在分類清單中"' : ''}>${item.category || '其他'}</td>
                 <td class="py-2 px-3 text-center">${foreignCurrencyHtml}</td>
                 <td class="py-2 px-3 text-right font-medium" contenteditable="true" data-index="${item.originalIndex}" data-field="amount">${(item.amount === null ? 'N/A' : (item.amount || 0).toLocaleString())}</td>
-                <td class="py-2 px-3 text-center"><button class="delete-row-btn text-gray-400 hover:text-red-600" data-index="${item.originalIndex}">🗑️</button></td>
+                <td class="py-2 px-3 text-center whitespace-nowrap"><span class="category-suggestion">${renderCategorySuggestion(item, 'transactions', merchantModel, item.originalIndex)}</span> <button class="delete-row-btn text-gray-400 hover:text-red-600" data-index="${item.originalIndex}">🗑️</button></td>
             `;
         } else { // rewards
             row.innerHTML = `
@@ -425,6 +525,20 @@ function addCardEventListeners(card) {
                 fileItem.result[tableType].splice(itemIndex, 1);
                 renderAggregatedResults();
             }
+        } else if (e.target.matches('.apply-category-suggestion-btn')) {
+            const index = e.target.dataset.index;
+            const lastUnderscoreIndex = index.lastIndexOf('_');
+            const fileItem = fileQueue.find(i => i.id === index.substring(0, lastUnderscoreIndex));
+            const row = fileItem && fileItem.result && fileItem.result.transactions[parseInt(index.substring(lastUnderscoreIndex + 1), 10)];
+            if (!row) return;
+            confirmRowCategory(row, 'transactions', e.target.dataset.category);
+            renderAggregatedResults();
+        } else if (e.target.matches('.merge-duplicate-btn, .dismiss-duplicate-btn')) {
+            const suggestion = duplicateSuggestions.find(s => s.key === e.target.dataset.duplicateKey);
+            if (!suggestion) return;
+            if (e.target.matches('.merge-duplicate-btn')) mergeDuplicateSuggestion(suggestion, fileQueue);
+            else dismissDuplicateSuggestion(suggestion);
+            renderAggregatedResults();
         } else if (e.target.matches('.add-row-btn')) {
             const bankName = e.target.closest('[data-bank-name]').dataset.bankName;
             const month = e.target.closest('[data-month]').dataset.month;
@@ -484,6 +598,19 @@ function addCardEventListeners(card) {
                 const parsedValue = parseFloat(value.replace(/,/g, ''));
                 originalItem[field] = isNaN(parsedValue) ? 0 : parsedValue;
                 e.target.textContent = originalItem[field].toLocaleString();
+            } else if (field === 'category') {
+                const previousValue = originalItem.category;
+                originalItem.category = value;
+                delete originalItem.unknownCategory;
+                e.target.classList.remove('bg-yellow-100');
+                if (value !== previousValue) {
+                    // Remember the correction for this merchant and apply it to the other rows.
+                    if (confirmRowCategory(originalItem, tableType, value) > 0) {
+                        renderAggregatedResults();
+                        return;
+                    }
+                    e.target.closest('tr').querySelector('.category-suggestion').innerHTML = renderCategorySuggestion(originalItem, tableType, merchantModel, index);
+                }
             } else {
                 originalItem[field] = value;
             }
@@ -564,6 +691,11 @@ function updateSubtotals(bankName, month) {
     const txSubtotal = itemsForThisBankInMonth.reduce((sum, item) => sum + (item.result.transactions || []).reduce((txSum, tx) => txSum + (tx.amount || 0), 0), 0);
     const rwSubtotal = itemsForThisBankInMonth.reduce((sum, item) => sum + (item.result.rewards || []).reduce((rwSum, rw) => rwSum + (rw.amount || 0), 0), 0);
 
+    const badge = cardElement.querySelector('.reconciliation-badge');
+    if (badge) badge.innerHTML = renderReconciliationBadge(itemsForThisBankInMonth.map(item => reconcileCreditCardStatement(item.result)));
+    const paymentBadge = cardElement.querySelector('.payment-badge');
+    if (paymentBadge) paymentBadge.innerHTML = renderCardPaymentBadge(itemsForThisBankInMonth.map(item => cardPaymentLinks.get(item.result)));
+
     const txTable = cardElement.querySelector('table[data-table-type="transactions"]');
     if (txTable) {
         let tfoot = txTable.querySelector('tfoot');
@@ -597,6 +729,10 @@ function createMonthlyChartContainer(month) {
     canvas.id = `chart-${month}`;
     canvasContainer.appendChild(canvas);
     stickyWrapper.appendChild(canvasContainer);
+    const budgetContainer = document.createElement('div');
+    budgetContainer.id = `budget-progress-${month}`;
+    budgetContainer.className = 'mt-4 space-y-2';
+    stickyWrapper.appendChild(budgetContainer);
     container.appendChild(stickyWrapper);
     return container;
 }
@@ -625,7 +761,6 @@ function renderMonthlyChart(month, items) {
 
     const labels = Object.keys(categorySpending);
     const data = Object.values(categorySpending);
-    const backgroundColors = ['#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0', '#9966FF', '#FF9F40', '#C9CBCF', '#4D5360'];
 
     if (activeCharts[month]) {
         activeCharts[month].destroy();
@@ -638,7 +773,7 @@ function renderMonthlyChart(month, items) {
             datasets: [{
                 label: '消費金額',
                 data: data,
-                backgroundColor: backgroundColors.slice(0, labels.length),
+                backgroundColor: labels.map(label => getCategoryColor('expense', label)),
                 hoverOffset: 4
             }]
         },
@@ -664,6 +799,34 @@ function renderMonthlyChart(month, items) {
             }
         }
     });
+    renderMonthBudgets();
+}
+
+/**
+ * Updates the budget bars of every month section and flags months that went over budget.
+ * With roll-over each month depends on the earlier ones, so all months are redrawn together.
+ */
+function renderMonthBudgets() {
+    const cutoffDay = parseInt(dom.cutoffDayInput.value, 10);
+    const spendingByMonth = {};
+    fileQueue.filter(item => item.status === 'success' && item.result).forEach(item => {
+        const month = getBillingMonth(item.result.statementDate, cutoffDay);
+        spendingByMonth[month] = addCategorySpending(spendingByMonth[month] || {}, item.result.transactions);
+    });
+    const budgets = getBudgetSettings();
+    document.querySelectorAll('.month-section').forEach(section => {
+        const month = section.dataset.month;
+        const status = getBudgetStatus(spendingByMonth, month, budgets);
+        const overCategories = status.filter(s => s.over).map(s => s.category);
+        const container = document.getElementById(`budget-progress-${month}`);
+        if (container) {
+            container.innerHTML = status.length > 0 ? `<p class="font-semibold border-t pt-4">每月預算</p>${renderBudgetProgress(status)}` : '';
+        }
+        section.querySelector('.budget-alert').innerHTML = overCategories.length > 0
+            ? `<span class="ml-3 align-middle text-sm font-semibold bg-red-100 text-red-700 px-2 py-1 rounded">⚠️ 超出預算：${overCategories.join('、')}</span>`
+            : '';
+        section.querySelector('h3').classList.toggle('border-red-300', overCategories.length > 0);
+    });
 }
 
 function loadPasswordPresets() {
@@ -679,6 +842,15 @@ function loadPasswordPresets() {
 function initializeApp() {
     initializeDOMElements();
     loadApiKey();
+    initializeAIProviderControls();
+    initializeParserModeControl();
+    initializeOcrModeControl();
+    initializeSchedulerControls();
+    initializeRedactionSettings();
+    initializeEncryptionControls();
+    initializeExportControls(() => ({
+        creditCard: fileQueue.filter(item => item.status === 'success' && item.result).map(item => item.result),
+    }));
     loadPasswordPresets();
     autoLoadSavedData();
 
@@ -723,7 +895,9 @@ function initializeApp() {
 
     dom.clearStorageButton.addEventListener('click', clearAnalysisData);
 
+    dom.cutoffDayInput.value = getCutoffDay();
     dom.cutoffDayInput.addEventListener('change', () => {
+        saveCutoffDay(parseInt(dom.cutoffDayInput.value, 10));
         if (fileQueue.some(item => item.status === 'success')) {
             renderAggregatedResults();
         }
@@ -739,7 +913,12 @@ function initializeApp() {
         handleLoadFile(e.dataTransfer.files[0]);
     });
     
-    dom.saveButton.addEventListener('click', () => saveAnalysisData('creditCard', fileQueue));
+    dom.saveButton.addEventListener('click', async () => {
+        if (await saveAnalysisData('creditCard', fileQueue)) {
+            renderFileQueue();
+            renderAggregatedResults();
+        }
+    });
     
     dom.dragArea.addEventListener('click', () => dom.fileInput.click());
     dom.dragArea.addEventListener('dragover', (e) => { e.preventDefault(); dom.dragArea.classList.add('active'); });
@@ -760,6 +939,14 @@ function initializeApp() {
             dom.passwordModalError.classList.add('hidden');
         }
     });
+    dom.passwordModalCancel.addEventListener('click', () => {
+        if (passwordResolver) {
+            passwordResolver(null);
+            dom.passwordModal.classList.add('hidden');
+            dom.passwordModalInput.value = '';
+            dom.passwordModalError.classList.add('hidden');
+        }
+    });
 
     dom.fileQueueContainer.addEventListener('click', (e) => {
         const fileId = e.target.dataset.fileId;
@@ -778,6 +965,7 @@ function initializeApp() {
             renderFileQueue();
             renderAggregatedResults();
         } else if (e.target.classList.contains('remove-file-btn')) {
+            recordStatementDeletion(fileItem);
             fileQueue = fileQueue.filter(item => item.id !== fileId);
             renderFileQueue();
             renderAggregatedResults();
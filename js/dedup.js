@@ -0,0 +1,165 @@
+/**
+ * @file dedup.js
+ * @description Finds transactions that appear more than once, within one statement (card
+ * statements often repeat pending items) or across statements (overlapping uploads), and offers
+ * them as merge suggestions on the result cards. Card payments between the bank account and a
+ * card are not duplicates; card-payments.js marks those as transfers.
+ */
+
+// --- Configuration ---
+// Rows whose dates are at most this many days apart can be duplicates.
+const DUPLICATE_DATE_TOLERANCE_DAYS = 2;
+// Minimum description similarity (0–1) for two rows with the same amount to be duplicates.
+const DUPLICATE_DESCRIPTION_SIMILARITY = 0.6;
+const DISMISSED_DUPLICATES_KEY = 'dismissedDuplicateSuggestions';
+
+// --- Matching Helpers ---
+
+function parseDedupDate(dateStr) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr || '');
+    return match ? Date.UTC(+match[1], +match[2] - 1, +match[3]) : null;
+}
+
+function normalizeDescriptionForMatch(description) {
+    return String(description || '').toLowerCase()
+        // Reference numbers and card tails differ between copies of the same charge.
+        .replace(/\d{3,}/g, '')
+        .replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Scores how alike two descriptions are: 1 when one contains the other, otherwise the Dice
+ * coefficient of their character bigrams.
+ * @returns {number} 0–1.
+ */
+function getDescriptionSimilarity(a, b) {
+    const left = normalizeDescriptionForMatch(a);
+    const right = normalizeDescriptionForMatch(b);
+    if (!left || !right) return left === right ? 1 : 0;
+    if (left.includes(right) || right.includes(left)) return 1;
+    const bigrams = (text) => {
+        const counts = new Map();
+        for (let i = 0; i < text.length - 1; i++) {
+            const gram = text.slice(i, i + 2);
+            counts.set(gram, (counts.get(gram) || 0) + 1);
+        }
+        return counts;
+    };
+    const leftGrams = bigrams(left);
+    const rightGrams = bigrams(right);
+    let shared = 0;
+    leftGrams.forEach((count, gram) => { shared += Math.min(count, rightGrams.get(gram) || 0); });
+    const total = Math.max(left.length - 1, 0) + Math.max(right.length - 1, 0);
+    return total === 0 ? 0 : (2 * shared) / total;
+}
+
+// --- Duplicate Suggestions ---
+
+function getDuplicateRowSignature(list, row) {
+    return [list, row.date || '', row.amount, normalizeDescriptionForMatch(row.description)].join('|');
+}
+
+function getDismissedDuplicates() {
+    try {
+        return new Set(JSON.parse(localStorage.getItem(DISMISSED_DUPLICATES_KEY)) || []);
+    } catch (e) {
+        console.error("讀取已忽略的重複交易失敗:", e);
+        return new Set();
+    }
+}
+
+function dismissDuplicateSuggestion(suggestion) {
+    const dismissed = getDismissedDuplicates();
+    dismissed.add(suggestion.key);
+    localStorage.setItem(DISMISSED_DUPLICATES_KEY, JSON.stringify([...dismissed]));
+}
+
+/**
+ * Finds likely duplicate rows among the statements in the queue.
+ * @param {Array<object>} queueItems - Successful queue items.
+ * @param {string} dataType - 'creditCard' or 'bankStatement'.
+ * @returns {Array<object>} Suggestions { key, list, keep, duplicate, similarity }, where `keep`
+ * and `duplicate` are { itemId, index, row, label }. Each row is suggested as a duplicate once.
+ */
+function findDuplicateSuggestions(queueItems, dataType) {
+    const dismissed = getDismissedDuplicates();
+    const suggestions = [];
+    STATEMENT_LIST_KEYS[dataType].forEach(list => {
+        const byAmount = new Map();
+        queueItems.forEach(item => {
+            (item.result[list] || []).forEach((row, index) => {
+                if (typeof row.amount !== 'number' || row.amount === 0 || parseDedupDate(row.date) === null) return;
+                const entry = { itemId: item.id, index, row, label: item.result.statementDate || item.file.name };
+                const key = row.amount.toFixed(2);
+                if (!byAmount.has(key)) byAmount.set(key, []);
+                byAmount.get(key).push(entry);
+            });
+        });
+
+        byAmount.forEach(entries => {
+            const claimed = new Set();
+            entries.forEach((keep, i) => {
+                if (claimed.has(keep)) return;
+                entries.slice(i + 1).forEach(candidate => {
+                    if (claimed.has(candidate)) return;
+                    const days = Math.abs(parseDedupDate(keep.row.date) - parseDedupDate(candidate.row.date)) / 86400000;
+                    if (days > DUPLICATE_DATE_TOLERANCE_DAYS) return;
+                    const similarity = getDescriptionSimilarity(keep.row.description, candidate.row.description);
+                    if (similarity < DUPLICATE_DESCRIPTION_SIMILARITY) return;
+                    const key = [getDuplicateRowSignature(list, keep.row), getDuplicateRowSignature(list, candidate.row)].sort().join('~');
+                    if (dismissed.has(key)) return;
+                    claimed.add(candidate);
+                    suggestions.push({ key, list, keep, duplicate: candidate, similarity });
+                });
+            });
+        });
+    });
+    return suggestions;
+}
+
+/**
+ * Merges a suggested duplicate into the row it repeats: fields the kept row is missing are
+ * copied over, then the duplicate row is removed from its statement.
+ * @param {object} suggestion - From `findDuplicateSuggestions`.
+ * @param {Array<object>} queue - The page's file queue.
+ * @returns {boolean} Whether the rows were still in place and got merged.
+ */
+function mergeDuplicateSuggestion(suggestion, queue) {
+    const keepItem = queue.find(item => item.id === suggestion.keep.itemId);
+    const duplicateItem = queue.find(item => item.id === suggestion.duplicate.itemId);
+    const keepRow = keepItem && keepItem.result[suggestion.list] && keepItem.result[suggestion.list][suggestion.keep.index];
+    const rows = duplicateItem && duplicateItem.result[suggestion.list];
+    if (!keepRow || !rows || rows[suggestion.duplicate.index] !== suggestion.duplicate.row) return false;
+
+    const duplicateRow = suggestion.duplicate.row;
+    Object.keys(duplicateRow).forEach(field => {
+        const missing = keepRow[field] === undefined || keepRow[field] === null || keepRow[field] === '' || (field === 'category' && keepRow[field] === '其他');
+        if (missing && duplicateRow[field] !== undefined && duplicateRow[field] !== null) keepRow[field] = duplicateRow[field];
+    });
+    rows.splice(suggestion.duplicate.index, 1);
+    return true;
+}
+
+/**
+ * Builds the suggestion box shown in a result card.
+ * @param {Array<object>} suggestions - The suggestions whose duplicate row is on this card.
+ * @returns {string} HTML, empty when there is nothing to suggest.
+ */
+function renderDuplicateSuggestions(suggestions) {
+    if (suggestions.length === 0) return '';
+    const describe = (entry) => `${entry.row.date} ${entry.row.description || ''} <span class="font-semibold">${entry.row.amount.toLocaleString()}</span> <span class="text-gray-500">(${entry.label})</span>`;
+    return `
+        <div class="bg-yellow-50 border border-yellow-200 rounded-md p-3 text-sm">
+            <p class="font-semibold text-yellow-800 mb-2">🔍 發現 ${suggestions.length} 筆可能重複的交易</p>
+            <ul class="space-y-2">
+                ${suggestions.map(s => `
+                    <li class="flex flex-wrap items-center gap-2">
+                        <span class="flex-1 min-w-0">${describe(s.duplicate)}<br><span class="text-gray-500">與</span> ${describe(s.keep)}</span>
+                        <button class="merge-duplicate-btn bg-yellow-600 text-white px-2 py-1 rounded hover:bg-yellow-700" data-duplicate-key="${s.key.replace(/"/g, '&quot;')}">合併</button>
+                        <button class="dismiss-duplicate-btn bg-gray-200 text-gray-700 px-2 py-1 rounded hover:bg-gray-300" data-duplicate-key="${s.key.replace(/"/g, '&quot;')}">不是重複</button>
+                    </li>
+                `).join('')}
+            </ul>
+        </div>
+    `;
+}
@@ -0,0 +1,114 @@
+/**
+ * @file encryption.js
+ * @description Passphrase encryption for backups and the browser copy of saved analyses.
+ * A key is derived from the passphrase with PBKDF2 (SHA-256) and data is sealed with AES-GCM.
+ * Exported backups are wrapped in a self-describing envelope that carries the salt and
+ * iteration count, so they can be opened on any machine with just the passphrase.
+ */
+
+// --- Configuration ---
+const ENCRYPTED_ENVELOPE_FORMAT = 'intelligentAnalyzer/encrypted';
+const ENCRYPTED_ENVELOPE_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+const ENCRYPTION_SALT_BYTES = 16;
+const ENCRYPTION_IV_BYTES = 12;
+
+// --- Encoding Helpers ---
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+function generateEncryptionSalt() {
+    return bytesToBase64(crypto.getRandomValues(new Uint8Array(ENCRYPTION_SALT_BYTES)));
+}
+
+// --- Keys ---
+
+/**
+ * Derives an AES-GCM key from a passphrase.
+ * @param {string} passphrase - The user's passphrase.
+ * @param {string} salt - Base64 salt.
+ * @param {number} [iterations] - PBKDF2 iteration count.
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveEncryptionKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+    const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: base64ToBytes(salt), iterations },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// --- Sealing ---
+
+/**
+ * Encrypts any JSON-serialisable value.
+ * @returns {Promise<{iv: string, data: string}>} Base64 IV and ciphertext.
+ */
+async function encryptWithKey(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(ENCRYPTION_IV_BYTES));
+    const plaintext = new TextEncoder().encode(JSON.stringify(value));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+    return { iv: bytesToBase64(iv), data: bytesToBase64(ciphertext) };
+}
+
+/**
+ * Reverses `encryptWithKey`. AES-GCM is authenticated, so a wrong key or tampered data rejects.
+ */
+async function decryptWithKey(key, sealed) {
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(sealed.iv) }, key, base64ToBytes(sealed.data));
+    return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+// --- Backup Envelopes ---
+
+function isEncryptedEnvelope(data) {
+    return !!data && typeof data === 'object' && data.format === ENCRYPTED_ENVELOPE_FORMAT;
+}
+
+/**
+ * Wraps a backup in an encrypted envelope.
+ * @param {*} value - The backup data.
+ * @param {CryptoKey} key - A key derived from `salt` with `deriveEncryptionKey`.
+ * @param {string} salt - The base64 salt the key was derived with.
+ * @param {number} [iterations] - The PBKDF2 iteration count the key was derived with.
+ * @returns {Promise<object>} The envelope.
+ */
+async function encryptBackup(value, key, salt, iterations = PBKDF2_ITERATIONS) {
+    return {
+        format: ENCRYPTED_ENVELOPE_FORMAT,
+        version: ENCRYPTED_ENVELOPE_VERSION,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt },
+        cipher: 'AES-GCM',
+        ...(await encryptWithKey(key, value)),
+    };
+}
+
+/**
+ * Opens an encrypted envelope.
+ * @param {object} envelope - The envelope from `encryptBackup`.
+ * @param {string} passphrase - The passphrase to try.
+ * @returns {Promise<*>} The backup data.
+ * @throws {Error} When the passphrase is wrong or the envelope is not supported.
+ */
+async function decryptBackup(envelope, passphrase) {
+    if (envelope.version > ENCRYPTED_ENVELOPE_VERSION || envelope.cipher !== 'AES-GCM' || !envelope.kdf || envelope.kdf.name !== 'PBKDF2') {
+        throw new Error('不支援的加密格式，請更新至最新版本。');
+    }
+    const key = await deriveEncryptionKey(passphrase, envelope.kdf.salt, envelope.kdf.iterations);
+    try {
+        return await decryptWithKey(key, envelope);
+    } catch (e) {
+        throw new Error('密碼錯誤或檔案已損毀。');
+    }
+}
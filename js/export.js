@@ -0,0 +1,168 @@
+/**
+ * @file export.js
+ * @description Flat CSV and Excel export of every transaction, reward, withdrawal and deposit,
+ * one row each, for use in spreadsheets and accounting software.
+ */
+
+// --- Configuration ---
+const TRANSACTION_EXPORT_COLUMNS = [
+    { key: 'source', label: '來源' },
+    { key: 'bankName', label: '銀行' },
+    { key: 'accountNumber', label: '帳號' },
+    { key: 'statementDate', label: '帳單日期' },
+    { key: 'billingMonth', label: '帳單月份' },
+    { key: 'kind', label: '項目' },
+    { key: 'date', label: '交易日期' },
+    { key: 'description', label: '說明' },
+    { key: 'category', label: '分類' },
+    { key: 'amount', label: '金額' },
+    { key: 'foreignAmount', label: '外幣金額' },
+    { key: 'foreignCurrency', label: '幣別' },
+];
+
+const EXPORT_SOURCES = {
+    creditCard: { label: '信用卡', sheetName: '信用卡', lists: { transactions: '消費', rewards: '回饋' } },
+    bankStatement: { label: '銀行帳戶', sheetName: '銀行帳戶', lists: { withdrawals: '支出', deposits: '存入' } },
+};
+
+// --- Row Building ---
+
+/**
+ * Computes the billing month of a statement. Card statements dated before the cutoff day
+ * belong to the previous month; bank statements use their calendar month, as on the pages.
+ */
+function getExportBillingMonth(dataType, statementDate, cutoffDay) {
+    const date = statementDate ? new Date(statementDate.replace(/-/g, '/')) : null;
+    if (!date || isNaN(date.getTime())) return '';
+    if (dataType === 'creditCard' && cutoffDay && date.getDate() < cutoffDay) {
+        date.setMonth(date.getMonth() - 1);
+    }
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Flattens statements into export rows.
+ * @param {string} dataType - 'creditCard' or 'bankStatement'.
+ * @param {Array<object>} results - The statements.
+ * @param {number} cutoffDay - The card billing cutoff day.
+ * @returns {Array<object>} Rows keyed by the `TRANSACTION_EXPORT_COLUMNS` keys.
+ */
+function flattenStatementsForExport(dataType, results, cutoffDay) {
+    const source = EXPORT_SOURCES[dataType];
+    const rows = [];
+    results.forEach(result => {
+        const billingMonth = getExportBillingMonth(dataType, result.statementDate, cutoffDay);
+        Object.entries(source.lists).forEach(([list, kind]) => {
+            (result[list] || []).forEach(item => {
+                rows.push({
+                    source: source.label,
+                    bankName: result.bankName || '',
+                    accountNumber: result.accountNumber || '',
+                    statementDate: result.statementDate || '',
+                    billingMonth,
+                    kind,
+                    date: item.date || '',
+                    description: item.description || '',
+                    category: item.category || '',
+                    amount: typeof item.amount === 'number' ? item.amount : '',
+                    foreignAmount: typeof item.foreignAmount === 'number' ? item.foreignAmount : '',
+                    foreignCurrency: item.foreignCurrency || '',
+                });
+            });
+        });
+    });
+    return rows.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function groupedDataToStatementLists(allData) {
+    const lists = {};
+    Object.keys(EXPORT_SOURCES).forEach(dataType => {
+        if (!allData || !allData[dataType]) return;
+        lists[dataType] = Object.values(allData[dataType]).flatMap(group => group.results || []);
+    });
+    return lists;
+}
+
+// --- File Builders ---
+
+function escapeCsvValue(value) {
+    const text = String(value === null || value === undefined ? '' : value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds a CSV file. It starts with a UTF-8 BOM so Excel opens Chinese text correctly.
+ * @param {Array<object>} rows - Export rows.
+ * @returns {Blob}
+ */
+function buildTransactionsCsv(rows) {
+    const lines = [
+        TRANSACTION_EXPORT_COLUMNS.map(col => escapeCsvValue(col.label)).join(','),
+        ...rows.map(row => TRANSACTION_EXPORT_COLUMNS.map(col => escapeCsvValue(row[col.key])).join(',')),
+    ];
+    return new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+}
+
+/**
+ * Builds an XLSX workbook with one sheet per data type.
+ * @param {Object<string, Array<object>>} rowsByType - Export rows keyed by data type.
+ * @returns {Blob}
+ */
+function buildTransactionsXlsx(rowsByType) {
+    if (typeof XLSX === 'undefined') throw new Error('Excel 匯出函式庫尚未載入，請檢查網路連線後重新整理頁面。');
+    const workbook = XLSX.utils.book_new();
+    Object.entries(rowsByType).forEach(([dataType, rows]) => {
+        const sheet = XLSX.utils.aoa_to_sheet([
+            TRANSACTION_EXPORT_COLUMNS.map(col => col.label),
+            ...rows.map(row => TRANSACTION_EXPORT_COLUMNS.map(col => row[col.key])),
+        ]);
+        XLSX.utils.book_append_sheet(workbook, sheet, EXPORT_SOURCES[dataType].sheetName);
+    });
+    const buffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    return new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+}
+
+// --- Export Actions ---
+
+/**
+ * Exports the given statements as CSV or XLSX and downloads the file.
+ * @param {string} format - 'csv' or 'xlsx'.
+ * @param {Object<string, Array<object>>} statementsByType - { creditCard: [...], bankStatement: [...] }
+ */
+function exportTransactions(format, statementsByType) {
+    const cutoffDay = getCutoffDay();
+    const rowsByType = {};
+    Object.entries(statementsByType).forEach(([dataType, results]) => {
+        if (EXPORT_SOURCES[dataType] && results && results.length > 0) {
+            rowsByType[dataType] = flattenStatementsForExport(dataType, results, cutoffDay);
+        }
+    });
+    const allRows = Object.values(rowsByType).flat();
+    if (allRows.length === 0) {
+        alert('沒有可匯出的交易資料。');
+        return;
+    }
+
+    const dateStamp = new Date().toISOString().slice(0, 10);
+    try {
+        if (format === 'xlsx') {
+            downloadBlob(buildTransactionsXlsx(rowsByType), `transactions_${dateStamp}.xlsx`);
+        } else {
+            downloadBlob(buildTransactionsCsv(allRows), `transactions_${dateStamp}.csv`);
+        }
+    } catch (e) {
+        console.error("匯出交易資料失敗:", e);
+        alert(`匯出失敗: ${e.message}`);
+    }
+}
+
+/**
+ * Wires the CSV / Excel export buttons on a page.
+ * @param {function(): Object<string, Array<object>>} getStatements - Returns the statements to export, by data type.
+ */
+function initializeExportControls(getStatements) {
+    const csvButton = document.getElementById('export-csv-button');
+    const xlsxButton = document.getElementById('export-xlsx-button');
+    if (csvButton) csvButton.addEventListener('click', () => exportTransactions('csv', getStatements()));
+    if (xlsxButton) xlsxButton.addEventListener('click', () => exportTransactions('xlsx', getStatements()));
+}
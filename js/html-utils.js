@@ -0,0 +1,18 @@
+/**
+ * @file html-utils.js
+ * @description Small helpers for building HTML strings, loaded by every page that renders
+ * user-supplied text (template names, statement rows, imported files) into markup.
+ */
+
+/**
+ * Escapes text for use inside HTML markup and attribute values.
+ * @param {*} text - The text; null and undefined become ''.
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text === null || text === undefined ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
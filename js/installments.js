@@ -0,0 +1,175 @@
+/**
+ * @file installments.js
+ * @description Installment plans across card statements. The card prompt keeps only the
+ * "第N/M期" row of an installment purchase; this module reads N/M from those rows, links the
+ * monthly rows of one purchase across statements into a plan, and works out the remaining
+ * periods, remaining principal and end month, plus the future monthly commitments of all
+ * plans for the projection on the summary page.
+ */
+
+// --- Configuration ---
+// Each pattern yields [period, total] through the named groups.
+const INSTALLMENT_PATTERNS = [
+    /第?\s*(?<period>\d{1,2})\s*[/／]\s*(?<total>\d{1,2})\s*期/,
+    /第\s*(?<period>\d{1,2})\s*期\s*[/／,，(（]?\s*共\s*(?<total>\d{1,2})\s*期/,
+    /分\s*(?<total>\d{1,2})\s*期\s*(?:之第|之|第)\s*(?<period>\d{1,2})\s*期?/,
+    /INST(?:ALLMENT)?\s*(?<period>\d{1,2})\s*(?:\/|OF)\s*(?<total>\d{1,2})/i,
+];
+const MAX_INSTALLMENT_PERIODS = 60;
+
+// --- Parsing ---
+
+/**
+ * Reads the installment period from a transaction description.
+ * @param {string} description - e.g. "APPLE STORE 第3/12期".
+ * @returns {{period: number, total: number, merchant: string}|null} `merchant` is the canonical
+ * merchant without the installment text; null when the row is not an installment.
+ */
+function parseInstallment(description) {
+    const text = String(description || '');
+    for (const pattern of INSTALLMENT_PATTERNS) {
+        const match = pattern.exec(text);
+        if (!match) continue;
+        const period = parseInt(match.groups.period, 10);
+        const total = parseInt(match.groups.total, 10);
+        if (total < 2 || total > MAX_INSTALLMENT_PERIODS || period < 1 || period > total) continue;
+        const rest = text.replace(match[0], ' ').replace(/分期(?:付款)?|期數/g, ' ');
+        return { period, total, merchant: normalizeMerchantName(rest) };
+    }
+    return null;
+}
+
+function shiftMonth(month, offset) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const date = new Date(Date.UTC(year, monthIndex - 1 + offset, 1));
+    return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+// --- Plans ---
+
+/**
+ * Links the installment rows of all card statements into plans. A row with period N on the
+ * statement of month S belongs to the plan that started in month S − (N − 1), so two purchases
+ * of the same length at the same merchant stay apart as long as they started in different months.
+ * @param {object} allData - { creditCard, bankStatement }
+ * @returns {Array<object>} { id, bankName, merchant, total, startMonth, endMonth, monthlyAmount,
+ * lastPeriod, lastStatementMonth, remainingPeriods, paidAmount, remainingPrincipal, principal,
+ * completed, unseen, rows }, active plans first, then by end month.
+ */
+function buildInstallmentPlans(allData) {
+    const plans = new Map();
+    const latestStatementByCard = {};
+    Object.values((allData && allData.creditCard) || {}).forEach(group => (group.results || []).forEach(res => {
+        if (!isIsoDate(res.statementDate)) return;
+        const bankName = res.bankName || '未知銀行';
+        const statementMonth = res.statementDate.slice(0, 7);
+        if (!latestStatementByCard[bankName] || latestStatementByCard[bankName] < statementMonth) latestStatementByCard[bankName] = statementMonth;
+        (res.transactions || []).forEach(row => {
+            const installment = parseInstallment(row.description);
+            if (!installment || typeof row.amount !== 'number' || row.amount <= 0) return;
+            const startMonth = shiftMonth(statementMonth, -(installment.period - 1));
+            const id = [bankName, installment.merchant, installment.total, startMonth].join('|');
+            if (!plans.has(id)) {
+                plans.set(id, { id, bankName, merchant: installment.merchant, total: installment.total, startMonth, periods: new Map() });
+            }
+            // The same row can be on two overlapping statements; keep one per period.
+            plans.get(id).periods.set(installment.period, { row, statementMonth });
+        });
+    }));
+
+    return [...plans.values()].map(plan => {
+        const seen = [...plan.periods.keys()].sort((a, b) => a - b);
+        const lastPeriod = seen[seen.length - 1];
+        const last = plan.periods.get(lastPeriod);
+        const paidAmount = seen.reduce((sum, period) => sum + plan.periods.get(period).row.amount, 0);
+        const monthlyAmount = last.row.amount;
+        const remainingPeriods = plan.total - lastPeriod;
+        const remainingPrincipal = remainingPeriods * monthlyAmount;
+        // Periods before the first loaded statement were paid too; estimate them at the monthly amount.
+        const earlierPeriods = seen[0] - 1;
+        return {
+            id: plan.id,
+            bankName: plan.bankName,
+            merchant: plan.merchant,
+            total: plan.total,
+            startMonth: plan.startMonth,
+            endMonth: shiftMonth(plan.startMonth, plan.total - 1),
+            monthlyAmount,
+            lastPeriod,
+            lastStatementMonth: last.statementMonth,
+            remainingPeriods,
+            paidAmount,
+            remainingPrincipal,
+            principal: paidAmount + earlierPeriods * monthlyAmount + remainingPrincipal,
+            completed: remainingPeriods === 0,
+            // A newer statement of the same card no longer lists the plan (paid off early, or the row was dropped).
+            unseen: remainingPeriods > 0 && latestStatementByCard[plan.bankName] > last.statementMonth,
+            rows: seen.map(period => plan.periods.get(period).row),
+        };
+    }).sort((a, b) => a.completed - b.completed || a.endMonth.localeCompare(b.endMonth));
+}
+
+/**
+ * Spreads the remaining periods of the active plans over the coming months.
+ * @param {Array<object>} plans - From `buildInstallmentPlans`.
+ * @returns {{months: Array<string>, amounts: Array<number>}} Commitment per month, in order.
+ */
+function projectInstallmentCommitments(plans) {
+    const byMonth = {};
+    plans.filter(plan => !plan.completed && !plan.unseen).forEach(plan => {
+        for (let i = 1; i <= plan.remainingPeriods; i++) {
+            const month = shiftMonth(plan.lastStatementMonth, i);
+            byMonth[month] = (byMonth[month] || 0) + plan.monthlyAmount;
+        }
+    });
+    const months = Object.keys(byMonth).sort();
+    return { months, amounts: months.map(month => byMonth[month]) };
+}
+
+// --- Rendering ---
+
+/**
+ * Renders the plans into `#installment-plans-list`.
+ * @param {Array<object>} plans - From `buildInstallmentPlans`.
+ */
+function renderInstallmentPlans(plans) {
+    const container = document.getElementById('installment-plans-list');
+    if (!container) return;
+    if (plans.length === 0) {
+        container.innerHTML = '<p class="text-center text-gray-500 py-2">帳單中沒有分期付款項目。</p>';
+        return;
+    }
+    const active = plans.filter(plan => !plan.completed && !plan.unseen);
+    const remainingTotal = active.reduce((sum, plan) => sum + plan.remainingPrincipal, 0);
+    container.innerHTML = `
+        <p class="text-sm text-gray-600 mb-2">進行中 ${active.length} 筆，尚未繳付本金合計 <span class="font-semibold text-red-600">${formatCurrency(remainingTotal)}</span></p>
+        <table class="w-full text-sm">
+            <thead class="bg-gray-50">
+                <tr>
+                    <th class="py-2 px-3 text-left text-xs font-medium text-gray-500">商家</th>
+                    <th class="py-2 px-3 text-left text-xs font-medium text-gray-500">進度</th>
+                    <th class="py-2 px-3 text-right text-xs font-medium text-gray-500">每期金額</th>
+                    <th class="py-2 px-3 text-right text-xs font-medium text-gray-500">剩餘本金</th>
+                    <th class="py-2 px-3 text-left text-xs font-medium text-gray-500">結束月份</th>
+                </tr>
+            </thead>
+            <tbody class="divide-y divide-gray-200">
+                ${plans.map(plan => {
+                    let note = '';
+                    if (plan.completed) note = '<span class="text-xs text-green-600">已繳清</span>';
+                    else if (plan.unseen) note = `<span class="text-xs text-gray-500" title="${plan.lastStatementMonth} 之後的帳單未再出現此分期">最新帳單未列出</span>`;
+                    else note = `<span class="text-xs text-gray-500">剩 ${plan.remainingPeriods} 期</span>`;
+                    return `
+                        <tr class="${plan.completed || plan.unseen ? 'text-gray-400' : ''}">
+                            <td class="py-2 px-3"><span class="font-medium">${escapeHtml(plan.merchant)}</span><br><span class="text-xs text-gray-500">${escapeHtml(plan.bankName)}，${plan.startMonth} 起，約 ${formatCurrency(plan.principal)}</span></td>
+                            <td class="py-2 px-3 whitespace-nowrap">${plan.lastPeriod} / ${plan.total} 期<br>${note}</td>
+                            <td class="py-2 px-3 text-right">${plan.monthlyAmount.toLocaleString()}</td>
+                            <td class="py-2 px-3 text-right font-medium">${plan.completed ? '-' : formatCurrency(plan.remainingPrincipal)}</td>
+                            <td class="py-2 px-3">${plan.endMonth}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
@@ -0,0 +1,275 @@
+/**
+ * @file ledger-export.js
+ * @description Exports the saved statements as double-entry journals for plain-text accounting
+ * (Beancount, and hledger / ledger-cli). Every bank account and card becomes an account,
+ * categories map to configurable expense and income accounts, rewards are negative expenses,
+ * foreign-currency charges carry `@@` total-cost annotations, and bank withdrawals that pay a
+ * card statement (see `matchCardPaymentWithdrawals` in card-payments.js) are posted against that card's
+ * liability account instead of an expense.
+ */
+
+// --- Configuration ---
+const LEDGER_SETTINGS_KEY = 'ledgerExportSettings';
+
+const DEFAULT_LEDGER_SETTINGS = {
+    currency: 'TWD',
+    bankRoot: 'Assets:Bank',
+    cardRoot: 'Liabilities:CreditCard',
+    rewardsAccount: 'Expenses:Rewards',
+    expenseAccounts: {
+        '餐飲美食': 'Expenses:Food',
+        '交通出行': 'Expenses:Transport',
+        '購物消費': 'Expenses:Shopping',
+        '居家生活': 'Expenses:Home',
+        '休閒娛樂': 'Expenses:Entertainment',
+        '醫療保健': 'Expenses:Health',
+        '帳單繳費': 'Expenses:Bills',
+        '現金提款': 'Assets:Cash',
+        '轉帳支出': 'Expenses:Transfers',
+        '其他': 'Expenses:Other',
+    },
+    incomeAccounts: {
+        '薪資入帳': 'Income:Salary',
+        '他人轉入': 'Income:Transfers',
+        '現金存入': 'Assets:Cash',
+        '帳戶利息': 'Income:Interest',
+        '投資收益': 'Income:Investment',
+        '其他': 'Income:Other',
+    },
+};
+
+function getLedgerSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(LEDGER_SETTINGS_KEY)) || {};
+        return {
+            ...DEFAULT_LEDGER_SETTINGS,
+            ...saved,
+            expenseAccounts: { ...DEFAULT_LEDGER_SETTINGS.expenseAccounts, ...(saved.expenseAccounts || {}) },
+            incomeAccounts: { ...DEFAULT_LEDGER_SETTINGS.incomeAccounts, ...(saved.incomeAccounts || {}) },
+        };
+    } catch (e) {
+        console.error("讀取記帳科目設定失敗:", e);
+        return DEFAULT_LEDGER_SETTINGS;
+    }
+}
+
+function saveLedgerSettings(settings) {
+    localStorage.setItem(LEDGER_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// --- Account Names ---
+
+/**
+ * Makes one account name component valid for Beancount: no spaces or punctuation, and a
+ * leading capital letter, digit or non-ASCII character.
+ */
+function sanitizeLedgerComponent(name) {
+    const cleaned = String(name || '').trim().replace(/[^\p{L}\p{N}-]+/gu, '-').replace(/^-+|-+$/g, '') || 'Unknown';
+    return /^[a-z]/.test(cleaned) ? cleaned[0].toUpperCase() + cleaned.slice(1) : cleaned;
+}
+
+function sanitizeLedgerAccount(account) {
+    return String(account).split(':').map(sanitizeLedgerComponent).join(':');
+}
+
+function getBankLedgerAccount(result, settings) {
+    const digits = (result.accountNumber || '').replace(/\D/g, '');
+    const suffix = digits ? `-${digits.slice(-4)}` : '';
+    return sanitizeLedgerAccount(`${settings.bankRoot}:${sanitizeLedgerComponent(result.bankName || '未知銀行')}${suffix}`);
+}
+
+function getCardLedgerAccount(result, settings) {
+    return sanitizeLedgerAccount(`${settings.cardRoot}:${sanitizeLedgerComponent(result.bankName || '未知銀行')}`);
+}
+
+/**
+ * Child categories without an account of their own use their parent's, then 「其他」's.
+ */
+function getCategoryLedgerAccount(category, accounts, kind) {
+    return sanitizeLedgerAccount(accounts[category] || accounts[getTopLevelCategory(kind, category)] || accounts['其他']);
+}
+
+// --- Journal Building ---
+
+/**
+ * Converts the saved data into dated journal entries with explicit postings.
+ * @param {object} allData - { creditCard, bankStatement } as returned by `loadAnalysisData`.
+ * @param {object} settings - Ledger settings.
+ * @returns {Array<object>} Entries { date, payee, postings: [{ account, amount, currency, cost }] }.
+ */
+function buildLedgerEntries(allData, settings) {
+    const currency = settings.currency;
+    const cardResults = Object.values(allData.creditCard || {}).flatMap(group => group.results || []);
+    const bankResults = Object.values(allData.bankStatement || {}).flatMap(group => group.results || []);
+    const paymentMatches = matchCardPaymentWithdrawals(cardResults, bankResults);
+    const entries = [];
+
+    cardResults.forEach(card => {
+        const cardAccount = getCardLedgerAccount(card, settings);
+        (card.transactions || []).forEach(tx => {
+            const expenseAccount = getCategoryLedgerAccount(tx.category, settings.expenseAccounts, 'expense');
+            const hasForeign = typeof tx.foreignAmount === 'number' && tx.foreignCurrency && tx.foreignCurrency !== currency;
+            if (typeof tx.amount !== 'number' && !hasForeign) return;
+            const postings = typeof tx.amount !== 'number'
+                // No converted amount on the statement yet: book the charge in its own currency.
+                ? [
+                    { account: expenseAccount, amount: tx.foreignAmount, currency: tx.foreignCurrency },
+                    { account: cardAccount, amount: -tx.foreignAmount, currency: tx.foreignCurrency },
+                ]
+                : [
+                    hasForeign
+                        ? { account: expenseAccount, amount: tx.foreignAmount * Math.sign(tx.amount || 1), currency: tx.foreignCurrency, cost: { amount: Math.abs(tx.amount), currency } }
+                        : { account: expenseAccount, amount: tx.amount, currency },
+                    { account: cardAccount, amount: -tx.amount, currency },
+                ];
+            entries.push({ date: tx.date, payee: tx.description, postings });
+        });
+        (card.rewards || []).forEach(reward => {
+            if (typeof reward.amount !== 'number') return;
+            const amount = Math.abs(reward.amount);
+            entries.push({
+                date: reward.date,
+                payee: reward.description,
+                postings: [
+                    { account: sanitizeLedgerAccount(settings.rewardsAccount), amount: -amount, currency },
+                    { account: cardAccount, amount, currency },
+                ],
+            });
+        });
+    });
+
+    bankResults.forEach(bank => {
+        const bankAccount = getBankLedgerAccount(bank, settings);
+        (bank.withdrawals || []).forEach(row => {
+            if (typeof row.amount !== 'number') return;
+            const paidCard = paymentMatches.get(row);
+            const account = paidCard ? getCardLedgerAccount(paidCard, settings) : getCategoryLedgerAccount(row.category, settings.expenseAccounts, 'expense');
+            entries.push({
+                date: row.date,
+                payee: row.description,
+                postings: [
+                    { account, amount: row.amount, currency },
+                    { account: bankAccount, amount: -row.amount, currency },
+                ],
+            });
+        });
+        (bank.deposits || []).forEach(row => {
+            if (typeof row.amount !== 'number') return;
+            entries.push({
+                date: row.date,
+                payee: row.description,
+                postings: [
+                    { account: bankAccount, amount: row.amount, currency },
+                    { account: getCategoryLedgerAccount(row.category, settings.incomeAccounts, 'income'), amount: -row.amount, currency },
+                ],
+            });
+        });
+    });
+
+    return entries.filter(entry => entry.date).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function formatLedgerAmount(amount) {
+    const rounded = Math.round(amount * 100) / 100;
+    return Number.isInteger(rounded) ? String(rounded) : rounded.toFixed(2);
+}
+
+function formatLedgerPosting(posting) {
+    const cost = posting.cost ? ` @@ ${formatLedgerAmount(posting.cost.amount)} ${posting.cost.currency}` : '';
+    return `    ${posting.account.padEnd(40)}  ${formatLedgerAmount(posting.amount)} ${posting.currency}${cost}`;
+}
+
+/**
+ * Renders entries as a Beancount file, with `open` directives for every account used.
+ */
+function renderBeancountJournal(entries, settings) {
+    const firstUse = {};
+    entries.forEach(entry => entry.postings.forEach(posting => {
+        if (!firstUse[posting.account]) firstUse[posting.account] = entry.date;
+    }));
+    const quote = (text) => `"${String(text || '').replace(/[\\"]/g, '\\$&').replace(/\s+/g, ' ')}"`;
+    return [
+        `option "operating_currency" "${settings.currency}"`,
+        '',
+        ...Object.entries(firstUse).sort((a, b) => a[1].localeCompare(b[1]) || a[0].localeCompare(b[0])).map(([account, date]) => `${date} open ${account}`),
+        '',
+        ...entries.map(entry => [`${entry.date} * ${quote(entry.payee)}`, ...entry.postings.map(formatLedgerPosting)].join('\n') + '\n'),
+    ].join('\n');
+}
+
+/**
+ * Renders entries as an hledger journal, which ledger-cli also reads.
+ */
+function renderHledgerJournal(entries) {
+    const accounts = [...new Set(entries.flatMap(entry => entry.postings.map(posting => posting.account)))].sort();
+    return [
+        ...accounts.map(account => `account ${account}`),
+        '',
+        ...entries.map(entry => [`${entry.date} ${String(entry.payee || '').replace(/\s+/g, ' ')}`, ...entry.postings.map(formatLedgerPosting)].join('\n') + '\n'),
+    ].join('\n');
+}
+
+/**
+ * Builds and downloads a journal of all saved statements.
+ * @param {string} format - 'beancount' or 'hledger'.
+ * @param {object} allData - { creditCard, bankStatement }
+ */
+function exportLedgerJournal(format, allData) {
+    const settings = getLedgerSettings();
+    const entries = buildLedgerEntries(allData || {}, settings);
+    if (entries.length === 0) {
+        alert('沒有可匯出的交易資料。');
+        return;
+    }
+    const journal = format === 'beancount' ? renderBeancountJournal(entries, settings) : renderHledgerJournal(entries);
+    const extension = format === 'beancount' ? 'beancount' : 'journal';
+    downloadBlob(new Blob([journal], { type: 'text/plain;charset=utf-8' }), `ledger_${new Date().toISOString().slice(0, 10)}.${extension}`);
+}
+
+// --- Settings UI ---
+
+function renderLedgerSettings() {
+    const container = document.getElementById('ledger-settings');
+    if (!container) return;
+    const settings = getLedgerSettings();
+    const input = (path, value) => `<input type="text" data-ledger-setting="${path}" value="${String(value).replace(/"/g, '&quot;')}" placeholder="同上層分類或「其他」" class="w-full p-1 border border-gray-300 rounded-md font-mono text-xs">`;
+    // User-defined categories are listed too; left empty they fall back as in `getCategoryLedgerAccount`.
+    const rows = (group, kind, label) => {
+        const accounts = { ...Object.fromEntries(getCategories(kind).map(c => [c.name, ''])), ...settings[group] };
+        return Object.entries(accounts).map(([category, account]) => `
+            <tr><td class="py-1 pr-2 whitespace-nowrap">${label}：${category}</td><td class="py-1">${input(`${group}.${category}`, account)}</td></tr>
+        `).join('');
+    };
+
+    container.innerHTML = `
+        <table class="w-full text-sm">
+            <tr><td class="py-1 pr-2">幣別</td><td class="py-1">${input('currency', settings.currency)}</td></tr>
+            <tr><td class="py-1 pr-2">銀行帳戶上層科目</td><td class="py-1">${input('bankRoot', settings.bankRoot)}</td></tr>
+            <tr><td class="py-1 pr-2">信用卡上層科目</td><td class="py-1">${input('cardRoot', settings.cardRoot)}</td></tr>
+            <tr><td class="py-1 pr-2">信用卡回饋</td><td class="py-1">${input('rewardsAccount', settings.rewardsAccount)}</td></tr>
+            ${rows('expenseAccounts', 'expense', '支出')}
+            ${rows('incomeAccounts', 'income', '收入')}
+        </table>
+    `;
+}
+
+function initializeLedgerExportControls(getAllData) {
+    const container = document.getElementById('ledger-settings');
+    if (container) {
+        renderLedgerSettings();
+        container.addEventListener('change', (e) => {
+            const path = e.target.dataset.ledgerSetting;
+            if (!path) return;
+            const settings = getLedgerSettings();
+            const value = e.target.value.trim();
+            const [group, key] = path.split('.');
+            if (key) settings[group][key] = value;
+            else settings[group] = value;
+            saveLedgerSettings(settings);
+        });
+    }
+    const beancountButton = document.getElementById('export-beancount-button');
+    const hledgerButton = document.getElementById('export-hledger-button');
+    if (beancountButton) beancountButton.addEventListener('click', () => exportLedgerJournal('beancount', getAllData()));
+    if (hledgerButton) hledgerButton.addEventListener('click', () => exportLedgerJournal('hledger', getAllData()));
+}
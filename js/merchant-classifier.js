@@ -0,0 +1,254 @@
+/**
+ * @file merchant-classifier.js
+ * @description On-device merchant normalisation and category suggestions. Descriptions such as
+ * "LINE PAY*全家便利商店 信義店" and "全家便利商店-信義" are reduced to one canonical merchant
+ * by stripping payment-processor prefixes, branch names and reference numbers. A naive Bayes
+ * model over the merchant's tokens is trained from the categories the user has confirmed
+ * (saved statements, hand corrections and merchant rules); it fills in rows left as 其他 and
+ * reports a confidence for every row, without sending anything to an AI provider.
+ */
+
+// --- Configuration ---
+// Wallets and payment gateways that put their own name in front of the merchant's.
+const PAYMENT_PROCESSOR_PREFIX = /^(?:LINE\s*PAY|街口(?:支付)?|JKO\s*PAY|悠遊付|EASY\s*WALLET|全支付|全聯\s*PAY|PX\s*PAY|全盈\s*\+?\s*PAY|一卡通(?:\s*IPASS)?(?:\s*MONEY)?|IPASS\s*MONEY|PI\s*拍錢包|拍錢包|橘子支付|GAMA\s*PAY|APPLE\s*PAY|GOOGLE\s*PAY|SAMSUNG\s*PAY|PAYPAL|歐付寶|綠界(?:科技)?|藍新(?:金流)?|PAYUNI|SQ|TST)(?:\s*[*:\-_/]\s*|\s+)/;
+// Suffixes that mark a branch ("信義店", "台北車站門市") rather than the merchant itself.
+const BRANCH_SUFFIX = /(?:分店|門市|分公司|營業所|店|站)$/;
+// Chains that print their name in several ways; matched against the start of the merchant.
+const MERCHANT_ALIASES = [
+    { pattern: /^(?:全家|FAMILY\s*MART)/, merchant: '全家便利商店' },
+    { pattern: /^(?:統一超商|7-?ELEVEN|7-?11)/, merchant: '7-ELEVEN' },
+    { pattern: /^(?:萊爾富|HI-?LIFE)/, merchant: '萊爾富' },
+    { pattern: /^(?:OK超商|OK\s*MART)/, merchant: 'OK超商' },
+    { pattern: /^(?:全聯|PX\s*MART)/, merchant: '全聯福利中心' },
+    { pattern: /^(?:星巴克|STARBUCKS)/, merchant: '星巴克' },
+    { pattern: /^(?:麥當勞|MCDONALD)/, merchant: '麥當勞' },
+    { pattern: /^UBER\s*\*?\s*EATS/, merchant: 'UBER EATS' },
+    { pattern: /^(?:優步|UBER)/, merchant: 'UBER' },
+];
+
+// Rows the model fills in, and suggestions it shows, need at least this confidence (0–1).
+const MERCHANT_MODEL_MIN_CONFIDENCE = 0.6;
+// A hand correction or merchant rule counts as this many ordinary confirmed rows.
+const CONFIRMED_CATEGORY_WEIGHT = 3;
+
+// --- Merchant Normalisation ---
+
+function stripBranchName(name) {
+    // "全家便利商店-信義": a Chinese segment after a dash is a branch.
+    const dashed = /^(.{2,}?)\s*[-_/]\s*([^\s\-_/]+)$/.exec(name);
+    if (dashed && /[㐀-鿿]/.test(dashed[2])) return dashed[1];
+    // "全家便利商店 信義店": a short last word ending in 店/門市/站 is a branch.
+    const spaced = /^(.{2,}?)\s+(\S{1,8})$/.exec(name);
+    if (spaced && BRANCH_SUFFIX.test(spaced[2])) return spaced[1];
+    return name;
+}
+
+/**
+ * Reduces a transaction description to a canonical merchant name.
+ * @param {string} description - The description as printed on the statement.
+ * @returns {string} The merchant, upper-cased, e.g. "全家便利商店" or "UBER EATS".
+ */
+function normalizeMerchantName(description) {
+    const original = String(description || '').normalize('NFKC').toUpperCase().replace(/\s+/g, ' ').trim();
+    let name = original;
+    while (PAYMENT_PROCESSOR_PREFIX.test(name)) name = name.replace(PAYMENT_PROCESSOR_PREFIX, '');
+    name = name
+        .replace(/[(\[【「][^)\]】」]*[)\]】」]/g, ' ')
+        // Order numbers, reference numbers, card tails, dates and billing months.
+        .replace(/(?:訂單|單號|編號|序號)\s*:?\s*[A-Z]*\d[A-Z0-9]*/g, ' ')
+        .replace(/[*#]\s*[A-Z0-9]*\d[A-Z0-9]*/g, ' ')
+        .replace(/[A-Z]*\d{3,}[A-Z0-9]*/g, ' ')
+        .replace(/\b\d{1,2}\/\d{1,2}\b/g, ' ')
+        .replace(/\d{1,2}月份?/g, ' ')
+        .replace(/(?:股份)?有限公司/g, ' ')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s*#\-_/.:,]+|[\s*#\-_/.:,]+$/g, '');
+    name = stripBranchName(name).replace(/[\s*#\-_/.:,]+$/, '');
+    const alias = MERCHANT_ALIASES.find(a => a.pattern.test(name));
+    if (alias) return alias.merchant;
+    return name || original;
+}
+
+/**
+ * Splits a merchant into model features: the whole merchant, Latin words and Chinese bigrams.
+ */
+function tokenizeMerchant(merchant) {
+    const tokens = [`merchant:${merchant}`];
+    (merchant.match(/[A-Z0-9&']{2,}/g) || []).forEach(word => tokens.push(word));
+    (merchant.match(/[㐀-鿿]+/g) || []).forEach(run => {
+        if (run.length === 1) tokens.push(run);
+        for (let i = 0; i < run.length - 1; i++) tokens.push(run.slice(i, i + 2));
+    });
+    return tokens;
+}
+
+// --- Model ---
+
+function createMerchantModel() {
+    const kind = () => ({ documents: 0, vocabulary: new Set(), categories: new Map() });
+    return { expense: kind(), income: kind() };
+}
+
+function addMerchantExample(model, kind, description, category, weight) {
+    const kindModel = model[kind];
+    let stats = kindModel.categories.get(category);
+    if (!stats) {
+        stats = { documents: 0, tokens: new Map(), totalTokens: 0 };
+        kindModel.categories.set(category, stats);
+    }
+    stats.documents += weight;
+    kindModel.documents += weight;
+    tokenizeMerchant(normalizeMerchantName(description)).forEach(token => {
+        stats.tokens.set(token, (stats.tokens.get(token) || 0) + weight);
+        stats.totalTokens += weight;
+        kindModel.vocabulary.add(token);
+    });
+}
+
+/**
+ * Trains the model. Rows count when their statement has been saved or when their category was
+ * set by hand; rows the model filled in itself and rows left as 其他 are skipped. Merchant rules
+ * are added as examples too, so a new rule helps with similar merchants straight away.
+ * @param {Array<{dataType: string, results: Array<object>, confirmed: boolean}>} sources -
+ * Statements by type; `confirmed` is false for analyses that have not been saved yet.
+ * @returns {object} The model, for `predictMerchantCategory`.
+ */
+function buildMerchantModel(sources) {
+    const model = createMerchantModel();
+    const settings = getCategorySettings();
+    sources.forEach(({ dataType, results, confirmed }) => {
+        STATEMENT_LIST_KEYS[dataType].filter(listKey => CATEGORY_LIST_KINDS[listKey]).forEach(listKey => {
+            const allowed = getCategoryNames(listKey);
+            results.forEach(result => (result[listKey] || []).forEach(row => {
+                if (!row.description || row.categorySource === 'model') return;
+                if (!allowed.includes(row.category) || row.category === FALLBACK_CATEGORY) return;
+                const isManual = row.categorySource === 'manual';
+                if (!confirmed && !isManual) return;
+                addMerchantExample(model, CATEGORY_LIST_KINDS[listKey], row.description, row.category, isManual ? CONFIRMED_CATEGORY_WEIGHT : 1);
+            }));
+        });
+    });
+    settings.rules.forEach(rule => {
+        if (model[rule.kind] && rule.category !== FALLBACK_CATEGORY) {
+            addMerchantExample(model, rule.kind, rule.pattern, rule.category, CONFIRMED_CATEGORY_WEIGHT);
+        }
+    });
+    return model;
+}
+
+/**
+ * Lists a page's file queue as training sources; only saved items count as confirmed.
+ */
+function getQueueTrainingSources(queue, dataType) {
+    const items = queue.filter(item => item.status === 'success' && item.result);
+    const isSaved = item => !!(item.loadedFromLocal || item.savedSnapshot);
+    return [
+        { dataType, results: items.filter(isSaved).map(item => item.result), confirmed: true },
+        { dataType, results: items.filter(item => !isSaved(item)).map(item => item.result), confirmed: false },
+    ];
+}
+
+/**
+ * Suggests a category for a description with multinomial naive Bayes (Laplace smoothing over
+ * every category the list allows, so an untrained category still has a small chance).
+ * @param {object} model - From `buildMerchantModel`.
+ * @param {string} listKey - 'transactions', 'withdrawals' or 'deposits'.
+ * @param {string} description - The row's description.
+ * @returns {{category: string, confidence: number, merchant: string}|null} Null when the
+ * model has never seen any of the merchant's tokens.
+ */
+function predictMerchantCategory(model, listKey, description) {
+    const kindModel = model && model[CATEGORY_LIST_KINDS[listKey]];
+    if (!kindModel || kindModel.documents === 0 || !description) return null;
+    const merchant = normalizeMerchantName(description);
+    const tokens = tokenizeMerchant(merchant).filter(token => kindModel.vocabulary.has(token));
+    if (tokens.length === 0) return null;
+
+    const categories = getCategoryNames(listKey).filter(name => name !== FALLBACK_CATEGORY);
+    const vocabularySize = kindModel.vocabulary.size;
+    const scores = categories.map(category => {
+        const stats = kindModel.categories.get(category) || { documents: 0, tokens: new Map(), totalTokens: 0 };
+        let score = Math.log((stats.documents + 1) / (kindModel.documents + categories.length));
+        tokens.forEach(token => {
+            score += Math.log(((stats.tokens.get(token) || 0) + 1) / (stats.totalTokens + vocabularySize));
+        });
+        return score;
+    });
+    const best = Math.max(...scores);
+    const weights = scores.map(score => Math.exp(score - best));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    const bestIndex = scores.indexOf(best);
+    return { category: categories[bestIndex], confidence: weights[bestIndex] / total, merchant };
+}
+
+// --- Applying ---
+
+/**
+ * Fills in rows left as 其他 (or blank) with the model's category when it is confident enough.
+ * Such rows are marked `categorySource: 'model'` with their `categoryConfidence`. Rows whose
+ * category was set by hand are left alone.
+ * @returns {number} How many rows changed category.
+ */
+function applyMerchantModel(result, dataType, model) {
+    let changed = 0;
+    STATEMENT_LIST_KEYS[dataType].filter(listKey => CATEGORY_LIST_KINDS[listKey]).forEach(listKey => {
+        (result[listKey] || []).forEach(row => {
+            if ((row.category && row.category !== FALLBACK_CATEGORY) || row.categorySource === 'manual') return;
+            const prediction = predictMerchantCategory(model, listKey, row.description);
+            if (!prediction || prediction.confidence < MERCHANT_MODEL_MIN_CONFIDENCE) return;
+            row.category = prediction.category;
+            row.categorySource = 'model';
+            row.categoryConfidence = Math.round(prediction.confidence * 100) / 100;
+            delete row.unknownCategory;
+            changed++;
+        });
+    });
+    return changed;
+}
+
+function applyMerchantModelToQueue(queue, dataType, model) {
+    return queue
+        .filter(item => item.status === 'success' && item.result)
+        .reduce((sum, item) => sum + applyMerchantModel(item.result, dataType, model), 0);
+}
+
+/**
+ * Trains on loaded data and fills in its uncategorised rows, e.g. on the summary page.
+ * @param {object} allData - { creditCard, bankStatement }
+ */
+function applyMerchantModelToData(allData) {
+    const results = dataType => Object.values(allData[dataType] || {}).flatMap(group => group.results || []);
+    const model = buildMerchantModel([
+        { dataType: 'creditCard', results: results('creditCard'), confirmed: true },
+        { dataType: 'bankStatement', results: results('bankStatement'), confirmed: true },
+    ]);
+    ['creditCard', 'bankStatement'].forEach(dataType => {
+        results(dataType).forEach(result => applyMerchantModel(result, dataType, model));
+    });
+}
+
+// --- Rendering ---
+
+/**
+ * Builds the confidence badge for a row: the model's confidence when it agrees with the row's
+ * category (🤖 when the model chose it), or a button to apply a different suggestion.
+ * @param {object} row - The transaction row.
+ * @param {string} listKey - The list the row is in.
+ * @param {object} model - From `buildMerchantModel`.
+ * @param {string} index - The row's `data-index`.
+ * @returns {string} HTML, empty when the model has nothing to say.
+ */
+function renderCategorySuggestion(row, listKey, model, index) {
+    const prediction = predictMerchantCategory(model, listKey, row.description);
+    if (!prediction) return '';
+    const percent = Math.round(prediction.confidence * 100);
+    const merchant = prediction.merchant.replace(/"/g, '&quot;');
+    if (prediction.category === row.category) {
+        const icon = row.categorySource === 'model' ? '🤖 ' : '';
+        return `<span class="text-xs text-gray-400 whitespace-nowrap" title="商家：${merchant}\n本機模型信心 ${percent}%">${icon}${percent}%</span>`;
+    }
+    if (prediction.confidence < MERCHANT_MODEL_MIN_CONFIDENCE) {
+        return `<span class="text-xs text-gray-300 whitespace-nowrap" title="商家：${merchant}\n本機模型猜測「${prediction.category}」，信心 ${percent}%">?</span>`;
+    }
+    return `<button class="apply-category-suggestion-btn text-xs bg-indigo-50 text-indigo-700 px-1 rounded hover:bg-indigo-100 whitespace-nowrap" data-index="${index}" data-category="${prediction.category}" title="商家：${merchant}\n套用本機模型建議的分類">→ ${prediction.category} ${percent}%</button>`;
+}
@@ -14,6 +14,8 @@ document.addEventListener('DOMContentLoaded', () => {
     const isCreditCardPage = currentPage.includes('credit-card.html');
     const isBankStatementPage = currentPage.includes('bank-statement.html');
     const isSummaryPage = currentPage.includes('summary.html');
+    const isTemplatesPage = currentPage.includes('templates.html');
+    const isCategoriesPage = currentPage.includes('categories.html');
 
     // IMPORTANT: Please replace this with your actual GitHub repository URL
     const githubRepoUrl = "https://github.com/stu92054/intelligent-bill-analyzer";
@@ -37,6 +39,14 @@ document.addEventListener('DOMContentLoaded', () => {
                class="text-lg font-semibold hover:text-indigo-400 transition-colors ${isBankStatementPage ? 'text-indigo-400' : ''}">
                銀行對帳單
             </a>
+            <a href="templates.html" 
+               class="text-lg font-semibold hover:text-indigo-400 transition-colors ${isTemplatesPage ? 'text-indigo-400' : ''}">
+               解析範本
+            </a>
+            <a href="categories.html" 
+               class="text-lg font-semibold hover:text-indigo-400 transition-colors ${isCategoriesPage ? 'text-indigo-400' : ''}">
+               分類管理
+            </a>
             <a href="${githubRepoUrl}" target="_blank" rel="noopener noreferrer"
                class="text-lg font-semibold hover:text-indigo-400 transition-colors flex items-center gap-x-2">
                 <!-- GitHub Icon SVG -->
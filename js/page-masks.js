@@ -0,0 +1,143 @@
+/**
+ * @file page-masks.js
+ * @description Blacks out PII on rendered PDF pages before they are sent to an AI provider for OCR.
+ * Regions come from two sources: PDF.js text items that match the active redaction rules, and
+ * rectangles the user drew on the template page, remembered per issuer.
+ */
+
+// --- Configuration ---
+const PAGE_MASKS_KEY = 'pageMaskProfiles';
+// Extra space (in canvas pixels) around a detected text item, so glyph edges are covered too.
+const PAGE_MASK_PADDING = 4;
+
+// --- Issuer Profiles ---
+
+/**
+ * Profiles look like { id, issuer, keywords: [...], regions: [{ page, x, y, width, height }] }.
+ * Region coordinates are fractions of the page size, so they apply at any render scale;
+ * `page` is the 1-based page number, or null for every page.
+ * @returns {Array<object>} The saved profiles.
+ */
+function getPageMaskProfiles() {
+    try {
+        return JSON.parse(localStorage.getItem(PAGE_MASKS_KEY)) || [];
+    } catch (e) {
+        console.error("讀取頁面遮蔽設定失敗:", e);
+        return [];
+    }
+}
+
+function savePageMaskProfiles(profiles) {
+    localStorage.setItem(PAGE_MASKS_KEY, JSON.stringify(profiles));
+}
+
+/**
+ * Finds the issuer profile whose keywords appear in the statement text or the filename.
+ * @param {string} text - The text layer of the PDF (may be sparse for scanned files).
+ * @param {string} filename - The uploaded file's name.
+ * @returns {object|null} The matching profile.
+ */
+function findPageMaskProfile(text, filename) {
+    const haystack = `${filename || ''}\n${text || ''}`;
+    return getPageMaskProfiles().find(profile =>
+        (profile.keywords || []).some(keyword => keyword && haystack.includes(keyword))
+    ) || null;
+}
+
+// --- Region Detection ---
+
+/**
+ * Locates text items whose content matches an active redaction rule. Items are grouped into
+ * lines first, so label-based rules (e.g. "戶名：王小明") still match when PDF.js splits them.
+ * @param {object} textContent - The result of `page.getTextContent()`.
+ * @param {object} viewport - The viewport the page was rendered with.
+ * @returns {Array<{x: number, y: number, width: number, height: number}>} Rectangles in canvas pixels.
+ */
+function findSensitiveTextRegions(textContent, viewport) {
+    const rows = [];
+    textContent.items.forEach(item => {
+        if (!item.str || !item.str.trim()) return;
+        const y = item.transform[5];
+        let row = rows.find(r => Math.abs(r.y - y) < 2);
+        if (!row) {
+            row = { y, items: [] };
+            rows.push(row);
+        }
+        row.items.push(item);
+    });
+
+    const rules = getActiveRedactionRules();
+    const sensitiveItems = new Set();
+    rows.forEach(row => {
+        row.items.sort((a, b) => a.transform[4] - b.transform[4]);
+        let text = '';
+        const spans = row.items.map(item => {
+            const start = text.length;
+            text += item.str + ' ';
+            return { item, start, end: start + item.str.length };
+        });
+        rules.forEach(rule => {
+            for (const match of text.matchAll(rule.pattern)) {
+                const matchEnd = match.index + match[0].length;
+                spans
+                    .filter(span => span.start < matchEnd && span.end > match.index)
+                    .forEach(span => sensitiveItems.add(span.item));
+            }
+        });
+    });
+
+    return [...sensitiveItems].map(item => {
+        const tx = pdfjsLib.Util.transform(viewport.transform, item.transform);
+        const fontHeight = Math.hypot(tx[2], tx[3]);
+        return {
+            x: tx[4] - PAGE_MASK_PADDING,
+            y: tx[5] - fontHeight - PAGE_MASK_PADDING,
+            width: item.width * viewport.scale + PAGE_MASK_PADDING * 2,
+            height: fontHeight * 1.25 + PAGE_MASK_PADDING * 2,
+        };
+    });
+}
+
+/**
+ * Converts a profile's page-relative regions to canvas pixels for one page.
+ * @param {object|null} profile - The issuer profile.
+ * @param {number} pageNumber - The 1-based page number.
+ * @param {HTMLCanvasElement} canvas - The rendered page.
+ * @returns {Array<{x: number, y: number, width: number, height: number}>}
+ */
+function getProfileRegionsForPage(profile, pageNumber, canvas) {
+    if (!profile) return [];
+    return (profile.regions || [])
+        .filter(region => region.page === null || region.page === pageNumber)
+        .map(region => ({
+            x: region.x * canvas.width,
+            y: region.y * canvas.height,
+            width: region.width * canvas.width,
+            height: region.height * canvas.height,
+        }));
+}
+
+function fillMaskRegions(canvas, regions) {
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#000000';
+    regions.forEach(region => context.fillRect(region.x, region.y, region.width, region.height));
+}
+
+/**
+ * Blacks out every sensitive region on an already rendered page canvas, in place.
+ * @param {object} page - The PDF.js page the canvas was rendered from.
+ * @param {HTMLCanvasElement} canvas - The rendered page.
+ * @param {number} pageNumber - The 1-based page number.
+ * @param {object|null} profile - The issuer profile with user-drawn regions, if any.
+ * @returns {Promise<number>} The number of regions that were masked.
+ */
+async function maskSensitivePageRegions(page, canvas, pageNumber, profile) {
+    const viewport = page.getViewport({ scale: canvas.width / page.getViewport({ scale: 1 }).width });
+    const textContent = await page.getTextContent();
+    const regions = [
+        ...findSensitiveTextRegions(textContent, viewport),
+        ...getProfileRegionsForPage(profile, pageNumber, canvas),
+    ];
+    fillMaskRegions(canvas, regions);
+    return regions.length;
+}
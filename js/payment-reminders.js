@@ -0,0 +1,301 @@
+/**
+ * @file payment-reminders.js
+ * @description Reminders for card bills that are still to be paid: the upcoming payments panel on
+ * the summary page, browser notifications a configurable number of days before each due date
+ * (while a page of the app is open), and an iCalendar (.ics) export of the due dates.
+ */
+
+// --- Configuration ---
+const PAYMENT_REMINDER_SETTINGS_KEY = 'paymentReminderSettings';
+const NOTIFIED_PAYMENTS_KEY = 'notifiedCardPayments';
+const DEFAULT_PAYMENT_REMINDER_SETTINGS = { notify: false, daysBefore: 3 };
+// Unpaid statements whose due date passed more than this many days ago are no longer listed.
+const UPCOMING_PAYMENTS_OVERDUE_DAYS = 30;
+const PAYMENT_REMINDER_CHECK_INTERVAL = 60 * 60 * 1000;
+
+let paymentReminderTimer = null;
+
+function getPaymentReminderSettings() {
+    try {
+        return { ...DEFAULT_PAYMENT_REMINDER_SETTINGS, ...(JSON.parse(localStorage.getItem(PAYMENT_REMINDER_SETTINGS_KEY)) || {}) };
+    } catch (e) {
+        console.error("讀取繳款提醒設定失敗:", e);
+        return { ...DEFAULT_PAYMENT_REMINDER_SETTINGS };
+    }
+}
+
+function savePaymentReminderSettings(settings) {
+    localStorage.setItem(PAYMENT_REMINDER_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// --- Upcoming Payments ---
+
+function getDaysUntil(dateStr, today) {
+    const toUtc = (value) => {
+        const [year, month, day] = value.split('-').map(Number);
+        return Date.UTC(year, month - 1, day);
+    };
+    return Math.round((toUtc(dateStr) - toUtc(today)) / 86400000);
+}
+
+function getCardPaymentId(card) {
+    return card.billHash || `${card.bankName || ''}-${card.statementDate}`;
+}
+
+/**
+ * A statement also counts as paid when the same issuer's next statement reports payments
+ * covering it, which works even without bank statements.
+ */
+function isPaidByNextStatement(card, cardResults) {
+    const next = cardResults
+        .filter(other => other.bankName === card.bankName && isIsoDate(other.statementDate) && other.statementDate > card.statementDate)
+        .sort((a, b) => a.statementDate.localeCompare(b.statementDate))[0];
+    return !!next && typeof next.paymentAmount === 'number' && Math.abs(next.paymentAmount) >= card.totalAmount - CARD_PAYMENT_TOLERANCE;
+}
+
+/**
+ * Lists the card statements that still have to be paid, soonest due date first.
+ * @param {object} allData - { creditCard, bankStatement }
+ * @param {string} [today] - YYYY-MM-DD.
+ * @returns {Array<object>} { id, card, dueDate, daysLeft, amountDue, paidAmount, status }, where
+ * status is 'unpaid', 'partial' or 'unknown' as from `linkCardPayments`.
+ */
+function getUpcomingCardPayments(allData, today = getTodayDateString()) {
+    const cardResults = Object.values(allData.creditCard || {}).flatMap(group => group.results || []);
+    const bankResults = Object.values(allData.bankStatement || {}).flatMap(group => group.results || []);
+    const links = linkCardPayments(cardResults, bankResults, today);
+
+    return cardResults
+        .filter(card => isIsoDate(card.statementDate) && typeof card.totalAmount === 'number' && card.totalAmount > 0)
+        .map(card => {
+            const link = links.get(card) || { status: 'unknown', dueDate: getCardDueDate(card), paidAmount: 0 };
+            return {
+                id: getCardPaymentId(card),
+                card,
+                dueDate: link.dueDate,
+                daysLeft: getDaysUntil(link.dueDate, today),
+                amountDue: card.totalAmount,
+                paidAmount: link.paidAmount,
+                status: link.status,
+            };
+        })
+        .filter(payment => payment.status !== 'paid' && payment.daysLeft >= -UPCOMING_PAYMENTS_OVERDUE_DAYS && !isPaidByNextStatement(payment.card, cardResults))
+        .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+}
+
+function describeDaysLeft(daysLeft) {
+    if (daysLeft < 0) return `<span class="text-red-600 font-semibold">已逾期 ${-daysLeft} 天</span>`;
+    if (daysLeft === 0) return '<span class="text-red-600 font-semibold">今天到期</span>';
+    return `<span class="${daysLeft <= 3 ? 'text-orange-600 font-semibold' : 'text-gray-700'}">剩 ${daysLeft} 天</span>`;
+}
+
+/**
+ * Renders the upcoming payments list into `#upcoming-payments-list`.
+ * @param {Array<object>} payments - From `getUpcomingCardPayments`.
+ */
+function renderUpcomingPayments(payments) {
+    const container = document.getElementById('upcoming-payments-list');
+    if (!container) return;
+    if (payments.length === 0) {
+        container.innerHTML = '<p class="text-center text-gray-500 py-2">目前沒有待繳的信用卡帳單 🎉</p>';
+        return;
+    }
+    container.innerHTML = `
+        <table class="w-full text-sm">
+            <thead class="bg-gray-50">
+                <tr>
+                    <th class="py-2 px-3 text-left text-xs font-medium text-gray-500">發卡銀行</th>
+                    <th class="py-2 px-3 text-left text-xs font-medium text-gray-500">帳單日期</th>
+                    <th class="py-2 px-3 text-left text-xs font-medium text-gray-500">繳款期限</th>
+                    <th class="py-2 px-3 text-right text-xs font-medium text-gray-500">應繳金額</th>
+                    <th class="py-2 px-3 text-left text-xs font-medium text-gray-500">狀態</th>
+                </tr>
+            </thead>
+            <tbody class="divide-y divide-gray-200">
+                ${payments.map(payment => `
+                    <tr>
+                        <td class="py-2 px-3">${escapeHtml(payment.card.bankName || '未知銀行')}</td>
+                        <td class="py-2 px-3">${payment.card.statementDate}</td>
+                        <td class="py-2 px-3">${payment.dueDate}</td>
+                        <td class="py-2 px-3 text-right font-medium">${payment.amountDue.toLocaleString()}</td>
+                        <td class="py-2 px-3">${describeDaysLeft(payment.daysLeft)}${payment.status === 'partial' ? `<span class="text-gray-500">，已繳 ${payment.paidAmount.toLocaleString()}</span>` : ''}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// --- Notifications ---
+
+function getNotifiedPayments() {
+    try {
+        return JSON.parse(localStorage.getItem(NOTIFIED_PAYMENTS_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Shows a browser notification for each unpaid statement due within the configured number of
+ * days. Each statement is notified at most once a day.
+ * @param {Array<object>} payments - From `getUpcomingCardPayments`.
+ * @param {string} [today] - YYYY-MM-DD.
+ */
+function notifyUpcomingPayments(payments, today = getTodayDateString()) {
+    const settings = getPaymentReminderSettings();
+    if (!settings.notify || typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+
+    const notified = getNotifiedPayments();
+    // Forget entries for due dates that have passed.
+    Object.keys(notified).forEach(id => {
+        if (notified[id].dueDate < today) delete notified[id];
+    });
+    payments
+        .filter(payment => payment.daysLeft >= 0 && payment.daysLeft <= settings.daysBefore)
+        .filter(payment => !notified[payment.id] || notified[payment.id].date !== today)
+        .forEach(payment => {
+            const when = payment.daysLeft === 0 ? '今天' : `${payment.daysLeft} 天後 (${payment.dueDate})`;
+            new Notification('信用卡繳款提醒', {
+                body: `${payment.card.bankName || '信用卡'} 帳單 ${payment.amountDue.toLocaleString()} 元將於${when}到期。`,
+                tag: `card-payment-${payment.id}`,
+            });
+            notified[payment.id] = { date: today, dueDate: payment.dueDate };
+        });
+    localStorage.setItem(NOTIFIED_PAYMENTS_KEY, JSON.stringify(notified));
+}
+
+/**
+ * Checks for reminders now and then every hour while the page stays open.
+ * @param {function(): object} getAllData - Returns { creditCard, bankStatement }.
+ */
+function startPaymentReminders(getAllData) {
+    const check = () => {
+        const allData = getAllData();
+        if (allData) notifyUpcomingPayments(getUpcomingCardPayments(allData));
+    };
+    if (paymentReminderTimer) clearInterval(paymentReminderTimer);
+    paymentReminderTimer = setInterval(check, PAYMENT_REMINDER_CHECK_INTERVAL);
+    check();
+}
+
+// --- Calendar Export ---
+
+function escapeIcsText(text) {
+    return String(text || '').replace(/[\\;,]/g, '\\$&').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to 75 octets, as RFC 5545 requires; continuation lines start with a space.
+ */
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (encoder.encode(current + char).length > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Builds an iCalendar file with an all-day event on each statement's due date. Event UIDs
+ * are derived from the statement, so importing the file again updates the same events.
+ * @param {Array<object>} cardResults - Credit card statements.
+ * @param {number} daysBefore - Days before the due date for the event's alarm.
+ * @returns {string} The .ics contents.
+ */
+function buildPaymentCalendar(cardResults, daysBefore) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const events = cardResults
+        .filter(card => isIsoDate(card.statementDate) && typeof card.totalAmount === 'number' && card.totalAmount > 0)
+        .flatMap(card => {
+            const dueDate = getCardDueDate(card);
+            const bankName = card.bankName || '信用卡';
+            return [
+                'BEGIN:VEVENT',
+                `UID:card-payment-${getCardPaymentId(card).replace(/[^\w-]/g, '')}@intelligent-analyzer`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${dueDate.replace(/-/g, '')}`,
+                `DTEND;VALUE=DATE:${addDaysToDate(dueDate, 1).replace(/-/g, '')}`,
+                `SUMMARY:${escapeIcsText(`${bankName} 信用卡繳款 ${card.totalAmount.toLocaleString()} 元`)}`,
+                `DESCRIPTION:${escapeIcsText(`帳單日期 ${card.statementDate}\n應繳金額 ${card.totalAmount.toLocaleString()} 元`)}`,
+                'TRANSP:TRANSPARENT',
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${escapeIcsText(`${bankName} 信用卡帳單即將到期`)}`,
+                `TRIGGER:-P${daysBefore}D`,
+                'END:VALARM',
+                'END:VEVENT',
+            ];
+        });
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Intelligent Analyzer//Card Payments//ZH',
+        'CALSCALE:GREGORIAN',
+        ...events,
+        'END:VCALENDAR',
+    ].map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// --- Panel ---
+
+/**
+ * Wires the upcoming payments panel on the summary page and starts the reminders.
+ * @param {object} allData - { creditCard, bankStatement }
+ */
+function initializeUpcomingPayments(allData) {
+    const panel = document.getElementById('upcoming-payments');
+    const cardResults = Object.values(allData.creditCard || {}).flatMap(group => group.results || []);
+    if (!panel || cardResults.length === 0) return;
+    panel.classList.remove('hidden');
+    renderUpcomingPayments(getUpcomingCardPayments(allData));
+
+    const settings = getPaymentReminderSettings();
+    const notifyToggle = document.getElementById('payment-reminder-toggle');
+    const daysInput = document.getElementById('payment-reminder-days');
+    notifyToggle.checked = settings.notify && typeof Notification !== 'undefined' && Notification.permission === 'granted';
+    daysInput.value = settings.daysBefore;
+
+    notifyToggle.addEventListener('change', async () => {
+        const current = getPaymentReminderSettings();
+        if (notifyToggle.checked) {
+            if (typeof Notification === 'undefined') {
+                alert('此瀏覽器不支援通知功能。');
+                notifyToggle.checked = false;
+                return;
+            }
+            const permission = await Notification.requestPermission();
+            if (permission !== 'granted') {
+                alert('未取得通知權限，請在瀏覽器設定中允許此網站顯示通知。');
+                notifyToggle.checked = false;
+                return;
+            }
+        }
+        current.notify = notifyToggle.checked;
+        savePaymentReminderSettings(current);
+        if (current.notify) notifyUpcomingPayments(getUpcomingCardPayments(allData));
+    });
+
+    daysInput.addEventListener('change', () => {
+        const days = parseInt(daysInput.value, 10);
+        const current = getPaymentReminderSettings();
+        current.daysBefore = isNaN(days) || days < 0 ? DEFAULT_PAYMENT_REMINDER_SETTINGS.daysBefore : Math.min(days, 30);
+        daysInput.value = current.daysBefore;
+        savePaymentReminderSettings(current);
+    });
+
+    document.getElementById('export-ics-button').addEventListener('click', () => {
+        const calendar = buildPaymentCalendar(cardResults, getPaymentReminderSettings().daysBefore);
+        downloadBlob(new Blob([calendar], { type: 'text/calendar;charset=utf-8' }), `card_payments_${getTodayDateString()}.ics`);
+    });
+
+    startPaymentReminders(() => allData);
+}
@@ -0,0 +1,147 @@
+/**
+ * @file reconciliation.js
+ * @description Checks extracted rows against the totals printed on the statement, so extraction
+ * mistakes (missed or duplicated rows, wrong signs) surface as a badge on the result card.
+ */
+
+// Differences up to this many dollars are treated as rounding.
+const RECONCILIATION_TOLERANCE = 1;
+// Bank statements whose periods are at most this many days apart count as consecutive.
+const CONSECUTIVE_STATEMENT_GAP_DAYS = 7;
+
+function sumAmounts(items) {
+    return (items || []).reduce((sum, item) => sum + (typeof item.amount === 'number' ? item.amount : 0), 0);
+}
+
+function buildReconciliation(label, printed, expected, note = null) {
+    if (typeof printed !== 'number' || typeof expected !== 'number') {
+        return { label, status: 'unknown', printed: null, expected: null, delta: null, note };
+    }
+    const delta = Math.round((expected - printed) * 100) / 100;
+    return {
+        label,
+        status: Math.abs(delta) <= RECONCILIATION_TOLERANCE ? 'matched' : 'mismatch',
+        printed,
+        expected,
+        delta,
+        note,
+    };
+}
+
+// --- Credit Card ---
+
+/**
+ * Compares a card statement's `totalAmount` with
+ * previous balance − payments + transactions − rewards.
+ * @param {object} result - A credit card statement.
+ * @returns {object} { label, status: 'matched'|'mismatch'|'unknown', printed, expected, delta, note }
+ */
+function reconcileCreditCardStatement(result) {
+    const label = result.statementDate || result.billHash;
+    if (typeof result.totalAmount !== 'number') {
+        return buildReconciliation(label, null, null, '帳單未列出本期應繳總額');
+    }
+    const foreignOnly = (result.transactions || []).filter(tx => tx.amount === null || tx.amount === undefined).length;
+    const rewards = (result.rewards || []).reduce((sum, rw) => sum + Math.abs(rw.amount || 0), 0);
+    const expected = (result.previousBalance || 0) - (result.paymentAmount || 0) + sumAmounts(result.transactions) - rewards;
+    const note = foreignOnly > 0 ? `${foreignOnly} 筆外幣消費沒有台幣金額` : null;
+    return buildReconciliation(label, result.totalAmount, expected, note);
+}
+
+// --- Bank Statements ---
+
+function getStatementAccountKey(result) {
+    return `${result.bankName || ''}|${result.accountNumber || ''}`;
+}
+
+function getStatementStart(result) {
+    return (result.statementPeriod && result.statementPeriod.startDate) || null;
+}
+
+function getStatementEnd(result) {
+    return (result.statementPeriod && result.statementPeriod.endDate) || result.statementDate || null;
+}
+
+function daysBetween(fromDateStr, toDateStr) {
+    const from = new Date(fromDateStr.replace(/-/g, '/'));
+    const to = new Date(toDateStr.replace(/-/g, '/'));
+    return Math.round((to - from) / 86400000);
+}
+
+function areConsecutiveStatements(previous, current) {
+    const previousEnd = getStatementEnd(previous);
+    const currentStart = getStatementStart(current) || current.statementDate;
+    if (!previousEnd || !currentStart) return false;
+    const gap = daysBetween(previousEnd, currentStart);
+    if (getStatementStart(current)) return gap >= 0 && gap <= CONSECUTIVE_STATEMENT_GAP_DAYS;
+    // Without a period only the statement dates are known; accept roughly one month apart.
+    return gap > 0 && gap <= 31 + CONSECUTIVE_STATEMENT_GAP_DAYS;
+}
+
+/**
+ * Checks previous ending balance + deposits − withdrawals against each statement's `endingBalance`.
+ * Statements are grouped per account and ordered by date; the opening balance comes from the
+ * previous consecutive statement, or from the statement's own `openingBalance` when printed.
+ * @param {Array<object>} results - All bank statements currently loaded.
+ * @returns {Object<string, object>} Reconciliations keyed by billHash.
+ */
+function reconcileBankStatements(results) {
+    const byAccount = {};
+    results.forEach(result => {
+        const key = getStatementAccountKey(result);
+        (byAccount[key] = byAccount[key] || []).push(result);
+    });
+
+    const reconciliations = {};
+    Object.values(byAccount).forEach(statements => {
+        statements.sort((a, b) => (getStatementEnd(a) || '').localeCompare(getStatementEnd(b) || ''));
+        statements.forEach((result, index) => {
+            const label = result.accountNumber ? `${result.accountNumber} ${getStatementEnd(result) || ''}`.trim() : (getStatementEnd(result) || result.billHash);
+            const previous = statements[index - 1];
+            let openingBalance = null;
+            let note = null;
+            if (previous && typeof previous.endingBalance === 'number' && areConsecutiveStatements(previous, result)) {
+                openingBalance = previous.endingBalance;
+            } else if (typeof result.openingBalance === 'number') {
+                openingBalance = result.openingBalance;
+            } else {
+                note = '缺少上一期對帳單或期初餘額';
+            }
+            if (typeof result.endingBalance !== 'number') note = '對帳單未列出期末餘額';
+
+            const expected = openingBalance === null ? null : openingBalance + sumAmounts(result.deposits) - sumAmounts(result.withdrawals);
+            reconciliations[result.billHash] = buildReconciliation(label, result.endingBalance, expected, note);
+        });
+    });
+    return reconciliations;
+}
+
+// --- Rendering ---
+
+/**
+ * Builds the badge shown in a result card header from that card's statement reconciliations.
+ * @param {Array<object>} reconciliations - One entry per statement on the card.
+ * @returns {string} HTML for the badge.
+ */
+function renderReconciliationBadge(reconciliations) {
+    const checks = reconciliations.filter(Boolean);
+    const mismatches = checks.filter(c => c.status === 'mismatch');
+    const unknown = checks.filter(c => c.status === 'unknown');
+    const details = checks.map(c => {
+        if (c.status === 'unknown') return `${c.label}：無法核對 (${c.note})`;
+        const base = `${c.label}：帳單 ${c.printed.toLocaleString()}，明細推算 ${c.expected.toLocaleString()}`;
+        return c.note ? `${base} (${c.note})` : base;
+    }).join('\n').replace(/"/g, '&quot;');
+
+    if (mismatches.length > 0) {
+        const deltaText = mismatches.map(c => `${c.delta > 0 ? '+' : ''}${c.delta.toLocaleString()}`).join('、');
+        return `<span class="inline-block text-xs font-semibold bg-yellow-100 text-yellow-800 px-2 py-1 rounded" title="${details}">⚠️ 與帳單總額不符，差額 ${deltaText}</span>`;
+    }
+    if (checks.length > 0 && unknown.length === checks.length) {
+        return `<span class="inline-block text-xs bg-gray-100 text-gray-500 px-2 py-1 rounded" title="${details}">無法核對帳單總額</span>`;
+    }
+    if (checks.length > 0) {
+        return `<span class="inline-block text-xs bg-green-100 text-green-700 px-2 py-1 rounded" title="${details}">✅ 已與帳單總額核對</span>`;
+    }
+    return '';
+}
@@ -0,0 +1,247 @@
+/**
+ * @file recurring.js
+ * @description Detects recurring payments and subscriptions in the saved card transactions and
+ * bank withdrawals: merchants charged at a regular interval with similar amounts. Each one is
+ * listed with its cadence, last charge, next expected charge and annualised cost, and flagged
+ * when its price went up or when it stopped appearing in statements that should contain it.
+ */
+
+// --- Configuration ---
+const RECURRING_CADENCES = [
+    { key: 'weekly', label: '每週', days: 7, tolerance: 2, perYear: 52, minCharges: 4 },
+    { key: 'biweekly', label: '每兩週', days: 14, tolerance: 3, perYear: 26, minCharges: 3 },
+    { key: 'monthly', label: '每月', days: 30, tolerance: 6, perYear: 12, minCharges: 3, months: 1 },
+    { key: 'bimonthly', label: '每兩個月', days: 61, tolerance: 8, perYear: 6, minCharges: 3, months: 2 },
+    { key: 'quarterly', label: '每季', days: 91, tolerance: 12, perYear: 4, minCharges: 3, months: 3 },
+    { key: 'semiannual', label: '每半年', days: 182, tolerance: 15, perYear: 2, minCharges: 2, months: 6 },
+    { key: 'yearly', label: '每年', days: 365, tolerance: 20, perYear: 1, minCharges: 2, months: 12 },
+];
+// Share of intervals that must match the cadence, and of amounts that must be near the typical one.
+const RECURRING_MIN_REGULARITY = 0.75;
+// Amounts within this share of the median count as the same charge.
+const RECURRING_AMOUNT_TOLERANCE = 0.2;
+// A later charge this much above the one before it is reported as a price increase.
+const RECURRING_PRICE_INCREASE = 0.02;
+
+// --- Helpers ---
+
+function getDaysBetween(from, to) {
+    return Math.round((parseDedupDate(to) - parseDedupDate(from)) / 86400000);
+}
+
+function addMonthsToDate(dateStr, months) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(day, lastDay));
+    return target.toISOString().slice(0, 10);
+}
+
+function getMedian(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Collects the charges that can recur, with the last date each account's statements cover
+ * (source → account key → date). Card payments from the bank, installment periods (see
+ * installments.js) and refunds are left out.
+ */
+function collectRecurringCandidates(allData) {
+    const charges = [];
+    const coveredUntil = { card: {}, bank: {} };
+    const cover = (source, accountKey, date) => {
+        if (isIsoDate(date) && !(coveredUntil[source][accountKey] >= date)) coveredUntil[source][accountKey] = date;
+    };
+    Object.values(allData.creditCard || {}).forEach(group => (group.results || []).forEach(res => {
+        const account = res.bankName || '未知銀行';
+        cover('card', account, res.statementDate);
+        (res.transactions || []).forEach(row => charges.push({ row, source: 'card', account, accountKey: account }));
+    }));
+    Object.values(allData.bankStatement || {}).forEach(group => (group.results || []).forEach(res => {
+        const account = res.bankName || '未知銀行';
+        const accountKey = `${account}|${res.accountNumber || ''}`;
+        cover('bank', accountKey, (res.statementPeriod && res.statementPeriod.endDate) || res.statementDate);
+        (res.withdrawals || [])
+            .filter(row => !isCardPaymentWithdrawal(row))
+            .forEach(row => charges.push({ row, source: 'bank', account, accountKey }));
+    }));
+    return {
+        coveredUntil,
+        charges: charges.filter(({ row }) => isIsoDate(row.date) && typeof row.amount === 'number' && row.amount > 0
+            && row.description && !parseInstallment(row.description)),
+    };
+}
+
+/**
+ * Checks whether a merchant's charges (oldest first) recur at one of the cadences.
+ * @returns {object|null} The cadence, or null.
+ */
+function findRecurringCadence(charges) {
+    const intervals = charges.slice(1).map((charge, i) => getDaysBetween(charges[i].row.date, charge.row.date));
+    if (intervals.length === 0) return null;
+    const typical = getMedian(intervals);
+    const cadence = RECURRING_CADENCES.find(c => Math.abs(typical - c.days) <= c.tolerance);
+    if (!cadence || charges.length < cadence.minCharges) return null;
+    const regular = intervals.filter(days => Math.abs(days - cadence.days) <= cadence.tolerance).length;
+    return regular / intervals.length >= RECURRING_MIN_REGULARITY ? cadence : null;
+}
+
+function hasConsistentAmounts(charges) {
+    const typical = getMedian(charges.map(c => c.row.amount));
+    const similar = charges.filter(c => Math.abs(c.row.amount - typical) <= typical * RECURRING_AMOUNT_TOLERANCE).length;
+    return similar / charges.length >= RECURRING_MIN_REGULARITY;
+}
+
+/**
+ * Finds the latest price change in a series; only increases are reported.
+ * @returns {{from: number, to: number, date: string}|null}
+ */
+function findPriceIncrease(charges) {
+    for (let i = charges.length - 1; i > 0; i--) {
+        const before = charges[i - 1].row.amount;
+        const after = charges[i].row.amount;
+        if (Math.abs(after - before) > before * RECURRING_PRICE_INCREASE) {
+            return after > before ? { from: before, to: after, date: charges[i].row.date } : null;
+        }
+    }
+    return null;
+}
+
+function describeRecurringSeries(merchant, charges, cadence, coveredUntil, today) {
+    const last = charges[charges.length - 1];
+    const nextDate = cadence.months ? addMonthsToDate(last.row.date, cadence.months) : addDaysToDate(last.row.date, cadence.days);
+    // Stopped: the account's statements run past the next charge (plus slack), yet it never showed up.
+    const stopped = (coveredUntil[last.source][last.accountKey] || '') > addDaysToDate(nextDate, cadence.tolerance);
+    return {
+        merchant,
+        source: last.source,
+        account: last.account,
+        cadence,
+        charges: charges.map(c => c.row),
+        lastDate: last.row.date,
+        lastAmount: last.row.amount,
+        nextDate,
+        overdue: !stopped && addDaysToDate(nextDate, cadence.tolerance) < today,
+        annualCost: stopped ? 0 : last.row.amount * cadence.perYear,
+        priceIncrease: findPriceIncrease(charges),
+        stopped,
+    };
+}
+
+// --- Detection ---
+
+/**
+ * Scans all saved statements for recurring payments. Charges are grouped by canonical merchant
+ * (see merchant-classifier.js); when a merchant's charges are not regular as a whole (e.g. a
+ * monthly plan plus one-off purchases from the same store), charges of the same amount are
+ * tried on their own.
+ * @param {object} allData - { creditCard, bankStatement }
+ * @param {string} [today] - YYYY-MM-DD.
+ * @returns {Array<object>} { merchant, source, account, cadence, charges, lastDate, lastAmount,
+ * nextDate, overdue, annualCost, priceIncrease, stopped }, highest annual cost first.
+ */
+function detectRecurringPayments(allData, today = getTodayDateString()) {
+    if (!allData) return [];
+    const { charges, coveredUntil } = collectRecurringCandidates(allData);
+    const byMerchant = new Map();
+    charges.forEach(charge => {
+        const merchant = normalizeMerchantName(charge.row.description);
+        if (!byMerchant.has(merchant)) byMerchant.set(merchant, []);
+        byMerchant.get(merchant).push(charge);
+    });
+
+    const detected = [];
+    byMerchant.forEach((merchantCharges, merchant) => {
+        // The same charge can be on two overlapping statements.
+        const seen = new Set();
+        const series = merchantCharges
+            .sort((a, b) => a.row.date.localeCompare(b.row.date))
+            .filter(c => {
+                const key = `${c.row.date}|${c.row.amount}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        const cadence = findRecurringCadence(series);
+        if (cadence && hasConsistentAmounts(series)) {
+            detected.push(describeRecurringSeries(merchant, series, cadence, coveredUntil, today));
+            return;
+        }
+        const byAmount = new Map();
+        series.forEach(c => {
+            const key = Math.round(c.row.amount);
+            if (!byAmount.has(key)) byAmount.set(key, []);
+            byAmount.get(key).push(c);
+        });
+        byAmount.forEach(sameAmount => {
+            const amountCadence = findRecurringCadence(sameAmount);
+            if (amountCadence) detected.push(describeRecurringSeries(merchant, sameAmount, amountCadence, coveredUntil, today));
+        });
+    });
+    return detected.sort((a, b) => b.annualCost - a.annualCost || b.lastDate.localeCompare(a.lastDate));
+}
+
+// --- Rendering ---
+
+/**
+ * Renders the detected subscriptions into `#recurring-payments-list`.
+ * @param {Array<object>} payments - From `detectRecurringPayments`.
+ */
+function renderRecurringPayments(payments) {
+    const container = document.getElementById('recurring-payments-list');
+    if (!container) return;
+    if (payments.length === 0) {
+        container.innerHTML = '<p class="text-center text-gray-500 py-2">尚未偵測到定期扣款。資料累積數個月後會更準確。</p>';
+        return;
+    }
+    const activeTotal = payments.reduce((sum, p) => sum + p.annualCost, 0);
+    container.innerHTML = `
+        <p class="text-sm text-gray-600 mb-2">進行中的定期扣款每年約 <span class="font-semibold text-red-600">${formatCurrency(activeTotal)}</span></p>
+        <table class="w-full text-sm">
+            <thead class="bg-gray-50">
+                <tr>
+                    <th class="py-2 px-3 text-left text-xs font-medium text-gray-500">商家</th>
+                    <th class="py-2 px-3 text-left text-xs font-medium text-gray-500">週期</th>
+                    <th class="py-2 px-3 text-left text-xs font-medium text-gray-500">最近一次</th>
+                    <th class="py-2 px-3 text-left text-xs font-medium text-gray-500">下次預計</th>
+                    <th class="py-2 px-3 text-right text-xs font-medium text-gray-500">年化金額</th>
+                    <th class="py-2 px-3 text-left text-xs font-medium text-gray-500">狀態</th>
+                </tr>
+            </thead>
+            <tbody class="divide-y divide-gray-200">
+                ${payments.map(p => {
+                    const badges = [];
+                    if (p.priceIncrease) badges.push(`<span class="text-xs bg-orange-100 text-orange-700 px-2 py-1 rounded" title="${p.priceIncrease.date} 起調漲">⬆️ 漲價 ${p.priceIncrease.from.toLocaleString()} → ${p.priceIncrease.to.toLocaleString()}</span>`);
+                    if (p.stopped) badges.push('<span class="text-xs bg-gray-100 text-gray-500 px-2 py-1 rounded" title="之後的帳單中未再出現">⏹ 可能已停止</span>');
+                    else if (p.overdue) badges.push('<span class="text-xs bg-blue-50 text-blue-700 px-2 py-1 rounded" title="預計扣款日已過，尚未匯入之後的帳單">等待新帳單確認</span>');
+                    return `
+                        <tr class="${p.stopped ? 'text-gray-400' : ''}">
+                            <td class="py-2 px-3"><span class="font-medium">${escapeHtml(p.merchant)}</span><br><span class="text-xs text-gray-500">${p.source === 'card' ? '信用卡' : '銀行'}：${escapeHtml(p.account)}，共 ${p.charges.length} 筆</span></td>
+                            <td class="py-2 px-3">${p.cadence.label}</td>
+                            <td class="py-2 px-3">${p.lastDate}<br><span class="text-xs text-gray-500">${p.lastAmount.toLocaleString()}</span></td>
+                            <td class="py-2 px-3">${p.stopped ? '-' : p.nextDate}</td>
+                            <td class="py-2 px-3 text-right font-medium">${p.stopped ? '-' : formatCurrency(p.annualCost)}</td>
+                            <td class="py-2 px-3 space-x-1">${badges.join('')}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Summarises the detected subscriptions for the AI advice prompt.
+ * @param {Array<object>} payments - From `detectRecurringPayments`.
+ * @returns {string} One line per subscription, or '' when there are none.
+ */
+function formatRecurringPaymentsForPrompt(payments) {
+    if (payments.length === 0) return '';
+    return payments.map(p => {
+        const notes = [p.stopped ? '可能已停止' : `年化約 ${Math.round(p.annualCost)}`];
+        if (p.priceIncrease) notes.push(`${p.priceIncrease.date} 由 ${p.priceIncrease.from} 漲至 ${p.priceIncrease.to}`);
+        return `  - ${p.merchant} (${p.source === 'card' ? '信用卡' : '銀行'})：${p.cadence.label} ${p.lastAmount}，最近一次 ${p.lastDate}，${notes.join('，')}`;
+    }).join('\n');
+}
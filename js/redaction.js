@@ -0,0 +1,233 @@
+/**
+ * @file redaction.js
+ * @description Configurable PII redaction applied to every payload sent to an AI provider,
+ * plus an optional confirmation dialog that previews exactly what will be sent.
+ */
+
+// --- Configuration ---
+const REDACTION_SETTINGS_KEY = 'redactionSettings';
+
+/**
+ * Built-in rules. `replace` is either a replacement string or a function receiving the match,
+ * as accepted by String.prototype.replace.
+ */
+const REDACTION_RULES = [
+    { id: 'taiwanId', label: '身分證字號', pattern: /[A-Z][12]\d{8}/g, replace: '[身分證已刪除]' },
+    { id: 'passport', label: '護照號碼', pattern: /(護照號碼|護照號|Passport No\.?)([:：\s]*)[A-Z0-9]{7,9}/gi, replace: '$1$2[護照號碼已刪除]' },
+    { id: 'cardNumber', label: '信用卡卡號', pattern: /\b\d{4}[- ]?\d{4}[- ]?\d{4}[- ]?\d{4}\b/g, replace: '[卡號已刪除]' },
+    { id: 'mobile', label: '手機號碼', pattern: /\b09\d{2}[- ]?\d{3}[- ]?\d{3}\b/g, replace: '[電話已刪除]' },
+    { id: 'landline', label: '市話號碼', pattern: /\(0\d{1,2}\)\s?\d{3,4}-?\d{4}\b|\b0\d{1,2}-\d{3,4}-?\d{4}\b/g, replace: '[電話已刪除]' },
+    // Account numbers keep their last five digits, which the bank prompt uses to tell accounts apart.
+    { id: 'accountNumber', label: '銀行帳號 (保留末五碼)', pattern: /\b\d{3,4}-?\d{2,6}-?\d{5,8}\b/g, replace: (match) => `[帳號末五碼 ${match.replace(/-/g, '').slice(-5)}]` },
+    { id: 'email', label: '電子郵件', pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, replace: '[Email已刪除]' },
+    { id: 'address', label: '地址', pattern: /[臺台]?[一-龥]{1,3}[市縣][一-龥]{1,4}[區鄉鎮市][一-龥\d\-]{0,20}?(?:路|街|大道)[一-龥\d\-之巷弄段]{0,15}?號(?:[\d\-之]{0,6}樓)?(?:之\d+)?/g, replace: '[地址已刪除]' },
+    { id: 'name', label: '姓名 (戶名/持卡人欄位)', pattern: /(戶名|姓名|持卡人|收件人)([:：]\s*|\s+)[一-龥]{2,4}/g, replace: '$1$2[姓名已刪除]' },
+];
+
+// --- Settings ---
+
+function getRedactionSettings() {
+    const defaults = { disabledRules: [], customRules: [], previewBeforeSend: false };
+    try {
+        const saved = JSON.parse(localStorage.getItem(REDACTION_SETTINGS_KEY));
+        return saved ? { ...defaults, ...saved } : defaults;
+    } catch (e) {
+        console.error("讀取遮蔽設定失敗:", e);
+        return defaults;
+    }
+}
+
+function saveRedactionSettings(settings) {
+    localStorage.setItem(REDACTION_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Returns the enabled rules in application order: built-in rules first, then the user's own.
+ * @returns {Array<{id: string, label: string, pattern: RegExp, replace: string|function}>}
+ */
+function getActiveRedactionRules() {
+    const settings = getRedactionSettings();
+    const builtins = REDACTION_RULES.filter(rule => !settings.disabledRules.includes(rule.id));
+    const customs = settings.customRules
+        .filter(rule => rule.enabled !== false)
+        .map(rule => {
+            try {
+                return { id: rule.id, label: rule.label, pattern: new RegExp(rule.pattern, 'g'), replace: rule.replacement || '[已刪除]' };
+            } catch (e) {
+                console.error(`自訂遮蔽規則 ${rule.label} 無效:`, e);
+                return null;
+            }
+        })
+        .filter(Boolean);
+    return [...builtins, ...customs];
+}
+
+// --- Redaction ---
+
+function redactText(text) {
+    return getActiveRedactionRules().reduce((result, rule) => result.replace(rule.pattern, rule.replace), text);
+}
+
+/**
+ * Returns a copy of Gemini-style contents with every text part redacted.
+ * @param {Array} contents - [{ role, parts: [{ text } | { inlineData }] }]
+ * @returns {Array} The redacted contents.
+ */
+function redactOutgoingContents(contents) {
+    return contents.map(content => ({
+        ...content,
+        parts: (content.parts || []).map(part => typeof part.text === 'string' ? { ...part, text: redactText(part.text) } : part),
+    }));
+}
+
+// --- Preview Dialog ---
+
+let previewQueue = Promise.resolve();
+
+function getPreviewModal() {
+    let modal = document.getElementById('redaction-preview-modal');
+    if (modal) return modal;
+
+    modal = document.createElement('div');
+    modal.id = 'redaction-preview-modal';
+    modal.className = 'hidden fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
+    modal.innerHTML = `
+        <div class="relative top-10 mx-auto p-5 border w-11/12 max-w-3xl shadow-lg rounded-md bg-white">
+            <h3 class="text-lg font-medium text-gray-900 mb-2">即將傳送給 AI 的內容</h3>
+            <p class="text-sm text-gray-500 mb-2">以下為套用遮蔽規則後、實際會送出的文字。<span id="redaction-preview-images"></span></p>
+            <textarea id="redaction-preview-text" readonly class="w-full h-96 p-2 border border-gray-300 rounded-md font-mono text-xs"></textarea>
+            <div class="flex justify-end gap-2 mt-3">
+                <button id="redaction-preview-cancel" class="bg-gray-500 text-white px-4 py-2 rounded-md hover:bg-gray-600">取消傳送</button>
+                <button id="redaction-preview-confirm" class="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700">確認傳送</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    return modal;
+}
+
+function showPreviewModal(text, imageCount) {
+    return new Promise(resolve => {
+        const modal = getPreviewModal();
+        modal.querySelector('#redaction-preview-text').value = text;
+        modal.querySelector('#redaction-preview-images').textContent = imageCount > 0 ? `另含 ${imageCount} 張頁面圖片。` : '';
+        modal.classList.remove('hidden');
+
+        const finish = (confirmed) => {
+            modal.classList.add('hidden');
+            confirmButton.removeEventListener('click', onConfirm);
+            cancelButton.removeEventListener('click', onCancel);
+            resolve(confirmed);
+        };
+        const onConfirm = () => finish(true);
+        const onCancel = () => finish(false);
+        const confirmButton = modal.querySelector('#redaction-preview-confirm');
+        const cancelButton = modal.querySelector('#redaction-preview-cancel');
+        confirmButton.addEventListener('click', onConfirm);
+        cancelButton.addEventListener('click', onCancel);
+    });
+}
+
+/**
+ * Asks the user to approve an outgoing payload when previews are enabled. Concurrent requests
+ * are queued so that only one dialog is visible at a time.
+ * @param {Array} contents - The already redacted contents.
+ * @returns {Promise<boolean>} Whether the payload may be sent.
+ */
+function confirmOutgoingPayload(contents) {
+    if (!getRedactionSettings().previewBeforeSend) return Promise.resolve(true);
+
+    const text = contents
+        .map(content => (content.parts || []).filter(p => typeof p.text === 'string').map(p => p.text).join('\n\n'))
+        .join('\n\n========\n\n');
+    const imageCount = contents.reduce((sum, content) => sum + (content.parts || []).filter(p => p.inlineData).length, 0);
+
+    const result = previewQueue.then(() => showPreviewModal(text, imageCount));
+    previewQueue = result.catch(() => {});
+    return result;
+}
+
+// --- Settings UI ---
+
+function renderRedactionSettings() {
+    const container = document.getElementById('redaction-settings');
+    if (!container) return;
+    const settings = getRedactionSettings();
+
+    const builtinHtml = REDACTION_RULES.map(rule => `
+        <label class="inline-flex items-center gap-1 mr-4 text-sm">
+            <input type="checkbox" data-rule-id="${rule.id}" ${settings.disabledRules.includes(rule.id) ? '' : 'checked'}>
+            ${rule.label}
+        </label>
+    `).join('');
+
+    const customHtml = settings.customRules.map(rule => `
+        <div class="password-chip">
+            <label class="inline-flex items-center gap-1">
+                <input type="checkbox" data-custom-rule-id="${rule.id}" ${rule.enabled === false ? '' : 'checked'}>
+                <span>${rule.label}</span>
+            </label>
+            <button data-remove-custom-rule="${rule.id}">&times;</button>
+        </div>
+    `).join('');
+
+    container.innerHTML = `
+        <div>${builtinHtml}</div>
+        <div class="mt-2">${customHtml}</div>
+        <div class="flex items-center gap-2 mt-2">
+            <input type="text" id="custom-rule-label-input" class="w-1/4 p-2 border border-gray-300 rounded-md text-sm" placeholder="規則名稱">
+            <input type="text" id="custom-rule-pattern-input" class="flex-grow p-2 border border-gray-300 rounded-md text-sm font-mono" placeholder="自訂正規表示式，例如：會員編號\\d+">
+            <button id="add-custom-rule-button" class="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700">新增規則</button>
+        </div>
+        <label class="inline-flex items-center gap-1 mt-2 text-sm font-semibold">
+            <input type="checkbox" id="redaction-preview-toggle" ${settings.previewBeforeSend ? 'checked' : ''}>
+            每次呼叫 AI 前預覽即將傳送的內容
+        </label>
+    `;
+}
+
+function initializeRedactionSettings() {
+    const container = document.getElementById('redaction-settings');
+    if (!container) return;
+    renderRedactionSettings();
+
+    container.addEventListener('change', (e) => {
+        const settings = getRedactionSettings();
+        if (e.target.dataset.ruleId) {
+            const id = e.target.dataset.ruleId;
+            settings.disabledRules = settings.disabledRules.filter(r => r !== id);
+            if (!e.target.checked) settings.disabledRules.push(id);
+        } else if (e.target.dataset.customRuleId) {
+            const rule = settings.customRules.find(r => r.id === e.target.dataset.customRuleId);
+            if (rule) rule.enabled = e.target.checked;
+        } else if (e.target.id === 'redaction-preview-toggle') {
+            settings.previewBeforeSend = e.target.checked;
+        } else {
+            return;
+        }
+        saveRedactionSettings(settings);
+    });
+
+    container.addEventListener('click', (e) => {
+        if (e.target.dataset.removeCustomRule) {
+            const settings = getRedactionSettings();
+            settings.customRules = settings.customRules.filter(r => r.id !== e.target.dataset.removeCustomRule);
+            saveRedactionSettings(settings);
+            renderRedactionSettings();
+        } else if (e.target.id === 'add-custom-rule-button') {
+            const label = document.getElementById('custom-rule-label-input').value.trim();
+            const pattern = document.getElementById('custom-rule-pattern-input').value.trim();
+            if (!pattern) return;
+            try {
+                new RegExp(pattern, 'g');
+            } catch (error) {
+                alert(`正規表示式無效: ${error.message}`);
+                return;
+            }
+            const settings = getRedactionSettings();
+            settings.customRules.push({ id: `custom-${crypto.randomUUID()}`, label: label || pattern, pattern, replacement: `[${label || '自訂'}已刪除]`, enabled: true });
+            saveRedactionSettings(settings);
+            renderRedactionSettings();
+        }
+    });
+}
@@ -5,9 +5,30 @@
  */
 
 // --- Global State & Configuration ---
-const STORAGE_KEY = 'intelligentAnalyzerData'; // Unified storage key
+const STORAGE_KEY = 'intelligentAnalyzerData'; // Legacy localStorage key, migrated to IndexedDB by storage.js
 let fileQueue = [];
 let passwordResolver = null;
+// billHashes of saved statements the user removed from the queue; deleted from storage on the next save.
+let pendingStatementDeletions = new Set();
+
+const OCR_MODE_KEY = 'ocrMode';
+const CUTOFF_DAY_KEY = 'cutoffDay';
+const DEFAULT_CUTOFF_DAY = 15;
+// tesseract.js and its chi_tra / eng traineddata are served from this app's own folder.
+// The script is only loaded once a file is sent to local OCR.
+const TESSERACT_CONFIG = {
+    scriptPath: 'vendor/tesseract/tesseract.min.js',
+    languages: 'chi_tra+eng',
+    langPath: 'vendor/tessdata',
+    workerPath: 'vendor/tesseract/worker.min.js',
+    corePath: 'vendor/tesseract/',
+};
+
+const REQUEST_SCHEDULER_KEY = 'requestSchedulerSettings';
+// HTTP statuses worth retrying: rate limiting and transient server errors.
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+const RETRY_BASE_DELAY_MS = 2000;
+const RETRY_MAX_DELAY_MS = 60000;
 
 // --- DOM Element Cache ---
 let dom = {};
@@ -77,6 +98,7 @@ function initializeDOMElements() {
         passwordModalInput: document.getElementById('password-modal-input'),
         passwordModalError: document.getElementById('password-modal-error'),
         passwordModalSubmit: document.getElementById('password-modal-submit'),
+        passwordModalCancel: document.getElementById('password-modal-cancel'),
     };
 }
 
@@ -93,6 +115,57 @@ function loadApiKey() {
     }
 }
 
+function getOcrMode() {
+    return localStorage.getItem(OCR_MODE_KEY) || 'cloud';
+}
+
+function initializeOcrModeControl() {
+    const select = document.getElementById('ocr-mode-select');
+    if (!select) return;
+    select.value = getOcrMode();
+    select.addEventListener('change', () => localStorage.setItem(OCR_MODE_KEY, select.value));
+}
+
+/**
+ * The card billing cutoff day, shared by the credit card page, the summary and exports.
+ */
+function getCutoffDay() {
+    const day = parseInt(localStorage.getItem(CUTOFF_DAY_KEY), 10);
+    return day >= 1 && day <= 28 ? day : DEFAULT_CUTOFF_DAY;
+}
+
+function saveCutoffDay(day) {
+    if (day >= 1 && day <= 28) localStorage.setItem(CUTOFF_DAY_KEY, String(day));
+}
+
+function getSchedulerSettings() {
+    const defaults = { concurrency: 2, maxRetries: 4 };
+    try {
+        return { ...defaults, ...(JSON.parse(localStorage.getItem(REQUEST_SCHEDULER_KEY)) || {}) };
+    } catch (e) {
+        console.error("讀取請求排程設定失敗:", e);
+        return defaults;
+    }
+}
+
+function initializeSchedulerControls() {
+    const concurrencyInput = document.getElementById('concurrency-input');
+    const maxRetriesInput = document.getElementById('max-retries-input');
+    if (!concurrencyInput || !maxRetriesInput) return;
+    const settings = getSchedulerSettings();
+    concurrencyInput.value = settings.concurrency;
+    maxRetriesInput.value = settings.maxRetries;
+    const persist = () => {
+        const concurrency = Math.min(Math.max(parseInt(concurrencyInput.value, 10) || 1, 1), 10);
+        const maxRetries = Math.min(Math.max(parseInt(maxRetriesInput.value, 10) || 0, 0), 10);
+        concurrencyInput.value = concurrency;
+        maxRetriesInput.value = maxRetries;
+        localStorage.setItem(REQUEST_SCHEDULER_KEY, JSON.stringify({ concurrency, maxRetries }));
+    };
+    concurrencyInput.addEventListener('change', persist);
+    maxRetriesInput.addEventListener('change', persist);
+}
+
 function getPasswordPresets() {
     const presets = localStorage.getItem('passwordPresets');
     return presets ? JSON.parse(presets) : [];
@@ -159,28 +232,146 @@ async function preprocessImage(base64Data) {
 }
 
 
-async function processPdfDocument(pdfDoc, hash, filename, getPromptFunction) {
+/**
+ * Rebuilds visual text lines from PDF.js text items by grouping them on their baseline (y)
+ * and ordering each line left to right. Statement templates rely on these lines.
+ * @param {object} textContent - The result of `page.getTextContent()`.
+ * @returns {Array<string>} The page's text lines, top to bottom.
+ */
+function extractPageLines(textContent) {
+    const rows = [];
+    textContent.items.forEach(item => {
+        if (!item.str || !item.str.trim()) return;
+        const x = item.transform[4];
+        const y = item.transform[5];
+        let row = rows.find(r => Math.abs(r.y - y) < 2);
+        if (!row) {
+            row = { y, items: [] };
+            rows.push(row);
+        }
+        row.items.push({ x, str: item.str.trim() });
+    });
+    return rows
+        .sort((a, b) => b.y - a.y)
+        .map(r => r.items.sort((a, b) => a.x - b.x).map(i => i.str).join(' '));
+}
+
+async function extractPdfText(pdfDoc) {
     let fullText = '';
+    const lines = [];
     for (let i = 1; i <= pdfDoc.numPages; i++) {
         const page = await pdfDoc.getPage(i);
         const textContent = await page.getTextContent();
         fullText += textContent.items.map(item => item.str).join(' ') + '\n';
+        lines.push(...extractPageLines(textContent));
+    }
+    return { fullText, lines };
+}
+
+async function renderPdfPageToCanvas(page) {
+    const viewport = page.getViewport({ scale: 3.0 }); 
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    canvas.height = viewport.height;
+    canvas.width = viewport.width;
+    await page.render({ canvasContext: context, viewport: viewport }).promise;
+    return canvas;
+}
+
+let tesseractScriptPromise = null;
+
+/**
+ * Injects the local tesseract.js script once.
+ * @returns {Promise<boolean>} Whether `Tesseract` is available afterwards.
+ */
+function loadTesseractScript() {
+    if (typeof Tesseract !== 'undefined') return Promise.resolve(true);
+    if (!tesseractScriptPromise) {
+        tesseractScriptPromise = new Promise(resolve => {
+            const script = document.createElement('script');
+            script.src = TESSERACT_CONFIG.scriptPath;
+            script.onload = () => resolve(typeof Tesseract !== 'undefined');
+            script.onerror = () => {
+                // Let a later file retry, e.g. after the files have been put in place.
+                script.remove();
+                tesseractScriptPromise = null;
+                resolve(false);
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return tesseractScriptPromise;
+}
+
+/**
+ * Runs tesseract.js over every rendered page, entirely in the browser. The language data is
+ * read from `TESSERACT_CONFIG.langPath`, so no page image leaves the machine.
+ * @param {object} pdfDoc - The PDF.js document.
+ * @returns {Promise<Array<string>>} The recognised text lines of all pages.
+ */
+async function recognizePdfWithTesseract(pdfDoc) {
+    if (!await loadTesseractScript()) {
+        throw new Error('找不到 tesseract.js，請確認已將其放置於 vendor/tesseract/ 目錄。');
+    }
+    const worker = await Tesseract.createWorker(TESSERACT_CONFIG.languages, 1, {
+        langPath: TESSERACT_CONFIG.langPath,
+        workerPath: TESSERACT_CONFIG.workerPath,
+        corePath: TESSERACT_CONFIG.corePath,
+        gzip: false,
+    });
+    try {
+        const lines = [];
+        for (let i = 1; i <= pdfDoc.numPages; i++) {
+            const page = await pdfDoc.getPage(i);
+            const canvas = await renderPdfPageToCanvas(page);
+            const { data } = await worker.recognize(canvas);
+            lines.push(...data.text.split('\n').map(line => line.trim()).filter(Boolean));
+        }
+        return lines;
+    } finally {
+        await worker.terminate();
+    }
+}
+
+function tryStatementTemplates(lines, statementType, hash, filename) {
+    if (!statementType || getParserMode() !== 'offline') return null;
+    const templateMatch = parseStatementWithTemplates(lines, statementType, hash);
+    if (templateMatch) {
+        console.log(`檔案 ${filename} 已使用離線範本「${templateMatch.template.name}」解析。`);
     }
+    return templateMatch;
+}
+
+// Redaction of the text happens in `requestAIText`, right before the payload leaves the browser.
+function buildTextPayload(text, hash, getPromptFunction) {
+    const textPrompt = getPromptFunction(hash) + `\n\n---\n這是要分析的文字：\n---\n${text}\n---`;
+    return { apiParts: [{text: textPrompt}], hash };
+}
+
+async function processPdfDocument(pdfDoc, hash, filename, getPromptFunction, statementType) {
+    const { fullText, lines } = await extractPdfText(pdfDoc);
+
+    const templateMatch = tryStatementTemplates(lines, statementType, hash, filename);
+    if (templateMatch) return { hash, templateMatch };
 
     const meaningfulChars = fullText.match(/[\u4000-\u9fa5]/g) || [];
     const meaningfulCharCount = meaningfulChars.length;
 
-    if (meaningfulCharCount < 150) { 
+    if (meaningfulCharCount < 150 && getOcrMode() === 'local') {
+        console.log(`有效中文字量 (${meaningfulCharCount}) 過少，檔案 ${filename} 將以本機 Tesseract 進行 OCR。`);
+        const ocrLines = await recognizePdfWithTesseract(pdfDoc);
+        const ocrTemplateMatch = tryStatementTemplates(ocrLines, statementType, hash, filename);
+        if (ocrTemplateMatch) return { hash, templateMatch: ocrTemplateMatch };
+        return buildTextPayload(ocrLines.join('\n'), hash, getPromptFunction);
+    } else if (meaningfulCharCount < 150) { 
         console.log(`有效中文字量 (${meaningfulCharCount}) 過少，檔案 ${filename} 將啟用 OCR 模式並進行圖像預處理。`);
+        const maskProfile = findPageMaskProfile(fullText, filename);
         const imageParts = [];
         for (let i = 1; i <= pdfDoc.numPages; i++) {
             const page = await pdfDoc.getPage(i);
-            const viewport = page.getViewport({ scale: 3.0 }); 
-            const canvas = document.createElement('canvas');
-            const context = canvas.getContext('2d');
-            canvas.height = viewport.height;
-            canvas.width = viewport.width;
-            await page.render({ canvasContext: context, viewport: viewport }).promise;
+            const canvas = await renderPdfPageToCanvas(page);
+            const maskedCount = await maskSensitivePageRegions(page, canvas, i, maskProfile);
+            if (maskedCount > 0) console.log(`檔案 ${filename} 第 ${i} 頁已遮蔽 ${maskedCount} 個區域。`);
             
             const base64Data = canvas.toDataURL('image/jpeg').split(',')[1];
             const processedBase64 = await preprocessImage(base64Data);
@@ -190,21 +381,27 @@ async function processPdfDocument(pdfDoc, hash, filename, getPromptFunction) {
         const ocrPrompt = getPromptFunction(hash) + `\n\n---\n# 輔助辨識資訊\n\n這份文件可能是圖片檔，以下是從中提取出的部分或不完整的文字，請將其作為 OCR 辨識時的參考，以提高準確度：\n\n\`\`\`\n${fullText}\n\`\`\`\n\n---\n# 主要任務\n\n請以**以下圖片**為主要分析對象，結合上述文字進行 OCR 並分析其內容：\n---`;
         return { apiParts: [{text: ocrPrompt}, ...imageParts], hash };
     } else {
-        const sanitizedText = fullText.replace(/[A-Z][12]\d{8}/g, '[身分證已刪除]').replace(/\b\d{4}[- ]?\d{4}[- ]?\d{4}[- ]?\d{4}\b/g, '[卡號已刪除]').replace(/\b09\d{2}[- ]?\d{3}[- ]?\d{3}\b/g, '[電話已刪除]');
-        const textPrompt = getPromptFunction(hash) + `\n\n---\n這是要分析的文字：\n---\n${sanitizedText}\n---`;
-        return { apiParts: [{text: textPrompt}], hash };
+        if (statementType && getParserMode() === 'offline') {
+            console.log(`檔案 ${filename} 沒有符合的解析範本，改用 AI 分析。`);
+        }
+        return buildTextPayload(fullText, hash, getPromptFunction);
     }
 }
 
-async function prepareApiPayload(pdfData, filename, getPromptFunction) {
+/**
+ * Opens a PDF, trying no password, then every saved preset, then asking the user until
+ * the right password is entered or the prompt is cancelled.
+ * @param {ArrayBuffer} pdfData - The raw PDF bytes.
+ * @param {string} filename - Shown in the password modal.
+ * @returns {Promise<object>} The PDF.js document.
+ */
+async function openPdfDocument(pdfData, filename) {
     const presets = getPasswordPresets();
     const passwordsToTry = [null, ...presets];
-    const hash = await calculateFileHash(pdfData);
 
     for (const password of passwordsToTry) {
         try {
-            const pdfDoc = await pdfjsLib.getDocument({ data: pdfData, password: password }).promise;
-            return await processPdfDocument(pdfDoc, hash, filename, getPromptFunction);
+            return await pdfjsLib.getDocument({ data: pdfData, password: password }).promise;
         } catch (error) {
             if (error.name !== 'PasswordException') throw error;
         }
@@ -214,8 +411,7 @@ async function prepareApiPayload(pdfData, filename, getPromptFunction) {
     while (true) {
         if (userPassword === null) throw new Error('使用者取消輸入密碼');
         try {
-            const pdfDoc = await pdfjsLib.getDocument({ data: pdfData, password: userPassword }).promise;
-            return await processPdfDocument(pdfDoc, hash, filename, getPromptFunction);
+            return await pdfjsLib.getDocument({ data: pdfData, password: userPassword }).promise;
         } catch (error) {
             if (error.name === 'PasswordException') {
                 userPassword = await promptForPassword(filename, true);
@@ -226,41 +422,119 @@ async function prepareApiPayload(pdfData, filename, getPromptFunction) {
     }
 }
 
-async function analyzeWithGemini(apiParts, apiKey, hash, model) {
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-    const payload = { contents: [{ parts: apiParts }] };
+async function prepareApiPayload(pdfData, filename, getPromptFunction, statementType) {
+    const hash = await calculateFileHash(pdfData);
+    const pdfDoc = await openPdfDocument(pdfData, filename);
+    return await processPdfDocument(pdfDoc, hash, filename, getPromptFunction, statementType);
+}
+
+/**
+ * Sends the statement to the AI and validates the reply against the statement schema. When the
+ * reply cannot be repaired locally, the model is asked again with the validation errors (in
+ * JSON mode) up to `MAX_SCHEMA_REPAIR_ATTEMPTS` times before the file is marked as failed.
+ * @param {Array} apiParts - The prompt and page parts.
+ * @param {string} apiKey - The API key.
+ * @param {string} hash - The file hash, used when the model omits billHash.
+ * @param {string} model - The model identifier.
+ * @param {string} statementType - 'creditCard' or 'bankStatement'.
+ * @returns {Promise<object>} The validated statement.
+ */
+async function analyzeWithGemini(apiParts, apiKey, hash, model, statementType) {
+    const contents = [{ role: 'user', parts: apiParts }];
+    let responseText = await requestAIText(contents, { apiKey, model });
+    let validation = parseStatementResponse(responseText, statementType);
+
+    for (let attempt = 1; validation.errors.length > 0 && attempt <= MAX_SCHEMA_REPAIR_ATTEMPTS; attempt++) {
+        console.warn(`AI 回應未通過驗證，第 ${attempt} 次要求修正:`, validation.errors);
+        contents.push(
+            { role: 'model', parts: [{ text: responseText }] },
+            { role: 'user', parts: [{ text: buildSchemaRepairPrompt(validation.errors) }] }
+        );
+        responseText = await requestAIText(contents, { apiKey, model, responseSchema: getStatementResponseSchema(statementType) });
+        validation = parseStatementResponse(responseText, statementType);
+    }
 
-    const response = await fetch(apiUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
-    
-    if (!response.ok) {
-        let errorDetails = `Status: ${response.status}`;
-        try {
-            const errorJson = await response.json();
-            errorDetails += `, Body: ${JSON.stringify(errorJson)}`;
-            console.error("API Error Response:", errorJson);
-        } catch (e) {
-            const errorText = await response.text();
-            errorDetails += `, Body: ${errorText}`;
-            console.error("API Error Response (non-JSON):", errorText);
-        }
-        throw new Error(`API 請求失敗 (${response.status})。請檢查您的 API 金鑰是否有效，或查看主控台以獲取詳細資訊。`);
+    if (validation.errors.length > 0) {
+        console.error("AI 回應驗證失敗:", validation.errors);
+        throw new Error(`AI 回傳的資料未通過驗證：${validation.errors.slice(0, 3).join('；')}`);
+    }
+    const parsedJson = validation.result;
+    if (!parsedJson.billHash) {
+        parsedJson.billHash = hash;
     }
+    return parsedJson;
+}
 
-    const result = await response.json();
-    
-    if (result.candidates && result.candidates.length > 0 && result.candidates[0].content && result.candidates[0].content.parts && result.candidates[0].content.parts.length > 0) {
-        const jsonString = result.candidates[0].content.parts[0].text.replace(/```json\n?|```/g, '');
-        const parsedJson = JSON.parse(jsonString);
-        if (!parsedJson.billHash) {
-            parsedJson.billHash = hash;
-        }
-        return parsedJson;
+// --- Request Scheduler ---
+
+let activeRequestCount = 0;
+const waitingRequests = [];
+// After a 429 every slot waits until this timestamp, not just the request that was throttled.
+let schedulerPausedUntil = 0;
+// Re-renders the file queue every second while a retry countdown is shown.
+let retryCountdownTimer = null;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isRetryableError(error) {
+    // Only network failures of the request itself (see sendAIRequest), not any TypeError on the way.
+    return RETRYABLE_STATUS_CODES.includes(error.status) || error.networkError === true;
+}
+
+function getRetryDelay(error, attempt) {
+    const backoff = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+    const jitter = Math.random() * 1000;
+    const retryAfter = typeof error.retryAfter === 'number' ? error.retryAfter * 1000 : 0;
+    return Math.max(backoff + jitter, retryAfter);
+}
+
+async function acquireRequestSlot() {
+    if (activeRequestCount >= getSchedulerSettings().concurrency) {
+        // The releasing request hands its slot over directly, see releaseRequestSlot.
+        await new Promise(resolve => waitingRequests.push(resolve));
     } else {
-        console.error("API did not return a valid candidate. Full response:", result);
-        if (result.promptFeedback) {
-            throw new Error(`AI 因安全設定而封鎖了回應。原因: ${result.promptFeedback.blockReason}`);
+        activeRequestCount++;
+    }
+    const pause = schedulerPausedUntil - Date.now();
+    if (pause > 0) await sleep(pause);
+}
+
+function releaseRequestSlot() {
+    const next = waitingRequests.shift();
+    if (next) next();
+    else activeRequestCount--;
+}
+
+/**
+ * Runs an AI task under the shared concurrency limit, retrying rate-limited and transient failures
+ * with exponential backoff. A `Retry-After` from the server takes precedence when it is longer.
+ * The slot is released while waiting, so other files keep being processed.
+ * @param {function(): Promise} task - Performs one attempt.
+ * @param {object} [hooks] - { onAttempt(attempt), onRetry(attempt, delayMs, error) }
+ * @returns {Promise} The task's result.
+ */
+async function scheduleWithRetry(task, { onAttempt, onRetry } = {}) {
+    const { maxRetries } = getSchedulerSettings();
+    for (let attempt = 1; ; attempt++) {
+        await acquireRequestSlot();
+        if (onAttempt) onAttempt(attempt);
+        let failure;
+        try {
+            return await task();
+        } catch (error) {
+            failure = error;
+        } finally {
+            releaseRequestSlot();
         }
-        throw new Error('AI 回傳的資料格式不符預期。');
+
+        if (!isRetryableError(failure) || attempt > maxRetries) throw failure;
+        const delay = getRetryDelay(failure, attempt);
+        if (failure.status === 429) schedulerPausedUntil = Math.max(schedulerPausedUntil, Date.now() + delay);
+        console.warn(`請求失敗 (${failure.status || failure.message})，${Math.round(delay / 1000)} 秒後進行第 ${attempt + 1} 次嘗試。`);
+        if (onRetry) onRetry(attempt, delay, failure);
+        await sleep(delay);
     }
 }
 
@@ -270,13 +544,28 @@ function renderFileQueue() {
     dom.fileQueueContainer.innerHTML = '';
     fileQueue.forEach(item => {
         let statusHtml = '';
+        const warnings = (item.result && item.result.validationWarnings) || [];
         switch(item.status) {
             case 'pending': statusHtml = `<span class="text-gray-500">等待中</span>`; break;
-            case 'processing': statusHtml = `<div class="flex items-center gap-2"><div class="spinner"></div><span class="text-blue-600">處理中...</span></div>`; break;
+            case 'processing': {
+                const maxAttempts = getSchedulerSettings().maxRetries + 1;
+                let attemptHtml = '';
+                if (item.retryAt) {
+                    const seconds = Math.max(0, Math.ceil((item.retryAt - Date.now()) / 1000));
+                    attemptHtml = `<span class="text-xs text-yellow-600">第 ${item.attempt}/${maxAttempts} 次失敗，${seconds} 秒後重試</span>`;
+                } else if (item.attempt > 1) {
+                    attemptHtml = `<span class="text-xs text-gray-500">第 ${item.attempt}/${maxAttempts} 次嘗試</span>`;
+                }
+                statusHtml = `<div class="flex items-center gap-2"><div class="spinner"></div><span class="text-blue-600">處理中...</span>${attemptHtml}</div>`;
+                break;
+            }
             case 'success': 
                 statusHtml = `
                     <div class="flex items-center gap-2">
                         <span class="text-green-600 font-bold">${item.loadedFromLocal ? '✅ 已從本地載入' : '✅ 成功'}</span>
+                        ${item.templateName ? `<span class="text-xs text-gray-500">範本：${escapeHtml(item.templateName)}</span>` : ''}
+                        ${item.importFormat ? `<span class="text-xs text-gray-500">匯入：${item.importFormat.toUpperCase()}</span>` : ''}
+                        ${warnings.length > 0 ? `<span class="text-xs text-yellow-600" title="${warnings.join('\n').replace(/"/g, '&quot;')}">⚠️ ${warnings.length} 項提醒</span>` : ''}
                         <button class="mark-failed-btn bg-red-500 text-white text-xs px-2 py-1 rounded hover:bg-red-600" data-file-id="${item.id}">標記失敗</button>
                     </div>
                 `; 
@@ -285,6 +574,8 @@ function renderFileQueue() {
                 statusHtml = `
                     <div class="flex items-center gap-2">
                         <span class="text-red-600 font-bold">❌ 失敗</span>
+                        ${item.error ? `<span class="text-xs text-red-600 max-w-xs truncate" title="${escapeHtml(item.error)}">${escapeHtml(item.error)}</span>` : ''}
+                        ${item.attempt > 1 ? `<span class="text-xs text-gray-500">已嘗試 ${item.attempt} 次</span>` : ''}
                         <button class="reanalyze-btn bg-blue-500 text-white text-xs px-2 py-1 rounded hover:bg-blue-600" data-file-id="${item.id}">重新分析</button>
                     </div>
                 `; 
@@ -296,65 +587,273 @@ function renderFileQueue() {
         fileElement.innerHTML = `<span class="truncate pr-4">${item.file.name}</span><div class="flex items-center gap-2">${statusHtml}<button class="remove-file-btn text-gray-400 hover:text-red-600" data-file-id="${item.id}">🗑️</button></div>`;
         dom.fileQueueContainer.appendChild(fileElement);
     });
+
+    const countingDown = fileQueue.some(item => item.status === 'processing' && item.retryAt);
+    if (countingDown && !retryCountdownTimer) {
+        retryCountdownTimer = setTimeout(() => {
+            retryCountdownTimer = null;
+            renderFileQueue();
+        }, 1000);
+    }
 }
 
 // --- Unified Data Storage Functions ---
 
-function saveAnalysisData(dataType, currentFileQueue) {
-    const successfulItems = currentFileQueue.filter(item => item.status === 'success' && item.result);
-    if (successfulItems.length === 0) {
-        alert('沒有可儲存的分析結果。');
-        return;
+/**
+ * Serialises a statement with sorted keys, so two copies compare equal regardless of key order.
+ */
+function getStatementSnapshot(result) {
+    return JSON.stringify(result, (key, value) => (
+        value && typeof value === 'object' && !Array.isArray(value)
+            ? Object.fromEntries(Object.keys(value).sort().map(k => [k, value[k]]))
+            : value
+    ));
+}
+
+/**
+ * Remembers the stored version of each queue item, so a later save can tell the user's own
+ * edits apart from a conflicting copy saved elsewhere.
+ */
+function markQueueItemsSaved(items) {
+    items.forEach(item => {
+        if (item.result) item.savedSnapshot = getStatementSnapshot(item.result);
+    });
+}
+
+/**
+ * Called when a file is removed from the queue. Statements that came from storage are
+ * deleted from it on the next save; anything else is simply dropped.
+ */
+function recordStatementDeletion(item) {
+    const billHash = (item.result && item.result.billHash) || item.hash;
+    if (item.savedSnapshot && billHash) {
+        pendingStatementDeletions.add(billHash);
     }
+}
 
-    const dataToSaveForType = {};
+function describeStatementVersion(result) {
+    const lists = Object.values(STATEMENT_LIST_KEYS).flat().filter(key => Array.isArray(result[key]));
+    const rows = lists.reduce((sum, key) => sum + result[key].length, 0);
+    const total = typeof result.totalAmount === 'number' ? result.totalAmount : result.endingBalance;
+    return `${rows} 筆明細${typeof total === 'number' ? `，總額 ${total.toLocaleString()}` : ''}`;
+}
+
+function getSaveConflictModal() {
+    let modal = document.getElementById('save-conflict-modal');
+    if (modal) return modal;
+
+    modal = document.createElement('div');
+    modal.id = 'save-conflict-modal';
+    modal.className = 'hidden fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
+    modal.innerHTML = `
+        <div class="relative top-10 mx-auto p-5 border w-11/12 max-w-3xl shadow-lg rounded-md bg-white">
+            <h3 class="text-lg font-medium text-gray-900 mb-2">存檔衝突</h3>
+            <p class="text-sm text-gray-500 mb-2">以下帳單在瀏覽器存檔中已有內容不同的版本，請選擇要保留的版本：</p>
+            <div id="save-conflict-list" class="space-y-2 max-h-96 overflow-y-auto"></div>
+            <div class="flex justify-end gap-2 mt-3">
+                <button id="save-conflict-cancel" class="bg-gray-500 text-white px-4 py-2 rounded-md hover:bg-gray-600">取消儲存</button>
+                <button id="save-conflict-confirm" class="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700">確認並儲存</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    return modal;
+}
+
+/**
+ * Asks which version to keep for each statement whose stored copy changed since it was loaded.
+ * @param {Array<{current: object, stored: object}>} conflicts
+ * @returns {Promise<Object<string, string>|null>} 'current' or 'stored' per billHash, or null if cancelled.
+ */
+function resolveSaveConflicts(conflicts) {
+    return new Promise(resolve => {
+        const modal = getSaveConflictModal();
+        modal.querySelector('#save-conflict-list').innerHTML = conflicts.map(({ current, stored }, index) => `
+            <div class="p-3 bg-gray-50 rounded-md border text-sm">
+                <div class="font-semibold">${current.bankName || '未知銀行'} (${current.statementDate || '無日期'})</div>
+                <label class="flex items-center gap-2 mt-1">
+                    <input type="radio" name="save-conflict-${index}" value="current" checked>
+                    使用目前頁面上的版本：${describeStatementVersion(current)}
+                </label>
+                <label class="flex items-center gap-2">
+                    <input type="radio" name="save-conflict-${index}" value="stored">
+                    保留瀏覽器中已儲存的版本：${describeStatementVersion(stored)}
+                </label>
+            </div>
+        `).join('');
+        modal.classList.remove('hidden');
+
+        const finish = (choices) => {
+            modal.classList.add('hidden');
+            confirmButton.removeEventListener('click', onConfirm);
+            cancelButton.removeEventListener('click', onCancel);
+            resolve(choices);
+        };
+        const onConfirm = () => finish(Object.fromEntries(conflicts.map(({ current }, index) => [
+            current.billHash,
+            modal.querySelector(`input[name="save-conflict-${index}"]:checked`).value,
+        ])));
+        const onCancel = () => finish(null);
+        const confirmButton = modal.querySelector('#save-conflict-confirm');
+        const cancelButton = modal.querySelector('#save-conflict-cancel');
+        confirmButton.addEventListener('click', onConfirm);
+        cancelButton.addEventListener('click', onCancel);
+    });
+}
+
+/**
+ * Merges the queue into the saved data of one type, keyed on billHash: new statements are added,
+ * statements edited on this page are updated, statements removed from the queue are deleted,
+ * and statements stored elsewhere are kept. When a stored statement differs from the version
+ * this page loaded, the user picks which one to keep. A backup of everything is downloaded too.
+ * @param {string} dataType - 'creditCard' or 'bankStatement'.
+ * @param {Array} currentFileQueue - The page's file queue.
+ * @returns {Promise<boolean>} Whether anything was saved.
+ */
+async function saveAnalysisData(dataType, currentFileQueue) {
+    const successfulItems = currentFileQueue.filter(item => item.status === 'success' && item.result);
     successfulItems.forEach(item => {
-        const groupName = item.result.bankName || '未知銀行';
-        if (!dataToSaveForType[groupName]) {
-            dataToSaveForType[groupName] = { results: [] };
-        }
-        dataToSaveForType[groupName].results.push(item.result);
+        if (!item.result.billHash) item.result.billHash = item.hash || `manual-${crypto.randomUUID()}`;
     });
+    const queuedHashes = new Set(successfulItems.map(item => item.result.billHash));
+    const deletions = [...pendingStatementDeletions].filter(billHash => !queuedHashes.has(billHash));
+    if (successfulItems.length === 0 && deletions.length === 0) {
+        alert('沒有可儲存的分析結果。');
+        return false;
+    }
 
     let allData = {};
+    let storedAvailable = true;
     try {
-        const existingData = localStorage.getItem(STORAGE_KEY);
-        if (existingData) {
-            allData = JSON.parse(existingData);
-        }
+        await prepareStoredData();
+        allData = (await readStoredStatements()) || {};
     } catch (e) {
         console.error("讀取現有存檔失敗:", e);
         allData = {};
+        storedAvailable = false;
     }
 
+    const storedByHash = {};
+    Object.values(allData[dataType] || {}).forEach(group => {
+        (group.results || []).forEach(result => { storedByHash[result.billHash] = result; });
+    });
+
+    const upserts = [];
+    const conflicts = [];
+    let added = 0;
+    successfulItems.forEach(item => {
+        const stored = storedByHash[item.result.billHash];
+        if (!stored) {
+            upserts.push(item);
+            added++;
+            return;
+        }
+        const storedSnapshot = getStatementSnapshot(stored);
+        if (storedSnapshot === getStatementSnapshot(item.result)) return;
+        if (item.savedSnapshot === storedSnapshot) upserts.push(item);
+        else conflicts.push({ item, current: item.result, stored });
+    });
+
+    if (conflicts.length > 0) {
+        const choices = await resolveSaveConflicts(conflicts);
+        if (!choices) return false;
+        conflicts.forEach(({ item, stored }) => {
+            if (choices[item.result.billHash] === 'current') {
+                upserts.push(item);
+            } else {
+                item.result = stored;
+                item.savedSnapshot = getStatementSnapshot(stored);
+            }
+        });
+    }
+
+    // Apply the same changes to the in-memory copy for the downloaded backup.
+    const deletedHashes = new Set(deletions);
+    const merged = Object.values(storedByHash).filter(result => !deletedHashes.has(result.billHash));
+    upserts.forEach(item => {
+        const index = merged.findIndex(result => result.billHash === item.result.billHash);
+        if (index === -1) merged.push(item.result);
+        else merged[index] = item.result;
+    });
+    const dataToSaveForType = {};
+    merged.forEach(result => {
+        const groupName = result.bankName || '未知銀行';
+        if (!dataToSaveForType[groupName]) {
+            dataToSaveForType[groupName] = { results: [] };
+        }
+        dataToSaveForType[groupName].results.push(result);
+    });
     allData[dataType] = dataToSaveForType;
-    
-    const jsonString = JSON.stringify(allData, null, 2);
 
+    let jsonString;
     try {
-        localStorage.setItem(STORAGE_KEY, jsonString);
-        dom.loadStatus.textContent = '✅ 結果已儲存至檔案並自動存檔於瀏覽器。';
+        jsonString = JSON.stringify(await sealBackupForExport(createBackupData(allData)), null, 2);
+    } catch (e) {
+        console.error("加密備份失敗:", e);
+        alert(`無法加密備份檔案，未儲存任何變更: ${e.message}`);
+        return false;
+    }
+
+    try {
+        if (!storedAvailable) throw new Error('無法讀取現有存檔，略過自動存檔以免覆蓋。');
+        await saveStoredStatementChanges(dataType, { upserts: upserts.map(item => item.result), deletions });
+        markQueueItemsSaved(upserts);
+        pendingStatementDeletions = new Set([...pendingStatementDeletions].filter(billHash => !deletedHashes.has(billHash)));
+        const updated = upserts.length - added;
+        dom.loadStatus.textContent = `✅ 結果已儲存至檔案並自動存檔於瀏覽器（新增 ${added}、更新 ${updated}、刪除 ${deletions.length} 份帳單）。`;
         dom.loadStatus.classList.remove('hidden', 'text-red-600');
         dom.loadStatus.classList.add('text-green-600');
         setTimeout(() => dom.loadStatus.classList.add('hidden'), 4000);
     } catch (e) {
-        console.error("儲存至 localStorage 失敗:", e);
+        console.error("儲存至 IndexedDB 失敗:", e);
         dom.loadStatus.textContent = '⚠️ 結果已儲存至檔案，但自動存檔失敗（可能是空間不足）。';
         dom.loadStatus.classList.remove('hidden', 'text-green-600');
         dom.loadStatus.classList.add('text-red-600');
     }
 
-    const blob = new Blob([jsonString], { type: 'application/json' });
+    downloadBlob(new Blob([jsonString], { type: 'application/json' }), `analysis_backup_${new Date().toISOString().slice(0,10)}.json`);
+    return true;
+}
+
+function downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `analysis_backup_${new Date().toISOString().slice(0,10)}.json`;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
 }
 
+/**
+ * Runs the one-time localStorage migration and, when the browser copy is encrypted, asks for
+ * the passphrase until it is correct or the user cancels.
+ */
+async function prepareStoredData() {
+    await migrateLocalStorageData();
+    let wasIncorrect = false;
+    while (await isStorageLocked()) {
+        const passphrase = await promptForPassword('瀏覽器自動存檔', wasIncorrect);
+        if (passphrase === null) throw new Error('使用者取消輸入密碼');
+        wasIncorrect = !(await unlockStorage(passphrase));
+    }
+}
+
+async function decryptLoadedBackup(envelope, filename) {
+    let wasIncorrect = false;
+    while (true) {
+        const passphrase = await promptForPassword(filename, wasIncorrect);
+        if (passphrase === null) throw new Error('使用者取消輸入密碼');
+        try {
+            return await decryptBackup(envelope, passphrase);
+        } catch (e) {
+            if (e.message !== '密碼錯誤或檔案已損毀。') throw e;
+            wasIncorrect = true;
+        }
+    }
+}
+
 function loadAnalysisData(file) {
     return new Promise((resolve, reject) => {
         if (file) {
@@ -362,33 +861,34 @@ function loadAnalysisData(file) {
                 return reject(new Error('請上傳 .json 格式的存檔。'));
             }
             const reader = new FileReader();
-            reader.onload = (event) => {
+            reader.onload = async (event) => {
                 try {
-                    const data = JSON.parse(event.target.result);
-                    if (typeof data !== 'object' || data === null) throw new Error('無效的 JSON 格式。');
-                    resolve(data);
+                    let data = JSON.parse(event.target.result);
+                    if (isEncryptedEnvelope(data)) data = await decryptLoadedBackup(data, file.name);
+                    resolve(upgradeBackupData(data));
                 } catch (e) {
                     reject(new Error(`讀取檔案失敗: ${e.message}`));
                 }
             };
             reader.readAsText(file);
         } else {
-            try {
-                const savedDataString = localStorage.getItem(STORAGE_KEY);
-                if (savedDataString) {
-                    resolve(JSON.parse(savedDataString));
-                } else {
-                    resolve(null);
-                }
-            } catch (e) {
-                reject(new Error(`從瀏覽器讀取存檔失敗: ${e.message}`));
-            }
+            prepareStoredData()
+                .then(() => readStoredStatements())
+                .then(resolve)
+                .catch(e => reject(new Error(`從瀏覽器讀取存檔失敗: ${e.message}`)));
         }
     });
 }
 
-function clearAnalysisData() {
-    localStorage.removeItem(STORAGE_KEY);
+async function clearAnalysisData() {
+    try {
+        await clearStoredStatements();
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (e) {
+        console.error("清除 IndexedDB 存檔失敗:", e);
+        alert(`清除存檔失敗: ${e.message}`);
+        return;
+    }
     dom.loadStatus.textContent = '✅ 已清除瀏覽器中的所有自動存檔，頁面將會刷新。';
     dom.loadStatus.classList.remove('hidden', 'text-green-600');
     dom.loadStatus.classList.add('text-blue-600');
@@ -396,3 +896,50 @@ function clearAnalysisData() {
         window.location.reload();
     }, 2000);
 }
+
+// --- Backup Encryption Controls ---
+
+async function renderEncryptionStatus() {
+    const status = document.getElementById('encryption-status');
+    if (!status) return;
+    const encrypted = !!(await getStorageEncryption());
+    status.textContent = encrypted ? '🔒 自動存檔與備份檔案已加密' : '🔓 自動存檔與備份檔案未加密';
+    document.getElementById('enable-encryption-button').textContent = encrypted ? '更換密碼' : '啟用加密';
+    document.getElementById('disable-encryption-button').classList.toggle('hidden', !encrypted);
+}
+
+function initializeEncryptionControls() {
+    const passphraseInput = document.getElementById('encryption-passphrase-input');
+    if (!passphraseInput) return;
+    renderEncryptionStatus().catch(e => console.error("讀取加密設定失敗:", e));
+
+    document.getElementById('enable-encryption-button').addEventListener('click', async () => {
+        const passphrase = passphraseInput.value;
+        if (passphrase.length < 8) {
+            alert('存檔密碼至少需要 8 個字元。');
+            return;
+        }
+        if (!confirm('啟用後，自動存檔與下載的備份檔案都需要此密碼才能開啟。密碼遺失將無法復原資料，確定要繼續嗎？')) return;
+        try {
+            await prepareStoredData();
+            await setStorageEncryption(passphrase);
+            passphraseInput.value = '';
+            await renderEncryptionStatus();
+        } catch (e) {
+            console.error("設定存檔加密失敗:", e);
+            alert(`設定存檔加密失敗: ${e.message}`);
+        }
+    });
+
+    document.getElementById('disable-encryption-button').addEventListener('click', async () => {
+        if (!confirm('停用後，自動存檔與備份檔案將以明文儲存，確定要停用加密嗎？')) return;
+        try {
+            await prepareStoredData();
+            await setStorageEncryption(null);
+            await renderEncryptionStatus();
+        } catch (e) {
+            console.error("停用存檔加密失敗:", e);
+            alert(`停用存檔加密失敗: ${e.message}`);
+        }
+    });
+}
@@ -0,0 +1,254 @@
+/**
+ * @file statement-schema.js
+ * @description Validates and repairs the statement JSON returned by the AI before it reaches the
+ * result cards and charts. Amounts are coerced to numbers, dates are normalised to YYYY-MM-DD and
+ * unknown categories are flagged. Anything that cannot be repaired is reported as an error, so
+ * `analyzeWithGemini` can re-ask the model.
+ */
+
+// How many times the model is asked to fix a response that failed validation.
+const MAX_SCHEMA_REPAIR_ATTEMPTS = 2;
+
+// --- Response Schemas (Gemini OpenAPI subset) ---
+
+const TRANSACTION_ITEM_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        date: { type: 'STRING' },
+        description: { type: 'STRING' },
+        amount: { type: 'NUMBER', nullable: true },
+        category: { type: 'STRING' },
+    },
+    required: ['date', 'description', 'amount'],
+};
+
+const STATEMENT_RESPONSE_SCHEMAS = {
+    creditCard: {
+        type: 'OBJECT',
+        properties: {
+            bankName: { type: 'STRING' },
+            billHash: { type: 'STRING' },
+            statementDate: { type: 'STRING' },
+            dueDate: { type: 'STRING', nullable: true },
+            previousBalance: { type: 'NUMBER', nullable: true },
+            paymentAmount: { type: 'NUMBER', nullable: true },
+            totalAmount: { type: 'NUMBER', nullable: true },
+            transactions: {
+                type: 'ARRAY',
+                items: {
+                    ...TRANSACTION_ITEM_SCHEMA,
+                    properties: {
+                        ...TRANSACTION_ITEM_SCHEMA.properties,
+                        foreignAmount: { type: 'NUMBER', nullable: true },
+                        foreignCurrency: { type: 'STRING', nullable: true },
+                    },
+                },
+            },
+            rewards: {
+                type: 'ARRAY',
+                items: {
+                    type: 'OBJECT',
+                    properties: { date: { type: 'STRING' }, description: { type: 'STRING' }, amount: { type: 'NUMBER' } },
+                    required: ['date', 'description', 'amount'],
+                },
+            },
+        },
+        required: ['bankName', 'statementDate', 'transactions', 'rewards'],
+    },
+    bankStatement: {
+        type: 'OBJECT',
+        properties: {
+            bankName: { type: 'STRING' },
+            billHash: { type: 'STRING' },
+            accountName: { type: 'STRING', nullable: true },
+            accountNumber: { type: 'STRING', nullable: true },
+            statementDate: { type: 'STRING' },
+            statementPeriod: {
+                type: 'OBJECT',
+                nullable: true,
+                properties: { startDate: { type: 'STRING' }, endDate: { type: 'STRING' } },
+            },
+            openingBalance: { type: 'NUMBER', nullable: true },
+            endingBalance: { type: 'NUMBER', nullable: true },
+            withdrawals: { type: 'ARRAY', items: TRANSACTION_ITEM_SCHEMA },
+            deposits: { type: 'ARRAY', items: TRANSACTION_ITEM_SCHEMA },
+        },
+        required: ['bankName', 'statementDate', 'withdrawals', 'deposits'],
+    },
+};
+
+function getStatementResponseSchema(statementType) {
+    return STATEMENT_RESPONSE_SCHEMAS[statementType] || null;
+}
+
+// --- Coercion Helpers ---
+
+/**
+ * Converts an amount the model may have returned as a string ("NT$1,234", "(500)", "120-")
+ * into a number.
+ * @returns {number|null|undefined} The number, null for empty values, or undefined if unparseable.
+ */
+function coerceStatementAmount(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return isFinite(value) ? value : undefined;
+    const parsed = parseTemplateAmount(String(value).replace(/NT\$|[$＄元]/g, ''));
+    return parsed === null ? undefined : parsed;
+}
+
+/**
+ * Normalises a date to YYYY-MM-DD, accepting ROC years and MM/DD relative to the statement date.
+ * @returns {string|null|undefined} The normalised date, null for empty values, or undefined if unparseable.
+ */
+function coerceStatementDate(value, referenceDate = null) {
+    if (value === null || value === undefined || value === '') return null;
+    const normalized = normalizeTemplateDate(String(value).trim().split(/[T\s]/)[0], referenceDate);
+    if (!normalized) return undefined;
+    const [year, month, day] = normalized.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getMonth() === month - 1 && date.getDate() === day ? normalized : undefined;
+}
+
+// --- Validation ---
+
+/**
+ * Validates one transaction list and returns repaired copies of its items.
+ * @param {Array} items - The list to check.
+ * @param {object} spec - { label, categories, allowNullAmount, hasForeign }
+ * @param {string|null} referenceDate - The statement date, used for MM/DD dates.
+ * @param {object} report - Collects { errors, warnings }.
+ * @returns {Array} The repaired list.
+ */
+function validateStatementItems(items, spec, referenceDate, report) {
+    return items.map((raw, index) => {
+        const where = `${spec.label}第 ${index + 1} 筆`;
+        if (!raw || typeof raw !== 'object') {
+            report.errors.push(`${where} 不是物件。`);
+            return raw;
+        }
+        const item = { ...raw, description: raw.description === undefined || raw.description === null ? '' : String(raw.description).trim() };
+
+        const date = coerceStatementDate(raw.date, referenceDate);
+        if (date === undefined) report.errors.push(`${where} 的日期「${raw.date}」無法辨識，請使用 YYYY-MM-DD。`);
+        else if (date === null) report.errors.push(`${where} 缺少日期。`);
+        else item.date = date;
+
+        const amount = coerceStatementAmount(raw.amount);
+        if (amount === undefined) report.errors.push(`${where} 的金額「${raw.amount}」不是數字。`);
+        else if (amount === null && !(spec.allowNullAmount && raw.foreignAmount !== null && raw.foreignAmount !== undefined)) {
+            report.errors.push(`${where} 缺少金額。`);
+        } else item.amount = amount;
+
+        if (spec.hasForeign) {
+            const foreignAmount = coerceStatementAmount(raw.foreignAmount);
+            if (foreignAmount === undefined) report.errors.push(`${where} 的外幣金額「${raw.foreignAmount}」不是數字。`);
+            else item.foreignAmount = foreignAmount;
+            item.foreignCurrency = raw.foreignCurrency ? String(raw.foreignCurrency).trim().toUpperCase() : null;
+        }
+
+        if (spec.categories) {
+            if (!spec.categories.includes(item.category)) {
+                report.warnings.push(`${where}「${item.description}」的分類「${item.category || '(空白)'}」不在分類清單中。`);
+                item.unknownCategory = true;
+            } else {
+                delete item.unknownCategory;
+            }
+        }
+        return item;
+    });
+}
+
+/**
+ * Validates and repairs a parsed statement.
+ * @param {object} data - The parsed JSON.
+ * @param {string} statementType - 'creditCard' or 'bankStatement'.
+ * @returns {{result: object, errors: Array<string>, warnings: Array<string>}}
+ * `errors` are problems that could not be repaired; `warnings` are kept on the result.
+ */
+function validateStatementResult(data, statementType) {
+    const report = { errors: [], warnings: [] };
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        report.errors.push('回應的最外層必須是單一 JSON 物件。');
+        return { result: data, ...report };
+    }
+    const result = { ...data };
+
+    if (!result.bankName || typeof result.bankName !== 'string') report.errors.push('缺少 bankName (銀行名稱)。');
+
+    const statementDate = coerceStatementDate(data.statementDate);
+    if (!statementDate) report.errors.push(`statementDate「${data.statementDate}」無法辨識，請使用 YYYY-MM-DD。`);
+    else result.statementDate = statementDate;
+    const referenceDate = statementDate || null;
+
+    const listSpecs = statementType === 'bankStatement'
+        ? [
+            { key: 'withdrawals', label: '支出', categories: getCategoryNames('withdrawals') },
+            { key: 'deposits', label: '存入', categories: getCategoryNames('deposits') },
+        ]
+        : [
+            { key: 'transactions', label: '消費', categories: getCategoryNames('transactions'), allowNullAmount: true, hasForeign: true },
+            { key: 'rewards', label: '回饋' },
+        ];
+
+    listSpecs.forEach(spec => {
+        const items = data[spec.key];
+        if (items === undefined || items === null) {
+            result[spec.key] = [];
+        } else if (!Array.isArray(items)) {
+            report.errors.push(`${spec.key} 必須是陣列。`);
+        } else {
+            result[spec.key] = validateStatementItems(items, spec, referenceDate, report);
+        }
+    });
+
+    const totalKey = statementType === 'bankStatement' ? 'endingBalance' : 'totalAmount';
+    const total = coerceStatementAmount(data[totalKey]);
+    if (total === undefined) report.errors.push(`${totalKey}「${data[totalKey]}」不是數字。`);
+    else result[totalKey] = total;
+
+    // Optional figures used only for reconciliation; unreadable values are dropped.
+    const optionalKeys = statementType === 'bankStatement' ? ['openingBalance'] : ['previousBalance', 'paymentAmount'];
+    optionalKeys.filter(key => data[key] !== undefined).forEach(key => {
+        const value = coerceStatementAmount(data[key]);
+        if (value === undefined) report.warnings.push(`${key}「${data[key]}」不是數字，已略過。`);
+        result[key] = value === undefined ? null : value;
+    });
+
+    if (statementType === 'bankStatement') {
+        if (data.statementPeriod) {
+            const startDate = coerceStatementDate(data.statementPeriod.startDate, referenceDate);
+            const endDate = coerceStatementDate(data.statementPeriod.endDate, referenceDate);
+            result.statementPeriod = { startDate: startDate || null, endDate: endDate || null };
+            if (startDate === undefined || endDate === undefined) report.warnings.push('statementPeriod 的日期無法辨識，已略過。');
+        }
+        if (result.accountNumber !== null && result.accountNumber !== undefined) result.accountNumber = String(result.accountNumber);
+    } else if (data.dueDate !== undefined) {
+        const dueDate = coerceStatementDate(data.dueDate, referenceDate);
+        if (dueDate === undefined) report.warnings.push(`dueDate「${data.dueDate}」無法辨識，已略過。`);
+        result.dueDate = dueDate || null;
+    }
+
+    if (report.warnings.length > 0) result.validationWarnings = report.warnings;
+    else delete result.validationWarnings;
+    return { result, ...report };
+}
+
+/**
+ * Parses a raw model reply (tolerating code fences) and validates it.
+ * @param {string} responseText - The model's reply.
+ * @param {string} statementType - 'creditCard' or 'bankStatement'.
+ * @returns {{result: object|null, errors: Array<string>, warnings: Array<string>}}
+ */
+function parseStatementResponse(responseText, statementType) {
+    const jsonString = responseText.replace(/```json\n?|```/g, '').trim();
+    let data;
+    try {
+        data = JSON.parse(jsonString);
+    } catch (e) {
+        return { result: null, errors: [`回應不是有效的 JSON：${e.message}`], warnings: [] };
+    }
+    return validateStatementResult(data, statementType);
+}
+
+function buildSchemaRepairPrompt(errors) {
+    return `你上一次的回應沒有通過格式驗證，問題如下：\n${errors.map(e => `- ${e}`).join('\n')}\n\n請根據同一份帳單重新輸出**完整的** JSON 物件，修正上述問題：金額必須是數字、日期必須是 YYYY-MM-DD。不要加入任何說明文字。`;
+}
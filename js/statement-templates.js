@@ -0,0 +1,379 @@
+/**
+ * @file statement-templates.js
+ * @description Deterministic, offline statement parsing. A template describes how to recognise an
+ * issuer's statement and which regexes pull the header fields and transaction rows out of the
+ * PDF.js text layer, producing the same JSON shape as `getBasePrompt` / `getBankStatementPrompt`.
+ */
+
+// --- Configuration ---
+const PARSER_MODE_KEY = 'parserMode';
+const USER_TEMPLATES_KEY = 'statementTemplates';
+
+const TEMPLATE_DATE_PATTERN = '\\d{2,4}[/.\\-年]\\d{1,2}(?:[/.\\-月]\\d{1,2}日?)?';
+const TEMPLATE_AMOUNT_PATTERN = '-?[\\d,]+(?:\\.\\d+)?-?';
+
+/**
+ * Built-in templates. Patterns are stored as strings so templates stay JSON-serialisable.
+ * A template matches when any of its bankName keywords appears in the text and every phrase of
+ * its layout fingerprint does; an empty list places no constraint.
+ * - match.keywords: issuer keywords, e.g. the bank's name.
+ * - match.fingerprint: phrases that together identify the statement layout.
+ * - header: field name -> regex whose capture group(s) hold the value.
+ * - row: regex applied to every text line, using named groups (date, description, amount, ...).
+ */
+const BUILTIN_STATEMENT_TEMPLATES = [
+    {
+        id: 'builtin-credit-card',
+        name: '通用信用卡帳單',
+        type: 'creditCard',
+        bankName: '',
+        match: { keywords: ['信用卡'], fingerprint: ['應繳'] },
+        header: {
+            bankName: '(\\S{2,12}銀行)',
+            statementDate: `結帳日(?:期)?[:：\\s]*(${TEMPLATE_DATE_PATTERN})`,
+            dueDate: `繳款截止日(?:期)?[:：\\s]*(${TEMPLATE_DATE_PATTERN})`,
+            totalAmount: `本期應繳(?:總)?(?:金)?額[:：\\s]*(?:NT\\$|TWD)?\\s*(${TEMPLATE_AMOUNT_PATTERN})`,
+            previousBalance: `上期應繳(?:總)?(?:金)?額[:：\\s]*(?:NT\\$|TWD)?\\s*(${TEMPLATE_AMOUNT_PATTERN})`,
+            paymentAmount: `(?:已繳|繳款)(?:總)?金?額[:：\\s]*(?:NT\\$|TWD)?\\s*(${TEMPLATE_AMOUNT_PATTERN})`,
+        },
+        row: `^(?<date>${TEMPLATE_DATE_PATTERN})\\s+(?:${TEMPLATE_DATE_PATTERN}\\s+)?(?<description>.+?)\\s+(?:(?<foreignCurrency>[A-Z]{3})\\s+(?<foreignAmount>${TEMPLATE_AMOUNT_PATTERN})\\s+)?(?<amount>${TEMPLATE_AMOUNT_PATTERN})$`,
+        skip: '繳款|扣繳|溢繳|上期',
+    },
+    {
+        id: 'builtin-bank-statement',
+        name: '通用存款對帳單',
+        type: 'bankStatement',
+        bankName: '',
+        match: { keywords: ['存款', '帳戶', '對帳單'], fingerprint: ['餘額'] },
+        header: {
+            bankName: '(\\S{2,12}銀行)',
+            accountName: '戶名[:：\\s]*(\\S+)',
+            accountNumber: '帳號[:：\\s]*([\\d\\-]{5,})',
+            statementDate: `(?:對帳單日|列印日|製表日)(?:期)?[:：\\s]*(${TEMPLATE_DATE_PATTERN})`,
+            statementPeriod: `(?:查詢|對帳|交易)期間[:：\\s]*(${TEMPLATE_DATE_PATTERN})\\s*[~～至\\-]\\s*(${TEMPLATE_DATE_PATTERN})`,
+            openingBalance: `(?:上期|前期|期初)餘額[:：\\s]*(${TEMPLATE_AMOUNT_PATTERN})`,
+            endingBalance: `(?:本期|期末)餘額[:：\\s]*(${TEMPLATE_AMOUNT_PATTERN})`,
+        },
+        row: `^(?<date>${TEMPLATE_DATE_PATTERN})\\s+(?<description>.+?)\\s+(?<amount>${TEMPLATE_AMOUNT_PATTERN})\\s+(?<balance>${TEMPLATE_AMOUNT_PATTERN})$`,
+        depositKeywords: '存入|轉入|薪資|利息|退款',
+    },
+];
+
+// --- Settings ---
+
+function getParserMode() {
+    return localStorage.getItem(PARSER_MODE_KEY) || 'ai';
+}
+
+function initializeParserModeControl() {
+    const select = document.getElementById('parser-mode-select');
+    if (!select) return;
+    select.value = getParserMode();
+    select.addEventListener('change', () => localStorage.setItem(PARSER_MODE_KEY, select.value));
+}
+
+// --- Template Registry ---
+
+function getUserStatementTemplates() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(USER_TEMPLATES_KEY));
+        return Array.isArray(saved) ? saved : [];
+    } catch (e) {
+        console.error("讀取自訂解析範本失敗:", e);
+        return [];
+    }
+}
+
+function saveUserStatementTemplates(templates) {
+    localStorage.setItem(USER_TEMPLATES_KEY, JSON.stringify(templates));
+}
+
+/**
+ * Returns the templates for a statement type. User templates come first so that an
+ * issuer-specific template wins over the generic built-in ones.
+ * @param {string} [type] - 'creditCard' or 'bankStatement'; all types when omitted.
+ * @returns {Array<object>}
+ */
+function getStatementTemplates(type) {
+    return [...getUserStatementTemplates(), ...BUILTIN_STATEMENT_TEMPLATES].filter(t => !type || t.type === type);
+}
+
+/**
+ * Checks that a template is structurally usable.
+ * @param {object} template - The template to check.
+ * @returns {Array<string>} A list of human-readable problems; empty when valid.
+ */
+function validateStatementTemplate(template) {
+    const errors = [];
+    if (!template || typeof template !== 'object') return ['範本格式無效。'];
+    if (!template.name) errors.push('缺少範本名稱。');
+    if (!['creditCard', 'bankStatement'].includes(template.type)) errors.push('範本類型必須是 creditCard 或 bankStatement。');
+    const { keywords = [], fingerprint = [] } = template.match || {};
+    if (keywords.length === 0 && fingerprint.length === 0) errors.push('至少需要一個銀行關鍵字或版面特徵。');
+    if (!template.row) errors.push('缺少交易列的正規表示式。');
+    const patterns = { row: template.row, skip: template.skip, depositKeywords: template.depositKeywords, ...(template.header || {}) };
+    for (const [field, pattern] of Object.entries(patterns)) {
+        if (!pattern) continue;
+        try {
+            new RegExp(pattern);
+        } catch (e) {
+            errors.push(`欄位 ${field} 的正規表示式無效: ${e.message}`);
+        }
+    }
+    if (template.row && !/\(\?<date>/.test(template.row)) errors.push('交易列的正規表示式需要 (?<date>...) 群組。');
+    return errors;
+}
+
+/**
+ * Adds or replaces user templates by id. Invalid templates are skipped.
+ * @param {Array<object>} templates - Templates to merge into the registry.
+ * @returns {{imported: number, skipped: number}}
+ */
+function importStatementTemplates(templates) {
+    const existing = getUserStatementTemplates();
+    let imported = 0;
+    let skipped = 0;
+    templates.forEach(template => {
+        if (validateStatementTemplate(template).length > 0) {
+            skipped++;
+            return;
+        }
+        const copy = { ...template, id: typeof template.id === 'string' && template.id && !template.id.startsWith('builtin-') ? template.id : `user-${crypto.randomUUID()}` };
+        const index = existing.findIndex(t => t.id === copy.id);
+        if (index >= 0) existing[index] = copy; else existing.push(copy);
+        imported++;
+    });
+    saveUserStatementTemplates(existing);
+    return { imported, skipped };
+}
+
+function exportStatementTemplates() {
+    const payload = { templates: getUserStatementTemplates() };
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `statement_templates_${new Date().toISOString().slice(0,10)}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// --- Parsing Helpers ---
+
+function compileTemplatePattern(pattern, flags = '') {
+    if (!pattern) return null;
+    try {
+        return new RegExp(pattern, flags);
+    } catch (e) {
+        console.error(`範本正規表示式無效: ${pattern}`, e);
+        return null;
+    }
+}
+
+function templateMatchesText(template, text) {
+    const { keywords = [], fingerprint = [] } = template.match || {};
+    if (keywords.length === 0 && fingerprint.length === 0) return false;
+    const keywordHit = keywords.length === 0 || keywords.some(k => k && text.includes(k));
+    const fingerprintHit = fingerprint.every(f => text.includes(f));
+    return keywordHit && fingerprintHit;
+}
+
+/**
+ * Parses amounts such as "1,234", "-56.7", "56-" (trailing minus) or "(56)".
+ * @returns {number|null}
+ */
+function parseTemplateAmount(str) {
+    if (str === undefined || str === null || str === '') return null;
+    let clean = String(str).replace(/[,\s]|NT\$|TWD/g, '');
+    let negative = false;
+    if (/^\(.*\)$/.test(clean)) { negative = true; clean = clean.slice(1, -1); }
+    if (clean.endsWith('-')) { negative = true; clean = clean.slice(0, -1); }
+    const value = parseFloat(clean);
+    if (isNaN(value)) return null;
+    return negative ? -Math.abs(value) : value;
+}
+
+/**
+ * Normalises statement dates to YYYY-MM-DD. Handles western years, ROC (民國) years and
+ * year-less MM/DD rows, whose year is taken from the reference (statement) date.
+ * @param {string} str - The raw date text.
+ * @param {string|null} referenceDate - A YYYY-MM-DD date used to infer missing years.
+ * @returns {string|null}
+ */
+function normalizeTemplateDate(str, referenceDate = null) {
+    if (!str) return null;
+    const parts = String(str).split(/[/.\-年月日]/).filter(Boolean).map(p => parseInt(p, 10));
+    let year, month, day;
+    if (parts.length >= 3) {
+        [year, month, day] = parts;
+        if (year < 1911) year += 1911;
+    } else if (parts.length === 2) {
+        [month, day] = parts;
+        const ref = referenceDate ? new Date(referenceDate.replace(/-/g, '/')) : new Date();
+        year = ref.getFullYear();
+        if (month > ref.getMonth() + 1) year -= 1;
+    } else {
+        return null;
+    }
+    if (!month || !day || month > 12 || day > 31) return null;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function extractTemplateHeader(template, text) {
+    const header = {};
+    for (const [field, pattern] of Object.entries(template.header || {})) {
+        const regex = compileTemplatePattern(pattern, 'm');
+        const match = regex ? regex.exec(text) : null;
+        if (match) header[field] = match.slice(1).map(v => (v || '').trim());
+    }
+    return header;
+}
+
+function extractTemplateRows(template, lines) {
+    const rowRegex = compileTemplatePattern(template.row);
+    const skipRegex = compileTemplatePattern(template.skip);
+    if (!rowRegex) return [];
+    return lines
+        .map(line => rowRegex.exec(line.trim()))
+        .filter(match => match && match.groups && !(skipRegex && skipRegex.test(match.groups.description || '')))
+        .map(match => match.groups);
+}
+
+// --- Template Application ---
+
+function buildCreditCardResult(template, header, rows, hash) {
+    const statementDate = header.statementDate ? normalizeTemplateDate(header.statementDate[0]) : null;
+    const result = {
+        bankName: template.bankName || (header.bankName ? header.bankName[0] : '未知銀行'),
+        billHash: hash,
+        statementDate,
+        dueDate: header.dueDate ? normalizeTemplateDate(header.dueDate[0], statementDate) : null,
+        previousBalance: header.previousBalance ? parseTemplateAmount(header.previousBalance[0]) : null,
+        paymentAmount: header.paymentAmount ? Math.abs(parseTemplateAmount(header.paymentAmount[0])) : null,
+        totalAmount: header.totalAmount ? parseTemplateAmount(header.totalAmount[0]) : null,
+        transactions: [],
+        rewards: [],
+    };
+
+    rows.forEach(row => {
+        const amount = parseTemplateAmount(row.amount);
+        if (amount === null) return;
+        const date = normalizeTemplateDate(row.date, statementDate);
+        const description = (row.description || '').trim();
+        if (amount < 0) {
+            result.rewards.push({ date, description, amount });
+        } else {
+            result.transactions.push({
+                date,
+                description,
+                amount,
+                foreignAmount: row.foreignAmount ? parseTemplateAmount(row.foreignAmount) : null,
+                foreignCurrency: row.foreignCurrency || null,
+                category: '其他',
+            });
+        }
+    });
+
+    if (result.totalAmount === null) {
+        result.totalAmount = result.transactions.reduce((sum, tx) => sum + tx.amount, 0) + result.rewards.reduce((sum, rw) => sum + rw.amount, 0);
+    }
+    return result;
+}
+
+function buildBankStatementResult(template, header, rows, hash) {
+    const period = header.statementPeriod || [];
+    const periodEnd = period[1] ? normalizeTemplateDate(period[1]) : null;
+    const statementDate = header.statementDate ? normalizeTemplateDate(header.statementDate[0]) : periodEnd;
+    const depositRegex = compileTemplatePattern(template.depositKeywords);
+    const accountNumber = header.accountNumber ? header.accountNumber[0].replace(/-/g, '') : null;
+
+    const result = {
+        bankName: template.bankName || (header.bankName ? header.bankName[0] : '未知銀行'),
+        billHash: hash,
+        accountName: header.accountName ? header.accountName[0] : null,
+        accountNumber: accountNumber ? accountNumber.slice(-5) : null,
+        statementDate,
+        statementPeriod: {
+            startDate: period[0] ? normalizeTemplateDate(period[0], statementDate) : null,
+            endDate: periodEnd,
+        },
+        openingBalance: header.openingBalance ? parseTemplateAmount(header.openingBalance[0]) : null,
+        endingBalance: header.endingBalance ? parseTemplateAmount(header.endingBalance[0]) : null,
+        withdrawals: [],
+        deposits: [],
+    };
+
+    let previousBalance = header.openingBalance ? parseTemplateAmount(header.openingBalance[0]) : null;
+    let lastBalance = null;
+    rows.forEach(row => {
+        const date = normalizeTemplateDate(row.date, statementDate);
+        const description = (row.description || '').trim();
+        const balance = parseTemplateAmount(row.balance);
+        const deposit = parseTemplateAmount(row.deposit);
+        const withdrawal = parseTemplateAmount(row.withdrawal);
+        let amount = parseTemplateAmount(row.amount);
+        let isDeposit;
+
+        if (deposit || withdrawal) {
+            isDeposit = Boolean(deposit);
+            amount = Math.abs(deposit || withdrawal);
+        } else if (amount === null) {
+            return;
+        } else if (balance !== null && previousBalance !== null) {
+            isDeposit = balance > previousBalance;
+        } else if (amount < 0) {
+            isDeposit = false;
+        } else {
+            isDeposit = Boolean(depositRegex && depositRegex.test(description));
+        }
+
+        const entry = { date, description, amount: Math.abs(amount), category: '其他' };
+        (isDeposit ? result.deposits : result.withdrawals).push(entry);
+        if (balance !== null) {
+            previousBalance = balance;
+            lastBalance = balance;
+        }
+    });
+
+    if (result.endingBalance === null) result.endingBalance = lastBalance || 0;
+    if (!result.statementDate) {
+        const allDates = [...result.withdrawals, ...result.deposits].map(tx => tx.date).filter(Boolean).sort();
+        result.statementDate = allDates[allDates.length - 1] || null;
+    }
+    return result;
+}
+
+/**
+ * Runs a single template against the extracted text lines.
+ * @param {object} template - The template definition.
+ * @param {Array<string>} lines - Text lines reconstructed from the PDF.
+ * @param {string} hash - The file hash, stored as billHash.
+ * @returns {object|null} The statement JSON, or null when no rows were recognised.
+ */
+function applyStatementTemplate(template, lines, hash) {
+    const header = extractTemplateHeader(template, lines.join('\n'));
+    const rows = extractTemplateRows(template, lines);
+    if (rows.length === 0) return null;
+    return template.type === 'bankStatement'
+        ? buildBankStatementResult(template, header, rows, hash)
+        : buildCreditCardResult(template, header, rows, hash);
+}
+
+/**
+ * Tries every template of the given type in order and returns the first usable result.
+ * @param {Array<string>} lines - Text lines reconstructed from the PDF.
+ * @param {string} type - 'creditCard' or 'bankStatement'.
+ * @param {string} hash - The file hash.
+ * @returns {{result: object, template: object}|null}
+ */
+function parseStatementWithTemplates(lines, type, hash) {
+    const text = lines.join('\n');
+    for (const template of getStatementTemplates(type)) {
+        if (!templateMatchesText(template, text)) continue;
+        const result = applyStatementTemplate(template, lines, hash);
+        if (result) return { result, template };
+    }
+    return null;
+}
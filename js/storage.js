@@ -0,0 +1,410 @@
+/**
+ * @file storage.js
+ * @description IndexedDB storage for analysed statements. Statement headers, transaction rows,
+ * accounts and settings live in separate object stores, indexed by billHash, account and date.
+ * The functions here read and write the same `{ creditCard: { bankName: { results } }, bankStatement: {...} }`
+ * shape the pages have always used, so callers do not need to know about the stores.
+ */
+
+// --- Configuration ---
+const ANALYZER_DB_NAME = 'intelligentAnalyzer';
+const ANALYZER_DB_VERSION = 1;
+const LOCAL_STORAGE_MIGRATED_SETTING = 'migratedFromLocalStorage';
+// { salt, iterations, verifier } when the browser copy is encrypted with a passphrase.
+const STORAGE_ENCRYPTION_SETTING = 'encryption';
+const STORAGE_ENCRYPTION_VERIFIER = 'intelligentAnalyzer';
+
+// The array fields of each statement type that are stored as individual transaction records.
+const STATEMENT_LIST_KEYS = {
+    creditCard: ['transactions', 'rewards'],
+    bankStatement: ['withdrawals', 'deposits'],
+};
+
+let analyzerDBPromise = null;
+let migrationPromise = null;
+let storageEncryptionKey = null; // Derived key for the current session, once unlocked
+
+// --- Database Helpers ---
+
+function openAnalyzerDB() {
+    if (analyzerDBPromise) return analyzerDBPromise;
+    analyzerDBPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('此瀏覽器不支援 IndexedDB，無法使用自動存檔。'));
+            return;
+        }
+        const request = indexedDB.open(ANALYZER_DB_NAME, ANALYZER_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const statements = db.createObjectStore('statements', { keyPath: 'billHash' });
+            statements.createIndex('type', 'type');
+            statements.createIndex('account', 'account');
+            statements.createIndex('date', 'statementDate');
+
+            const transactions = db.createObjectStore('transactions', { keyPath: 'id' });
+            transactions.createIndex('billHash', 'billHash');
+            transactions.createIndex('type', 'type');
+            transactions.createIndex('account', 'account');
+            transactions.createIndex('date', 'date');
+
+            const accounts = db.createObjectStore('accounts', { keyPath: 'id' });
+            accounts.createIndex('type', 'type');
+
+            db.createObjectStore('settings', { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    analyzerDBPromise.catch(() => { analyzerDBPromise = null; });
+    return analyzerDBPromise;
+}
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Runs `work` inside a single transaction and resolves once the transaction has committed.
+ * @param {Array<string>} storeNames - The stores the transaction covers.
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {function(object): Promise<*>} work - Receives an object of stores keyed by name.
+ * @returns {Promise<*>} Whatever `work` resolved to.
+ */
+async function runStoreTransaction(storeNames, mode, work) {
+    const db = await openAnalyzerDB();
+    const tx = db.transaction(storeNames, mode);
+    const stores = Object.fromEntries(storeNames.map(name => [name, tx.objectStore(name)]));
+    const done = new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('IndexedDB 交易已中止。'));
+    });
+    const result = await work(stores);
+    await done;
+    return result;
+}
+
+function getAccountKey(dataType, result) {
+    const bankName = result.bankName || '未知銀行';
+    return dataType === 'bankStatement' ? `${dataType}|${bankName}|${result.accountNumber || ''}` : `${dataType}|${bankName}`;
+}
+
+async function deleteByIndex(store, indexName, value) {
+    const keys = await idbRequest(store.index(indexName).getAllKeys(value));
+    await Promise.all(keys.map(key => idbRequest(store.delete(key))));
+}
+
+/**
+ * Removes the account records of one type that no stored statement refers to any more.
+ */
+async function deleteUnusedAccounts({ statements, accounts }, dataType) {
+    const accountIds = await idbRequest(accounts.index('type').getAllKeys(dataType));
+    await Promise.all(accountIds.map(async (id) => {
+        const statementCount = await idbRequest(statements.index('account').count(id));
+        if (statementCount === 0) await idbRequest(accounts.delete(id));
+    }));
+}
+
+// --- Statements ---
+
+/**
+ * Turns one statement into its store records. With encryption on, the statement header,
+ * each row and the account details are sealed, and the account index holds a salted hash;
+ * only billHash, type and dates stay readable so the indexes keep working.
+ * @returns {Promise<{statement: object, account: object, rows: Array<object>}>} Records without `order`.
+ */
+async function buildStatementRecords(dataType, result, encryption) {
+    const listKeys = STATEMENT_LIST_KEYS[dataType] || [];
+    const billHash = result.billHash || `manual-${crypto.randomUUID()}`;
+    const accountKey = getAccountKey(dataType, result);
+    const account = encryption ? await hashAccountKey(accountKey, encryption.salt) : accountKey;
+    const header = { ...result, billHash };
+    listKeys.forEach(key => delete header[key]);
+    const accountDetails = {
+        bankName: result.bankName || '未知銀行',
+        accountNumber: result.accountNumber || null,
+        accountName: result.accountName || null,
+    };
+
+    const rows = [];
+    for (const list of listKeys) {
+        for (const [position, row] of (result[list] || []).entries()) {
+            rows.push({
+                id: `${billHash}|${list}|${position}`,
+                billHash, type: dataType, account, list, position,
+                date: row.date || '',
+                ...(await sealStoredPayload('data', row, encryption)),
+            });
+        }
+    }
+    return {
+        statement: { billHash, type: dataType, account, statementDate: result.statementDate || '', ...(await sealStoredPayload('header', header, encryption)) },
+        account: { id: account, type: dataType, ...(await sealStoredPayload('details', accountDetails, encryption)) },
+        rows,
+    };
+}
+
+function putStatementRecords({ statements, transactions, accounts }, records, order) {
+    return [
+        idbRequest(statements.put({ ...records.statement, order })),
+        idbRequest(accounts.put(records.account)),
+        ...records.rows.map(row => idbRequest(transactions.put(row))),
+    ];
+}
+
+/**
+ * Replaces every stored statement of one type with the given groups. Only used for restoring
+ * whole data sets (migration, backups, re-keying); page saves go through `saveStoredStatementChanges`.
+ * @param {string} dataType - 'creditCard' or 'bankStatement'.
+ * @param {object} groups - { bankName: { results: [...] } }
+ */
+async function writeStoredStatements(dataType, groups) {
+    // Records are sealed before the transaction opens; awaiting WebCrypto inside it would let it auto-commit.
+    const recordSets = await buildGroupRecords(dataType, groups, await getWriteEncryption());
+    await runStoreTransaction(['statements', 'transactions', 'accounts'], 'readwrite', (stores) =>
+        replaceStatementRecords(stores, dataType, recordSets)
+    );
+}
+
+async function buildGroupRecords(dataType, groups, encryption) {
+    const recordSets = [];
+    for (const group of Object.values(groups || {})) {
+        for (const result of group.results || []) {
+            recordSets.push(await buildStatementRecords(dataType, result, encryption));
+        }
+    }
+    return recordSets;
+}
+
+/**
+ * Swaps every stored statement of one type for `recordSets`, inside the caller's transaction.
+ */
+async function replaceStatementRecords(stores, dataType, recordSets) {
+    await deleteByIndex(stores.statements, 'type', dataType);
+    await deleteByIndex(stores.transactions, 'type', dataType);
+    await deleteByIndex(stores.accounts, 'type', dataType);
+    await Promise.all(recordSets.flatMap((records, order) => putStatementRecords(stores, records, order)));
+}
+
+/**
+ * Adds or updates individual statements by billHash and removes the ones listed for deletion,
+ * leaving every other stored statement untouched. Accounts left without statements are removed.
+ * @param {string} dataType - 'creditCard' or 'bankStatement'.
+ * @param {object} changes - { upserts: [result, ...], deletions: [billHash, ...] }
+ */
+async function saveStoredStatementChanges(dataType, { upserts = [], deletions = [] }) {
+    const encryption = await getWriteEncryption();
+    const recordSets = [];
+    for (const result of upserts) {
+        recordSets.push(await buildStatementRecords(dataType, result, encryption));
+    }
+    await runStoreTransaction(['statements', 'transactions', 'accounts'], 'readwrite', async (stores) => {
+        const existing = await idbRequest(stores.statements.index('type').getAll(dataType));
+        const orderByHash = Object.fromEntries(existing.map(record => [record.billHash, record.order]));
+        let nextOrder = existing.reduce((max, record) => Math.max(max, record.order + 1), 0);
+
+        const removedHashes = [...new Set([...deletions, ...recordSets.map(records => records.statement.billHash)])];
+        await Promise.all(removedHashes.map(billHash => Promise.all([
+            idbRequest(stores.statements.delete(billHash)),
+            deleteByIndex(stores.transactions, 'billHash', billHash),
+        ])));
+
+        const writes = [];
+        recordSets.forEach(records => {
+            const billHash = records.statement.billHash;
+            const order = billHash in orderByHash ? orderByHash[billHash] : nextOrder++;
+            writes.push(...putStatementRecords(stores, records, order));
+        });
+        await Promise.all(writes);
+        await deleteUnusedAccounts(stores, dataType);
+    });
+}
+
+/**
+ * Rebuilds the grouped `{ type: { bankName: { results } } }` object from the stores.
+ * @returns {Promise<object|null>} The data, or null when nothing is stored.
+ */
+async function readStoredStatements() {
+    const [statementRecords, transactionRecords] = await runStoreTransaction(['statements', 'transactions'], 'readonly', ({ statements, transactions }) =>
+        Promise.all([idbRequest(statements.getAll()), idbRequest(transactions.getAll())])
+    );
+    if (statementRecords.length === 0) return null;
+
+    const rowsByBill = {};
+    transactionRecords.forEach(record => {
+        const lists = rowsByBill[record.billHash] = rowsByBill[record.billHash] || {};
+        (lists[record.list] = lists[record.list] || []).push(record);
+    });
+
+    const allData = {};
+    for (const record of statementRecords.sort((a, b) => a.order - b.order)) {
+        const result = { ...(await openStoredPayload('header', record)) };
+        for (const list of STATEMENT_LIST_KEYS[record.type] || []) {
+            const rows = (rowsByBill[record.billHash] && rowsByBill[record.billHash][list]) || [];
+            result[list] = await Promise.all(rows.sort((a, b) => a.position - b.position).map(row => openStoredPayload('data', row)));
+        }
+        const groupName = result.bankName || '未知銀行';
+        const typeData = allData[record.type] = allData[record.type] || {};
+        (typeData[groupName] = typeData[groupName] || { results: [] }).results.push(result);
+    }
+    return allData;
+}
+
+/**
+ * Empties the statement stores. The encryption setting goes too, which is also the way out
+ * when the passphrase has been forgotten.
+ */
+async function clearStoredStatements() {
+    await runStoreTransaction(['statements', 'transactions', 'accounts', 'settings'], 'readwrite', ({ statements, transactions, accounts, settings }) =>
+        Promise.all([
+            idbRequest(statements.clear()),
+            idbRequest(transactions.clear()),
+            idbRequest(accounts.clear()),
+            idbRequest(settings.delete(STORAGE_ENCRYPTION_SETTING)),
+        ])
+    );
+    storageEncryptionKey = null;
+}
+
+// --- Settings ---
+
+async function getStoredSetting(key) {
+    const record = await runStoreTransaction(['settings'], 'readonly', ({ settings }) => idbRequest(settings.get(key)));
+    return record ? record.value : undefined;
+}
+
+async function setStoredSetting(key, value) {
+    await runStoreTransaction(['settings'], 'readwrite', ({ settings }) => idbRequest(settings.put({ key, value })));
+}
+
+// --- Encryption ---
+
+/**
+ * Seals `value` under `field` when encryption is on; otherwise stores it as is.
+ * Sealed payloads live in `sealed` so readers can tell the two apart.
+ */
+async function sealStoredPayload(field, value, encryption) {
+    return encryption ? { sealed: await encryptWithKey(encryption.key, value) } : { [field]: value };
+}
+
+async function openStoredPayload(field, record) {
+    if (!record.sealed) return record[field];
+    if (!storageEncryptionKey) throw new Error('瀏覽器存檔已加密，請先輸入密碼解鎖。');
+    return decryptWithKey(storageEncryptionKey, record.sealed);
+}
+
+async function hashAccountKey(accountKey, salt) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}|${accountKey}`));
+    return bytesToBase64(digest);
+}
+
+function getStorageEncryption() {
+    return getStoredSetting(STORAGE_ENCRYPTION_SETTING);
+}
+
+/**
+ * Returns what writes need to seal records, or null when encryption is off. Refuses to write
+ * while the store is encrypted but locked, so plain records never mix with sealed ones.
+ */
+async function getWriteEncryption() {
+    const setting = await getStorageEncryption();
+    if (!setting) return null;
+    if (!storageEncryptionKey) throw new Error('瀏覽器存檔已加密，請先輸入密碼解鎖。');
+    return { key: storageEncryptionKey, salt: setting.salt, iterations: setting.iterations };
+}
+
+async function isStorageLocked() {
+    return !!(await getStorageEncryption()) && !storageEncryptionKey;
+}
+
+/**
+ * Checks a passphrase against the stored verifier and keeps the key for this session.
+ * @returns {Promise<boolean>} Whether the passphrase was correct.
+ */
+async function unlockStorage(passphrase) {
+    const setting = await getStorageEncryption();
+    if (!setting) return true;
+    const key = await deriveEncryptionKey(passphrase, setting.salt, setting.iterations);
+    try {
+        if (await decryptWithKey(key, setting.verifier) !== STORAGE_ENCRYPTION_VERIFIER) return false;
+    } catch (e) {
+        return false;
+    }
+    storageEncryptionKey = key;
+    return true;
+}
+
+/**
+ * Turns encryption on (or changes the passphrase) when given a passphrase, or off when given
+ * null, and rewrites every stored statement accordingly. The store must be unlocked first.
+ * All records and the setting are replaced in one transaction, and the session switches to the
+ * new key only once it has committed, so a failed or interrupted re-seal leaves the old state.
+ * @param {string|null} passphrase - The new passphrase.
+ */
+async function setStorageEncryption(passphrase) {
+    const allData = (await readStoredStatements()) || {};
+    let setting = null;
+    let encryption = null;
+    if (passphrase) {
+        const salt = generateEncryptionSalt();
+        const key = await deriveEncryptionKey(passphrase, salt);
+        const verifier = await encryptWithKey(key, STORAGE_ENCRYPTION_VERIFIER);
+        setting = { salt, iterations: PBKDF2_ITERATIONS, verifier };
+        encryption = { key, salt, iterations: PBKDF2_ITERATIONS };
+    }
+    // Sealed before the transaction opens, as in writeStoredStatements.
+    const recordSetsByType = {};
+    for (const dataType of Object.keys(STATEMENT_LIST_KEYS)) {
+        recordSetsByType[dataType] = await buildGroupRecords(dataType, allData[dataType] || {}, encryption);
+    }
+    await runStoreTransaction(['statements', 'transactions', 'accounts', 'settings'], 'readwrite', async (stores) => {
+        for (const dataType of Object.keys(recordSetsByType)) {
+            await replaceStatementRecords(stores, dataType, recordSetsByType[dataType]);
+        }
+        await idbRequest(setting
+            ? stores.settings.put({ key: STORAGE_ENCRYPTION_SETTING, value: setting })
+            : stores.settings.delete(STORAGE_ENCRYPTION_SETTING));
+    });
+    storageEncryptionKey = encryption ? encryption.key : null;
+}
+
+/**
+ * Encrypts a backup with the storage passphrase when encryption is on.
+ * @param {object} allData - The backup data.
+ * @returns {Promise<object>} The envelope, or `allData` unchanged when encryption is off.
+ */
+async function sealBackupForExport(allData) {
+    const encryption = await getWriteEncryption();
+    return encryption ? encryptBackup(allData, encryption.key, encryption.salt, encryption.iterations) : allData;
+}
+
+// --- Migration ---
+
+/**
+ * Moves the old single localStorage blob into IndexedDB once. The blob is only removed after
+ * every type has been written, so a failed migration is retried on the next load.
+ */
+function migrateLocalStorageData() {
+    if (!migrationPromise) {
+        migrationPromise = runLocalStorageMigration();
+        migrationPromise.catch(() => { migrationPromise = null; });
+    }
+    return migrationPromise;
+}
+
+async function runLocalStorageMigration() {
+    if (await getStoredSetting(LOCAL_STORAGE_MIGRATED_SETTING)) return;
+    const legacy = localStorage.getItem(STORAGE_KEY);
+    if (legacy) {
+        const data = upgradeBackupData(JSON.parse(legacy));
+        for (const dataType of Object.keys(STATEMENT_LIST_KEYS)) {
+            if (data[dataType]) await writeStoredStatements(dataType, data[dataType]);
+        }
+        console.log("已將瀏覽器 localStorage 中的存檔移轉至 IndexedDB。");
+    }
+    await setStoredSetting(LOCAL_STORAGE_MIGRATED_SETTING, new Date().toISOString());
+    localStorage.removeItem(STORAGE_KEY);
+}
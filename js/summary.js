@@ -8,6 +8,8 @@
 let processedMonthlyData = {}; // Store processed data for AI access
 let rawFinancialData = {}; // Store the original full data for detailed AI analysis
 let chatHistory = []; // Store the conversation history with the AI
+let activeAIAbortController = null; // Aborts the advice or chat reply that is currently streaming; only one streams at a time
+let budgetHistoryChart = null; // Redrawn whenever a budget changes
 
 // Define getBillingMonth here as it's needed for processing
 function getBillingMonth(statementDateStr, cutoffDay) {
@@ -33,6 +35,7 @@ function getBillingMonth(statementDateStr, cutoffDay) {
  */
 async function initializeSummaryApp() {
     const contentArea = document.getElementById('summary-content');
+    setupPasswordModal();
     
     try {
         const allData = await loadAnalysisData();
@@ -48,9 +51,17 @@ async function initializeSummaryApp() {
             return;
         }
 
+        document.getElementById('export-controls').classList.remove('hidden');
+        initializeExportControls(() => groupedDataToStatementLists(rawFinancialData));
+        initializeLedgerExportControls(() => rawFinancialData);
+        initializeUpcomingPayments(allData);
+
         const monthlyData = processAllData(allData);
         processedMonthlyData = monthlyData; // Save for AI
         renderSummaryUI(contentArea, monthlyData);
+        renderRecurringPayments(detectRecurringPayments(allData));
+        document.getElementById('recurring-payments').classList.remove('hidden');
+        initializeInstallmentPlans(allData);
         
         // Show and setup the AI section now that we have data
         const aiSection = document.getElementById('ai-advice-section');
@@ -65,6 +76,29 @@ async function initializeSummaryApp() {
     }
 }
 
+/**
+ * Wires the passphrase dialog used when the browser copy is encrypted.
+ */
+function setupPasswordModal() {
+    Object.assign(dom, {
+        passwordModal: document.getElementById('password-modal'),
+        passwordFilename: document.getElementById('password-filename'),
+        passwordModalInput: document.getElementById('password-modal-input'),
+        passwordModalError: document.getElementById('password-modal-error'),
+        passwordModalSubmit: document.getElementById('password-modal-submit'),
+        passwordModalCancel: document.getElementById('password-modal-cancel'),
+    });
+    const close = (value) => {
+        if (!passwordResolver) return;
+        passwordResolver(value);
+        dom.passwordModal.classList.add('hidden');
+        dom.passwordModalInput.value = '';
+        dom.passwordModalError.classList.add('hidden');
+    };
+    dom.passwordModalSubmit.addEventListener('click', () => close(dom.passwordModalInput.value));
+    dom.passwordModalCancel.addEventListener('click', () => close(null));
+}
+
 document.addEventListener('DOMContentLoaded', () => {
     runWhenReady(initializeSummaryApp);
 });
@@ -76,12 +110,17 @@ document.addEventListener('DOMContentLoaded', () => {
  */
 function processAllData(allData) {
     const aggregated = {};
+    applyCategoryRulesToData(allData);
+    applyMerchantModelToData(allData);
+    // Card payments from the bank are already counted as card spending.
+    markCardPaymentTransfers(allData);
 
     const ensureMonth = (month) => {
         if (!aggregated[month]) {
             aggregated[month] = {
                 totalIncome: 0,
                 bankSpending: 0, 
+                cardPayments: 0,
                 cardSpending: 0, 
                 cardSpendingByCategory: {},
                 incomeByCategory: {},
@@ -99,12 +138,16 @@ function processAllData(allData) {
                 if (Array.isArray(res.deposits)) {
                     res.deposits.forEach(tx => {
                         aggregated[month].totalIncome += tx.amount || 0;
-                        const category = tx.category || '其他';
+                        const category = getTopLevelCategory('income', tx.category || '其他');
                         aggregated[month].incomeByCategory[category] = (aggregated[month].incomeByCategory[category] || 0) + (tx.amount || 0);
                     });
                 }
                 if (Array.isArray(res.withdrawals)) {
                     res.withdrawals.forEach(tx => {
+                        if (tx.transfer === CARD_PAYMENT_TRANSFER) {
+                            aggregated[month].cardPayments += tx.amount || 0;
+                            return;
+                        }
                         aggregated[month].bankSpending += tx.amount || 0;
                     });
                 }
@@ -116,10 +159,10 @@ function processAllData(allData) {
     }
 
     if (allData.creditCard) {
-        const tempCutoffDay = 15;
+        const cutoffDay = getCutoffDay();
         Object.values(allData.creditCard).forEach(card => {
             card.results.forEach(res => {
-                const month = getBillingMonth(res.statementDate, tempCutoffDay);
+                const month = getBillingMonth(res.statementDate, cutoffDay);
                 ensureMonth(month);
 
                 if (Array.isArray(res.transactions)) {
@@ -127,7 +170,7 @@ function processAllData(allData) {
                         if (tx.amount > 0) {
                             const amount = tx.amount || 0;
                             aggregated[month].cardSpending += amount;
-                            const category = tx.category || '其他';
+                            const category = getTopLevelCategory('expense', tx.category || '其他');
                             aggregated[month].cardSpendingByCategory[category] = (aggregated[month].cardSpendingByCategory[category] || 0) + amount;
                         }
                     });
@@ -170,6 +213,13 @@ function renderSummaryUI(container, monthlyData) {
                     </div>
                 </div>
                 <div class="relative h-72"><canvas id="spending-category-chart"></canvas></div>
+                <div class="mt-4 border-t pt-4">
+                    <div class="flex justify-between items-center mb-2">
+                        <h4 class="font-semibold">每月預算</h4>
+                        <select id="budget-month-select" class="p-1 border border-gray-300 rounded-md text-sm"></select>
+                    </div>
+                    <div id="budget-progress" class="space-y-2"></div>
+                </div>
             </div>
         </div>
         <div class="bg-white p-6 rounded-lg shadow-sm">
@@ -190,11 +240,23 @@ function renderSummaryUI(container, monthlyData) {
             </div>
             <div class="relative h-96"><canvas id="trend-chart"></canvas></div>
         </div>
+        <div class="bg-white p-6 rounded-lg shadow-sm">
+            <div class="flex flex-wrap justify-between items-center gap-2 mb-4">
+                <h3 class="text-xl font-bold">預算與實際消費</h3>
+                <select id="budget-history-category" class="p-1 border border-gray-300 rounded-md text-sm"></select>
+            </div>
+            <div class="relative h-80"><canvas id="budget-history-chart"></canvas></div>
+            <details class="mt-4">
+                <summary class="font-medium text-gray-700 cursor-pointer">設定每月預算</summary>
+                <div id="budget-settings" class="mt-2 max-w-xl"></div>
+            </details>
+        </div>
     `;
 
     setTimeout(() => {
         renderDoughnutCharts(monthlyData);
         renderTrendChart(monthlyData);
+        initializeBudgetSection(monthlyData);
     }, 0);
 }
 
@@ -248,7 +310,7 @@ function renderDoughnutCharts(monthlyData) {
                 labels: spendingLabels,
                 datasets: [{
                     data: spendingData,
-                    backgroundColor: ['#FF6384', '#FF9F40', '#FFCD56', '#4BC0C0', '#9966FF', '#F7464A', '#46BFBD', '#C9CBCF'],
+                    backgroundColor: spendingLabels.map(label => getCategoryColor('expense', label)),
                 }]
             },
             options: getChartOptions(true)
@@ -365,6 +427,138 @@ function renderTrendChart(monthlyData) {
     });
 }
 
+// --- Budgets ---
+
+/**
+ * Card spending by top-level category for each month that has card statements.
+ * @param {object} monthlyData - The processed monthly data.
+ * @returns {object} 'YYYY-MM' → category → amount.
+ */
+function getCardSpendingByMonth(monthlyData) {
+    const spendingByMonth = {};
+    Object.entries(monthlyData).forEach(([month, data]) => {
+        if (data.cardSpending > 0) spendingByMonth[month] = data.cardSpendingByCategory;
+    });
+    return spendingByMonth;
+}
+
+/**
+ * Wires the budget progress bars, the budget-vs-actual chart and the budget editor.
+ * @param {object} monthlyData - The processed monthly data.
+ */
+function initializeBudgetSection(monthlyData) {
+    const spendingByMonth = getCardSpendingByMonth(monthlyData);
+    const monthSelect = document.getElementById('budget-month-select');
+    const categorySelect = document.getElementById('budget-history-category');
+    const months = getTrackedMonths(spendingByMonth).reverse();
+    monthSelect.innerHTML = months.map(month => `<option value="${month}">${month}</option>`).join('');
+
+    const render = () => {
+        const budgets = getBudgetSettings();
+        const selectedCategory = categorySelect.value;
+        categorySelect.innerHTML = `<option value="">全部預算分類</option>` + Object.keys(budgets)
+            .filter(category => getBudgetCategories().includes(category))
+            .map(category => `<option value="${category}" ${category === selectedCategory ? 'selected' : ''}>${category}</option>`).join('');
+        document.getElementById('budget-progress').innerHTML = months.length > 0
+            ? renderBudgetProgress(getBudgetStatus(spendingByMonth, monthSelect.value, budgets))
+            : '<p class="text-sm text-gray-500 text-center">尚無信用卡消費資料。</p>';
+        renderBudgetHistoryChart(spendingByMonth, categorySelect.value);
+    };
+    monthSelect.addEventListener('change', render);
+    categorySelect.addEventListener('change', render);
+    renderBudgetSettings(document.getElementById('budget-settings'), render);
+    render();
+}
+
+/**
+ * Draws budget (line) against actual card spending (bars) per month; months over budget are red.
+ * @param {object} spendingByMonth - From `getCardSpendingByMonth`.
+ * @param {string} category - One category, or '' for every budgeted category.
+ */
+function renderBudgetHistoryChart(spendingByMonth, category) {
+    const ctx = document.getElementById('budget-history-chart');
+    if (!ctx) return;
+    const history = getBudgetHistory(spendingByMonth, category);
+    if (budgetHistoryChart) budgetHistoryChart.destroy();
+    budgetHistoryChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: history.months,
+            datasets: [
+                {
+                    label: '實際消費',
+                    data: history.actual,
+                    backgroundColor: history.actual.map((value, i) => value > history.budgeted[i] ? 'rgba(239, 68, 68, 0.7)' : 'rgba(75, 192, 192, 0.7)'),
+                },
+                {
+                    type: 'line',
+                    label: '可用預算',
+                    data: history.budgeted,
+                    borderColor: 'rgba(99, 102, 241, 1)',
+                    backgroundColor: 'rgba(99, 102, 241, 0.2)',
+                    borderWidth: 2,
+                    fill: false,
+                    stepped: 'middle',
+                },
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: { y: { beginAtZero: true, title: { display: true, text: '金額 (TWD)' } } },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`
+                    }
+                }
+            }
+        }
+    });
+}
+
+// --- Installments ---
+
+/**
+ * Shows the installment plans and the projection of future installment payments; the section
+ * stays hidden when no statement has installment rows.
+ * @param {object} allData - The complete data object from storage.
+ */
+function initializeInstallmentPlans(allData) {
+    const plans = buildInstallmentPlans(allData);
+    if (plans.length === 0) return;
+    document.getElementById('installment-plans').classList.remove('hidden');
+    renderInstallmentPlans(plans);
+
+    const ctx = document.getElementById('installment-projection-chart');
+    const projection = projectInstallmentCommitments(plans);
+    if (!ctx || projection.months.length === 0) return;
+    new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: projection.months,
+            datasets: [{
+                label: '分期應繳',
+                data: projection.amounts,
+                backgroundColor: 'rgba(153, 102, 255, 0.7)',
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: { y: { beginAtZero: true, title: { display: true, text: '金額 (TWD)' } } },
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    callbacks: {
+                        label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`
+                    }
+                }
+            }
+        }
+    });
+}
+
 /**
  * Reusable chart options generator.
  * @param {boolean} isDoughnut - Flag to adjust legend for doughnut charts.
@@ -449,6 +643,7 @@ function setupAIAdviceGenerator() {
     };
 
     loadApiKeyForSummary();
+    initializeRedactionSettings();
 
     saveButton.addEventListener('click', () => {
         const apiKey = apiKeyInput.value.trim();
@@ -467,20 +662,31 @@ function setupAIAdviceGenerator() {
     });
 
     button.addEventListener('click', async () => {
+        if (activeAIAbortController) return;
         const apiKey = apiKeyInput.value.trim();
-        if (!apiKey) {
-            alert('請輸入您的 Gemini API 金鑰以產生建議。');
+        if (!apiKey && getActiveAIProvider().requiresApiKey) {
+            alert('請輸入您的 AI 服務 API 金鑰以產生建議。');
             return;
         }
 
         contentDiv.innerHTML = `<div class="flex justify-center items-center"><div class="spinner"></div><p class="ml-2">AI 正在分析您的財務狀況，請稍候...</p></div>`;
-        button.disabled = true;
+        const controller = startAIStream();
 
         try {
             const dataSummary = formatDataForPrompt(processedMonthlyData, rawFinancialData);
             const prompt = createAIPrompt(dataSummary);
-            const adviceText = await callGeminiForAdvice(prompt, apiKey);
-            
+            let adviceText = await callGeminiForAdvice(prompt, apiKey, {
+                signal: controller.signal,
+                onText: (partialText) => { contentDiv.innerHTML = formatAdviceResponse(partialText); },
+            });
+
+            if (controller.signal.aborted) {
+                if (!adviceText) {
+                    contentDiv.innerHTML = `<p class="text-center text-gray-500">已停止產生建議。</p>`;
+                    return;
+                }
+                adviceText += '\n\n（已停止產生）';
+            }
             contentDiv.innerHTML = formatAdviceResponse(adviceText);
 
             // Initialize chat history and show chat interface
@@ -495,9 +701,42 @@ function setupAIAdviceGenerator() {
             console.error("生成 AI 建議時發生錯誤:", error);
             contentDiv.innerHTML = `<p class="text-red-500 text-center">抱歉，生成建議時發生錯誤：${error.message}</p>`;
         } finally {
-            button.disabled = false;
+            finishAIStream(controller);
         }
     });
+
+    document.getElementById('ai-stop-button').addEventListener('click', () => {
+        if (activeAIAbortController) activeAIAbortController.abort();
+    });
+}
+
+/**
+ * Enables or disables the buttons that start a streaming reply.
+ */
+function setAIStreamTriggersDisabled(disabled) {
+    ['ai-advice-button', 'ai-chat-submit'].forEach(id => {
+        const trigger = document.getElementById(id);
+        if (trigger) trigger.disabled = disabled;
+    });
+}
+
+/**
+ * Creates the AbortController for a streaming reply and shows the stop button. The advice and
+ * chat triggers stay disabled until the reply finishes, so the stop button always reaches it.
+ * @returns {AbortController}
+ */
+function startAIStream() {
+    activeAIAbortController = new AbortController();
+    setAIStreamTriggersDisabled(true);
+    document.getElementById('ai-stop-button').classList.remove('hidden');
+    return activeAIAbortController;
+}
+
+function finishAIStream(controller) {
+    if (activeAIAbortController !== controller) return;
+    activeAIAbortController = null;
+    setAIStreamTriggersDisabled(false);
+    document.getElementById('ai-stop-button').classList.add('hidden');
 }
 
 /**
@@ -528,10 +767,11 @@ function setupChatListener() {
     chatForm.addEventListener('submit', async (e) => {
         e.preventDefault();
         const userInput = chatInput.value.trim();
-        if (!userInput) return;
+        // Enter submits the form even while the submit button is disabled.
+        if (!userInput || activeAIAbortController) return;
 
         const apiKey = apiKeyInput.value.trim();
-        if (!apiKey) {
+        if (!apiKey && getActiveAIProvider().requiresApiKey) {
             alert('請先提供 API 金鑰才能繼續對話。');
             return;
         }
@@ -540,21 +780,25 @@ function setupChatListener() {
         chatHistory.push({ role: 'user', parts: [{ text: userInput }] });
         chatInput.value = '';
         chatInput.style.height = 'auto'; // Reset height
-        chatSubmit.disabled = true;
 
         // Add a thinking indicator
         const thinkingId = `thinking-${Date.now()}`;
         appendChatMessage('<div class="spinner"></div>', 'model', thinkingId);
 
+        const controller = startAIStream();
         try {
-            const aiResponse = await callGeminiForChat(chatHistory, apiKey);
+            let aiResponse = await callGeminiForChat(chatHistory, apiKey, {
+                signal: controller.signal,
+                onText: (partialText) => updateChatMessage(thinkingId, partialText),
+            });
+            if (controller.signal.aborted) aiResponse = aiResponse ? `${aiResponse}\n\n（已停止回覆）` : '（已停止回覆）';
             updateChatMessage(thinkingId, aiResponse); // Update the thinking bubble with the response
             chatHistory.push({ role: 'model', parts: [{ text: aiResponse }] });
         } catch (error) {
             console.error("AI 聊天時發生錯誤:", error);
             updateChatMessage(thinkingId, `抱歉，發生錯誤：${error.message}`);
         } finally {
-            chatSubmit.disabled = false;
+            finishAIStream(controller);
         }
     });
 }
@@ -617,10 +861,16 @@ function formatDataForPrompt(data, allRawData) {
         const monthData = data[month];
         summary += `--- 月份: ${month} ---\n`;
         summary += `總收入: ${formatCurrency(monthData.totalIncome)}\n`;
-        summary += `銀行總支出: ${formatCurrency(monthData.bankSpending)}\n`;
-        summary += `信用卡總支出 (僅供消費習慣分析): ${formatCurrency(monthData.cardSpending)}\n`;
+        summary += `銀行總支出 (不含信用卡繳款): ${formatCurrency(monthData.bankSpending)}\n`;
+        summary += `信用卡繳款 (由銀行帳戶支付的信用卡帳單): ${formatCurrency(monthData.cardPayments)}\n`;
+        summary += `信用卡總消費: ${formatCurrency(monthData.cardSpending)}\n`;
         summary += `  - 信用卡消費分類: ${JSON.stringify(monthData.cardSpendingByCategory)}\n`;
-        summary += `當月淨現金流 (收入 - 銀行支出): ${formatCurrency(monthData.totalIncome - monthData.bankSpending)}\n\n`;
+        summary += `當月淨現金流 (收入 - 銀行支出 - 信用卡繳款): ${formatCurrency(monthData.totalIncome - monthData.bankSpending - monthData.cardPayments)}\n\n`;
+    }
+
+    const recurringSummary = formatRecurringPaymentsForPrompt(detectRecurringPayments(allRawData));
+    if (recurringSummary) {
+        summary += "--- 系統偵測到的定期扣款與訂閱 ---\n" + recurringSummary + "\n";
     }
 
     summary += "\n\n--- 交易明細清單 (用於深入分析) ---\n\n";
@@ -639,7 +889,8 @@ function formatDataForPrompt(data, allRawData) {
                 if (res.withdrawals && res.withdrawals.length > 0) {
                     summary += "支出:\n";
                     res.withdrawals.forEach(tx => {
-                        summary += `  - ${tx.date || '無日期'}: ${tx.description || ''} - ${formatCurrency(tx.amount)}\n`;
+                        const transferNote = tx.transfer === CARD_PAYMENT_TRANSFER ? ' (信用卡繳款，已計入信用卡消費)' : '';
+                        summary += `  - ${tx.date || '無日期'}: ${tx.description || ''} - ${formatCurrency(tx.amount)}${transferNote}\n`;
                     });
                 }
                 summary += "\n";
@@ -701,72 +952,25 @@ ${dataSummary}
 }
 
 /**
- * Calls the Gemini API for the initial advice.
+ * Streams the initial advice from the active AI provider.
  * @param {string} prompt - The prompt to send to the API.
  * @param {string} apiKey - The user's API key.
- * @returns {Promise<string>} A promise that resolves to the AI's text response.
+ * @param {object} streamOptions - { signal, onText } passed on to `streamAIText`.
+ * @returns {Promise<string>} A promise that resolves to the AI's full (or partial, if stopped) text response.
  */
-async function callGeminiForAdvice(prompt, apiKey) {
-    const model = 'gemini-2.5-flash-preview-05-20';
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-    
-    const payload = {
-        contents: [{
-            parts: [{ text: prompt }]
-        }]
-    };
-
-    const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-    });
-
-    if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(`API 請求失敗: ${errorData.error.message}`);
-    }
-
-    const result = await response.json();
-    if (result.candidates && result.candidates.length > 0) {
-        return result.candidates[0].content.parts[0].text;
-    } else {
-        throw new Error('AI 未回傳有效的建議內容。');
-    }
+async function callGeminiForAdvice(prompt, apiKey, { signal, onText } = {}) {
+    return streamAIText([{ role: 'user', parts: [{ text: prompt }] }], { apiKey, model: getSelectedAIModel(), signal, onText });
 }
 
 /**
- * Calls the Gemini API for follow-up chat conversation.
+ * Streams a follow-up chat reply from the active AI provider.
  * @param {Array} history - The entire conversation history.
  * @param {string} apiKey - The user's API key.
- * @returns {Promise<string>} A promise that resolves to the AI's text response.
+ * @param {object} streamOptions - { signal, onText } passed on to `streamAIText`.
+ * @returns {Promise<string>} A promise that resolves to the AI's full (or partial, if stopped) text response.
  */
-async function callGeminiForChat(history, apiKey) {
-    const model = 'gemini-2.5-flash-preview-05-20';
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-    
-    const payload = {
-        contents: history
-    };
-
-    const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-    });
-
-    if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(`API 請求失敗: ${errorData.error.message}`);
-    }
-
-    const result = await response.json();
-     if (result.candidates && result.candidates.length > 0) {
-        return result.candidates[0].content.parts[0].text;
-    } else {
-        console.error("Full API response on chat failure:", result);
-        throw new Error('AI 未回傳有效的聊天回應。');
-    }
+async function callGeminiForChat(history, apiKey, { signal, onText } = {}) {
+    return streamAIText(history, { apiKey, model: getSelectedAIModel(), signal, onText });
 }
 
 
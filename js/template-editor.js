@@ -0,0 +1,515 @@
+/**
+ * @file template-editor.js
+ * @description Logic for the template management page: listing, editing, testing, importing and
+ * exporting the statement parsing templates used by the offline parser.
+ */
+
+// --- Page-Specific State ---
+let selectedTemplateId = null;
+let sampleLines = [];
+let samplePdfDoc = null;
+
+// Mask editor state: regions are edited on a copy and only persisted on save.
+let selectedMaskProfileId = null;
+let maskRegions = [];
+let maskPageNumber = 1;
+let maskPageCanvas = null;
+let maskDetectedRegions = [];
+let maskDragStart = null;
+const MASK_EDITOR_SCALE = 1.5;
+
+const TEMPLATE_HEADER_FIELDS = {
+    creditCard: [
+        { key: 'bankName', label: '銀行名稱' },
+        { key: 'statementDate', label: '結帳日' },
+        { key: 'dueDate', label: '繳款截止日' },
+        { key: 'previousBalance', label: '上期應繳總額' },
+        { key: 'paymentAmount', label: '已繳款金額' },
+        { key: 'totalAmount', label: '本期應繳總額' },
+    ],
+    bankStatement: [
+        { key: 'bankName', label: '銀行名稱' },
+        { key: 'accountName', label: '戶名' },
+        { key: 'accountNumber', label: '帳號' },
+        { key: 'statementDate', label: '對帳單日期' },
+        { key: 'statementPeriod', label: '對帳期間 (兩個群組：起、迄)' },
+        { key: 'openingBalance', label: '期初餘額' },
+        { key: 'endingBalance', label: '期末餘額' },
+    ],
+};
+
+// --- Helpers ---
+
+function splitList(value) {
+    return value.split(/[,，]/).map(v => v.trim()).filter(Boolean);
+}
+
+function findTemplate(id) {
+    return getStatementTemplates().find(t => t.id === id) || null;
+}
+
+function showTemplateStatus(message, isError = false) {
+    dom.templateStatus.textContent = message;
+    dom.templateStatus.classList.toggle('text-red-600', isError);
+    dom.templateStatus.classList.toggle('text-green-600', !isError);
+    setTimeout(() => dom.templateStatus.textContent = '', 4000);
+}
+
+// --- Rendering ---
+
+function renderTemplateList() {
+    const typeLabels = { creditCard: '信用卡', bankStatement: '銀行' };
+    dom.templateList.innerHTML = '';
+    getStatementTemplates().forEach(template => {
+        const isBuiltin = typeof template.id === 'string' && template.id.startsWith('builtin-');
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.dataset.templateId = template.id;
+        item.className = `w-full text-left p-2 rounded-md border ${template.id === selectedTemplateId ? 'border-indigo-600 bg-indigo-50' : 'hover:bg-gray-50'}`;
+        item.innerHTML = `<span class="font-semibold">${escapeHtml(template.name)}</span>
+            <span class="text-xs text-gray-500">(${typeLabels[template.type] || template.type}${isBuiltin ? '・內建' : ''})</span>`;
+        dom.templateList.appendChild(item);
+    });
+}
+
+function renderHeaderFields(type, header = {}) {
+    dom.templateHeaderFields.innerHTML = TEMPLATE_HEADER_FIELDS[type].map(field => `
+        <div>
+            <label class="text-sm text-gray-600">${field.label}</label>
+            <input type="text" data-header-field="${field.key}" value="${escapeHtml(header[field.key] || '')}" class="w-full p-2 border border-gray-300 rounded-md font-mono text-xs">
+        </div>
+    `).join('');
+}
+
+function fillTemplateForm(template) {
+    dom.templateNameInput.value = template.name || '';
+    dom.templateTypeSelect.value = template.type || 'creditCard';
+    dom.templateBankInput.value = template.bankName || '';
+    dom.templateKeywordsInput.value = ((template.match && template.match.keywords) || []).join(', ');
+    dom.templateFingerprintInput.value = ((template.match && template.match.fingerprint) || []).join(', ');
+    dom.templateRowInput.value = template.row || '';
+    dom.templateSkipInput.value = template.skip || '';
+    dom.templateDepositInput.value = template.depositKeywords || '';
+    renderHeaderFields(dom.templateTypeSelect.value, template.header);
+
+    const isBuiltin = typeof template.id === 'string' && template.id.startsWith('builtin-');
+    dom.deleteTemplateButton.disabled = isBuiltin || !template.id;
+    dom.saveTemplateButton.textContent = isBuiltin ? '💾 另存為自訂範本' : '💾 儲存範本';
+    dom.templateErrors.classList.add('hidden');
+}
+
+function readTemplateForm() {
+    const header = {};
+    dom.templateHeaderFields.querySelectorAll('[data-header-field]').forEach(input => {
+        if (input.value.trim()) header[input.dataset.headerField] = input.value.trim();
+    });
+    const template = {
+        id: selectedTemplateId && !selectedTemplateId.startsWith('builtin-') ? selectedTemplateId : null,
+        name: dom.templateNameInput.value.trim(),
+        type: dom.templateTypeSelect.value,
+        bankName: dom.templateBankInput.value.trim(),
+        match: {
+            keywords: splitList(dom.templateKeywordsInput.value),
+            fingerprint: splitList(dom.templateFingerprintInput.value),
+        },
+        header,
+        row: dom.templateRowInput.value.trim(),
+    };
+    if (dom.templateSkipInput.value.trim()) template.skip = dom.templateSkipInput.value.trim();
+    if (dom.templateDepositInput.value.trim()) template.depositKeywords = dom.templateDepositInput.value.trim();
+    return template;
+}
+
+function showTemplateErrors(errors) {
+    dom.templateErrors.innerHTML = errors.map(escapeHtml).join('<br>');
+    dom.templateErrors.classList.toggle('hidden', errors.length === 0);
+}
+
+function renderSampleRawText(template) {
+    const rowRegex = template ? compileTemplatePattern(template.row) : null;
+    dom.sampleRawText.innerHTML = sampleLines.map((line, i) => {
+        const matched = rowRegex && rowRegex.test(line.trim());
+        const lineNo = String(i + 1).padStart(4, ' ');
+        return `<span class="${matched ? 'bg-green-100' : ''}">${lineNo}  ${escapeHtml(line)}</span>`;
+    }).join('\n');
+}
+
+function renderSampleResult(template, result) {
+    if (!result) {
+        dom.sampleResult.innerHTML = `<p class="text-red-600">此範本在範例檔案中找不到任何交易列。</p>`;
+        return;
+    }
+    const isBank = template.type === 'bankStatement';
+    const headerKeys = isBank
+        ? ['bankName', 'accountName', 'accountNumber', 'statementDate', 'endingBalance']
+        : ['bankName', 'statementDate', 'dueDate', 'totalAmount'];
+    const headerHtml = headerKeys.map(key => `<div><span class="text-gray-500">${key}:</span> ${escapeHtml(result[key] === null ? '—' : result[key])}</div>`).join('');
+
+    const rows = isBank
+        ? [...result.deposits.map(tx => ({ ...tx, kind: '存入' })), ...result.withdrawals.map(tx => ({ ...tx, kind: '支出' }))]
+        : [...result.transactions.map(tx => ({ ...tx, kind: '消費' })), ...result.rewards.map(rw => ({ ...rw, kind: '回饋' }))];
+    rows.sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+
+    const rowsHtml = rows.map(row => `
+        <tr class="border-b">
+            <td class="py-1 px-2">${escapeHtml(row.date)}</td>
+            <td class="py-1 px-2">${escapeHtml(row.description)}</td>
+            <td class="py-1 px-2">${row.kind}</td>
+            <td class="py-1 px-2 text-right">${(row.amount || 0).toLocaleString()}${row.foreignCurrency ? ` (${row.foreignAmount} ${escapeHtml(row.foreignCurrency)})` : ''}</td>
+        </tr>
+    `).join('');
+
+    dom.sampleResult.innerHTML = `
+        <div class="grid grid-cols-2 gap-1 mb-3">${headerHtml}</div>
+        <table class="w-full text-sm">
+            <thead class="bg-gray-50"><tr><th class="py-1 px-2 text-left">日期</th><th class="py-1 px-2 text-left">說明</th><th class="py-1 px-2 text-left">類型</th><th class="py-1 px-2 text-right">金額</th></tr></thead>
+            <tbody>${rowsHtml}</tbody>
+        </table>
+        <p class="text-gray-500 mt-2">共 ${rows.length} 筆交易列。</p>
+    `;
+}
+
+// --- Actions ---
+
+function selectTemplate(id) {
+    selectedTemplateId = id;
+    const template = findTemplate(id);
+    if (template) fillTemplateForm(template);
+    renderTemplateList();
+    if (sampleLines.length > 0) renderSampleRawText(template);
+}
+
+function testTemplate() {
+    const template = readTemplateForm();
+    const errors = validateStatementTemplate(template);
+    showTemplateErrors(errors);
+    if (errors.length > 0) return;
+    if (sampleLines.length === 0) {
+        showTemplateStatus('請先載入範例 PDF。', true);
+        return;
+    }
+    renderSampleRawText(template);
+    const matches = templateMatchesText(template, sampleLines.join('\n'));
+    const result = applyStatementTemplate(template, sampleLines, 'sample');
+    renderSampleResult(template, result);
+    if (!matches) showTemplateStatus('注意：範例檔案不符合此範本的關鍵字或版面特徵，實際解析時不會選用此範本。', true);
+}
+
+function saveTemplate() {
+    const template = readTemplateForm();
+    const errors = validateStatementTemplate(template);
+    showTemplateErrors(errors);
+    if (errors.length > 0) return;
+
+    const templates = getUserStatementTemplates();
+    if (!template.id) {
+        template.id = `user-${crypto.randomUUID()}`;
+        templates.push(template);
+    } else {
+        const index = templates.findIndex(t => t.id === template.id);
+        if (index >= 0) templates[index] = template; else templates.push(template);
+    }
+    saveUserStatementTemplates(templates);
+    selectTemplate(template.id);
+    showTemplateStatus('✅ 範本已儲存。');
+}
+
+function deleteTemplate() {
+    if (!selectedTemplateId || selectedTemplateId.startsWith('builtin-')) return;
+    if (!confirm('確定要刪除此範本嗎？')) return;
+    saveUserStatementTemplates(getUserStatementTemplates().filter(t => t.id !== selectedTemplateId));
+    selectedTemplateId = null;
+    startNewTemplate();
+    showTemplateStatus('範本已刪除。');
+}
+
+function startNewTemplate() {
+    selectedTemplateId = null;
+    fillTemplateForm({ type: dom.templateTypeSelect.value || 'creditCard', match: {}, header: {} });
+    renderTemplateList();
+}
+
+function handleImportTemplates(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => {
+        try {
+            const data = JSON.parse(event.target.result);
+            const templates = Array.isArray(data) ? data : data.templates;
+            if (!Array.isArray(templates)) throw new Error('找不到 templates 陣列。');
+            const { imported, skipped } = importStatementTemplates(templates);
+            renderTemplateList();
+            showTemplateStatus(`✅ 已匯入 ${imported} 個範本${skipped > 0 ? `，略過 ${skipped} 個無效範本` : ''}。`);
+        } catch (e) {
+            showTemplateStatus(`匯入失敗: ${e.message}`, true);
+        }
+    };
+    reader.readAsText(file);
+    dom.importTemplatesInput.value = '';
+}
+
+async function handleSampleFile(file) {
+    if (!file || file.type !== 'application/pdf') return;
+    try {
+        dom.sampleFilename.textContent = `讀取中: ${file.name}`;
+        const pdfData = await readFileAsArrayBuffer(file);
+        const pdfDoc = await openPdfDocument(pdfData, file.name);
+        const { lines } = await extractPdfText(pdfDoc);
+        sampleLines = lines;
+        samplePdfDoc = pdfDoc;
+        dom.sampleFilename.textContent = `${file.name} (${lines.length} 行)`;
+        renderSampleRawText(selectedTemplateId ? findTemplate(selectedTemplateId) : null);
+
+        const profile = findPageMaskProfile(lines.join('\n'), file.name);
+        if (profile) selectMaskProfile(profile.id);
+        maskPageNumber = 1;
+        await renderMaskPage();
+    } catch (error) {
+        console.error("讀取範例 PDF 失敗:", error);
+        dom.sampleFilename.textContent = `讀取失敗: ${error.message}`;
+    }
+}
+
+// --- Page Mask Editor ---
+
+function showMaskStatus(message, isError = false) {
+    dom.maskStatus.textContent = message;
+    dom.maskStatus.classList.toggle('text-red-600', isError);
+    dom.maskStatus.classList.toggle('text-green-600', !isError);
+    setTimeout(() => dom.maskStatus.textContent = '', 4000);
+}
+
+function renderMaskProfileOptions() {
+    const options = getPageMaskProfiles().map(profile =>
+        `<option value="${profile.id}" ${profile.id === selectedMaskProfileId ? 'selected' : ''}>${escapeHtml(profile.issuer)}</option>`
+    );
+    dom.maskProfileSelect.innerHTML = `<option value="">➕ 新的發卡機構</option>${options.join('')}`;
+}
+
+function selectMaskProfile(id) {
+    const profile = getPageMaskProfiles().find(p => p.id === id) || null;
+    selectedMaskProfileId = profile ? profile.id : null;
+    maskRegions = profile ? profile.regions.map(region => ({ ...region })) : [];
+    dom.maskIssuerInput.value = profile ? profile.issuer : '';
+    dom.maskKeywordsInput.value = profile ? profile.keywords.join(', ') : '';
+    renderMaskProfileOptions();
+    drawMaskOverlay();
+}
+
+async function renderMaskPage() {
+    if (!samplePdfDoc) return;
+    const page = await samplePdfDoc.getPage(maskPageNumber);
+    const viewport = page.getViewport({ scale: MASK_EDITOR_SCALE });
+    maskPageCanvas = document.createElement('canvas');
+    maskPageCanvas.width = viewport.width;
+    maskPageCanvas.height = viewport.height;
+    await page.render({ canvasContext: maskPageCanvas.getContext('2d'), viewport }).promise;
+    maskDetectedRegions = findSensitiveTextRegions(await page.getTextContent(), viewport);
+
+    dom.maskCanvas.width = maskPageCanvas.width;
+    dom.maskCanvas.height = maskPageCanvas.height;
+    dom.maskPageLabel.textContent = `第 ${maskPageNumber} / ${samplePdfDoc.numPages} 頁，自動偵測到 ${maskDetectedRegions.length} 個區域`;
+    drawMaskOverlay();
+}
+
+function drawMaskOverlay(draft = null) {
+    if (!maskPageCanvas) return;
+    const context = dom.maskCanvas.getContext('2d');
+    context.drawImage(maskPageCanvas, 0, 0);
+
+    context.strokeStyle = '#dc2626';
+    context.lineWidth = 2;
+    maskDetectedRegions.forEach(r => context.strokeRect(r.x, r.y, r.width, r.height));
+
+    context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    const profile = { regions: maskRegions };
+    getProfileRegionsForPage(profile, maskPageNumber, dom.maskCanvas)
+        .forEach(r => context.fillRect(r.x, r.y, r.width, r.height));
+
+    if (draft) {
+        context.strokeStyle = '#4f46e5';
+        context.strokeRect(draft.x, draft.y, draft.width, draft.height);
+    }
+}
+
+function getMaskCanvasPoint(e) {
+    const rect = dom.maskCanvas.getBoundingClientRect();
+    return {
+        x: (e.clientX - rect.left) * (dom.maskCanvas.width / rect.width),
+        y: (e.clientY - rect.top) * (dom.maskCanvas.height / rect.height),
+    };
+}
+
+function toDraftRect(start, end) {
+    return {
+        x: Math.min(start.x, end.x),
+        y: Math.min(start.y, end.y),
+        width: Math.abs(end.x - start.x),
+        height: Math.abs(end.y - start.y),
+    };
+}
+
+function finishMaskDrag(e) {
+    if (!maskDragStart) return;
+    const draft = toDraftRect(maskDragStart, getMaskCanvasPoint(e));
+    maskDragStart = null;
+    if (draft.width > 5 && draft.height > 5) {
+        maskRegions.push({
+            page: dom.maskAllPagesCheckbox.checked ? null : maskPageNumber,
+            x: draft.x / dom.maskCanvas.width,
+            y: draft.y / dom.maskCanvas.height,
+            width: draft.width / dom.maskCanvas.width,
+            height: draft.height / dom.maskCanvas.height,
+        });
+    }
+    drawMaskOverlay();
+}
+
+// Regions set for all pages (page: null) stay; they belong to every page, not just this one.
+function clearMaskPageRegions() {
+    maskRegions = maskRegions.filter(region => region.page !== maskPageNumber);
+    drawMaskOverlay();
+}
+
+function saveMaskProfile() {
+    const issuer = dom.maskIssuerInput.value.trim();
+    const keywords = splitList(dom.maskKeywordsInput.value);
+    if (!issuer || keywords.length === 0) {
+        showMaskStatus('請輸入發卡機構名稱與至少一個辨識關鍵字。', true);
+        return;
+    }
+    const profiles = getPageMaskProfiles();
+    const profile = { id: selectedMaskProfileId || `mask-${crypto.randomUUID()}`, issuer, keywords, regions: maskRegions };
+    const index = profiles.findIndex(p => p.id === profile.id);
+    if (index >= 0) profiles[index] = profile; else profiles.push(profile);
+    savePageMaskProfiles(profiles);
+    selectMaskProfile(profile.id);
+    showMaskStatus('✅ 遮蔽設定已儲存。');
+}
+
+function deleteMaskProfile() {
+    if (!selectedMaskProfileId) return;
+    if (!confirm('確定要刪除此發卡機構的遮蔽設定嗎？')) return;
+    savePageMaskProfiles(getPageMaskProfiles().filter(p => p.id !== selectedMaskProfileId));
+    selectMaskProfile(null);
+    showMaskStatus('遮蔽設定已刪除。');
+}
+
+function changeMaskPage(delta) {
+    if (!samplePdfDoc) return;
+    const next = maskPageNumber + delta;
+    if (next < 1 || next > samplePdfDoc.numPages) return;
+    maskPageNumber = next;
+    renderMaskPage();
+}
+
+// --- Initializers and Event Listeners Setup ---
+
+function initializeTemplateEditor() {
+    initializeDOMElements();
+    Object.assign(dom, {
+        templateList: document.getElementById('template-list'),
+        templateStatus: document.getElementById('template-status'),
+        newTemplateButton: document.getElementById('new-template-button'),
+        importTemplatesButton: document.getElementById('import-templates-button'),
+        importTemplatesInput: document.getElementById('import-templates-input'),
+        exportTemplatesButton: document.getElementById('export-templates-button'),
+        templateForm: document.getElementById('template-form'),
+        templateNameInput: document.getElementById('template-name-input'),
+        templateTypeSelect: document.getElementById('template-type-select'),
+        templateBankInput: document.getElementById('template-bank-input'),
+        templateKeywordsInput: document.getElementById('template-keywords-input'),
+        templateFingerprintInput: document.getElementById('template-fingerprint-input'),
+        templateHeaderFields: document.getElementById('template-header-fields'),
+        templateRowInput: document.getElementById('template-row-input'),
+        templateSkipInput: document.getElementById('template-skip-input'),
+        templateDepositInput: document.getElementById('template-deposit-input'),
+        templateErrors: document.getElementById('template-errors'),
+        testTemplateButton: document.getElementById('test-template-button'),
+        saveTemplateButton: document.getElementById('save-template-button'),
+        deleteTemplateButton: document.getElementById('delete-template-button'),
+        sampleDragArea: document.getElementById('sample-drag-area'),
+        sampleFileInput: document.getElementById('sample-file-input'),
+        sampleFilename: document.getElementById('sample-filename'),
+        sampleRawText: document.getElementById('sample-raw-text'),
+        sampleResult: document.getElementById('sample-result'),
+        maskProfileSelect: document.getElementById('mask-profile-select'),
+        maskIssuerInput: document.getElementById('mask-issuer-input'),
+        maskKeywordsInput: document.getElementById('mask-keywords-input'),
+        maskPrevPageButton: document.getElementById('mask-prev-page-button'),
+        maskNextPageButton: document.getElementById('mask-next-page-button'),
+        maskPageLabel: document.getElementById('mask-page-label'),
+        maskAllPagesCheckbox: document.getElementById('mask-all-pages-checkbox'),
+        clearMaskPageButton: document.getElementById('clear-mask-page-button'),
+        saveMaskProfileButton: document.getElementById('save-mask-profile-button'),
+        deleteMaskProfileButton: document.getElementById('delete-mask-profile-button'),
+        maskStatus: document.getElementById('mask-status'),
+        maskCanvas: document.getElementById('mask-canvas'),
+    });
+
+    startNewTemplate();
+    selectMaskProfile(null);
+
+    dom.templateList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-template-id]');
+        if (button) selectTemplate(button.dataset.templateId);
+    });
+    dom.templateTypeSelect.addEventListener('change', () => renderHeaderFields(dom.templateTypeSelect.value));
+    dom.newTemplateButton.addEventListener('click', startNewTemplate);
+    dom.testTemplateButton.addEventListener('click', testTemplate);
+    dom.deleteTemplateButton.addEventListener('click', deleteTemplate);
+    dom.templateForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveTemplate();
+    });
+
+    dom.exportTemplatesButton.addEventListener('click', exportStatementTemplates);
+    dom.importTemplatesButton.addEventListener('click', () => dom.importTemplatesInput.click());
+    dom.importTemplatesInput.addEventListener('change', (e) => handleImportTemplates(e.target.files[0]));
+
+    dom.sampleDragArea.addEventListener('click', () => dom.sampleFileInput.click());
+    dom.sampleDragArea.addEventListener('dragover', (e) => { e.preventDefault(); dom.sampleDragArea.classList.add('active'); });
+    dom.sampleDragArea.addEventListener('dragleave', () => { dom.sampleDragArea.classList.remove('active'); });
+    dom.sampleDragArea.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dom.sampleDragArea.classList.remove('active');
+        handleSampleFile(e.dataTransfer.files[0]);
+    });
+    dom.sampleFileInput.addEventListener('change', (e) => handleSampleFile(e.target.files[0]));
+
+    dom.maskProfileSelect.addEventListener('change', () => selectMaskProfile(dom.maskProfileSelect.value));
+    dom.maskPrevPageButton.addEventListener('click', () => changeMaskPage(-1));
+    dom.maskNextPageButton.addEventListener('click', () => changeMaskPage(1));
+    dom.clearMaskPageButton.addEventListener('click', clearMaskPageRegions);
+    dom.saveMaskProfileButton.addEventListener('click', saveMaskProfile);
+    dom.deleteMaskProfileButton.addEventListener('click', deleteMaskProfile);
+    dom.maskCanvas.addEventListener('mousedown', (e) => {
+        if (maskPageCanvas) maskDragStart = getMaskCanvasPoint(e);
+    });
+    dom.maskCanvas.addEventListener('mousemove', (e) => {
+        if (maskDragStart) drawMaskOverlay(toDraftRect(maskDragStart, getMaskCanvasPoint(e)));
+    });
+    dom.maskCanvas.addEventListener('mouseup', finishMaskDrag);
+    dom.maskCanvas.addEventListener('mouseleave', finishMaskDrag);
+
+    dom.passwordModalSubmit.addEventListener('click', () => {
+        if (passwordResolver) {
+            passwordResolver(dom.passwordModalInput.value);
+            dom.passwordModal.classList.add('hidden');
+            dom.passwordModalInput.value = '';
+            dom.passwordModalError.classList.add('hidden');
+        }
+    });
+    dom.passwordModalCancel.addEventListener('click', () => {
+        if (passwordResolver) {
+            passwordResolver(null);
+            dom.passwordModal.classList.add('hidden');
+            dom.passwordModalInput.value = '';
+            dom.passwordModalError.classList.add('hidden');
+        }
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    runWhenReady(initializeTemplateEditor);
+});
@@ -0,0 +1,510 @@
+/**
+ * @file transaction-import.js
+ * @description Imports transaction files downloaded from online banking (CSV, OFX / QFX, QIF)
+ * and converts them into the same statement results the AI and template parsers produce, so
+ * they flow through the result cards, saving and the summary page unchanged. CSV files need a
+ * column mapping; the mapping is asked for once in a wizard and remembered per bank. Files with
+ * a header row are recognised by their header, files without one by their column layout.
+ */
+
+// --- Configuration ---
+const IMPORT_FILE_FORMATS = { '.csv': 'csv', '.ofx': 'ofx', '.qfx': 'ofx', '.qif': 'qif' };
+const CSV_IMPORT_MAPPINGS_KEY = 'csvImportMappings';
+const CSV_PREVIEW_ROWS = 5;
+// Card credits whose description matches this are payments towards the card, not refunds.
+const CARD_PAYMENT_PATTERN = /繳款|繳費|自動扣繳|PAYMENT|THANK YOU/i;
+
+/**
+ * @param {File} file - A file dropped on the upload area.
+ * @returns {string|null} 'csv', 'ofx' or 'qif', or null when the file is not an import format.
+ */
+function getImportFormat(file) {
+    const match = file.name.toLowerCase().match(/\.[a-z]+$/);
+    return (match && IMPORT_FILE_FORMATS[match[0]]) || null;
+}
+
+/**
+ * Decodes a downloaded file. Most Taiwanese banks still export Big5, so Big5 is tried when
+ * the bytes are not valid UTF-8.
+ */
+function decodeImportFile(buffer) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (e) {
+        return new TextDecoder('big5').decode(buffer);
+    }
+}
+
+function getFileBaseName(filename) {
+    return filename.replace(/\.[^.]+$/, '');
+}
+
+// --- CSV ---
+
+/**
+ * Splits CSV text into rows of cells, handling quoted cells and detecting the delimiter
+ * (comma, semicolon or tab) from the first line.
+ * @param {string} text - The file contents.
+ * @returns {Array<Array<string>>}
+ */
+function parseCsvText(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ',');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell.trim());
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell.trim());
+            if (row.some(c => c !== '')) rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell.trim());
+    if (row.some(c => c !== '')) rows.push(row);
+    return rows;
+}
+
+function getCsvHeaderSignature(headerRow) {
+    return headerRow.map(cell => cell.replace(/\s+/g, '')).join('|');
+}
+
+function getCsvImportMappings() {
+    try {
+        return JSON.parse(localStorage.getItem(CSV_IMPORT_MAPPINGS_KEY)) || {};
+    } catch (e) {
+        console.error("讀取 CSV 欄位對應設定失敗:", e);
+        return {};
+    }
+}
+
+function saveCsvImportMapping(mapping) {
+    const mappings = getCsvImportMappings();
+    mappings[mapping.bankName] = mapping;
+    localStorage.setItem(CSV_IMPORT_MAPPINGS_KEY, JSON.stringify(mappings));
+}
+
+function getCsvColumnCount(rows) {
+    return Math.max(...rows.slice(0, CSV_PREVIEW_ROWS + 1).map(r => r.length));
+}
+
+/**
+ * Checks that a headerless mapping reads the first rows of a file: same number of columns,
+ * a date in the date column and numbers (or blanks) in the amount columns.
+ */
+function csvMappingFitsRows(mapping, rows) {
+    if (mapping.columnCount !== getCsvColumnCount(rows)) return false;
+    const isAmount = (row, column) => column === null || coerceStatementAmount(row[column]) !== undefined;
+    return rows.slice(0, CSV_PREVIEW_ROWS).every(row =>
+        typeof coerceStatementDate(row[mapping.dateColumn]) === 'string'
+        && isAmount(row, mapping.amountColumn) && isAmount(row, mapping.debitColumn) && isAmount(row, mapping.creditColumn)
+    );
+}
+
+/**
+ * @returns {Array<object>} The saved headerless mappings that can read these rows.
+ */
+function getHeaderlessCsvMappings(rows, statementType) {
+    return Object.values(getCsvImportMappings()).filter(mapping =>
+        mapping.statementType === statementType && !mapping.hasHeader && csvMappingFitsRows(mapping, rows)
+    );
+}
+
+/**
+ * Finds the saved mapping for a file: by header for files with a header row, otherwise the one
+ * headerless mapping that fits its columns. When several banks share a layout, the wizard asks.
+ */
+function findCsvImportMapping(rows, statementType) {
+    const signature = getCsvHeaderSignature(rows[0] || []);
+    const byHeader = Object.values(getCsvImportMappings()).find(mapping =>
+        mapping.statementType === statementType && mapping.hasHeader && mapping.headerSignature === signature
+    );
+    if (byHeader) return byHeader;
+    const headerless = getHeaderlessCsvMappings(rows, statementType);
+    return headerless.length === 1 ? headerless[0] : null;
+}
+
+/**
+ * Converts CSV rows with a column mapping into signed rows, where a negative amount is money
+ * leaving the account (a withdrawal, or a card charge).
+ */
+function applyCsvImportMapping(rows, mapping) {
+    const dataRows = mapping.hasHeader ? rows.slice(1) : rows;
+    const cellAmount = (row, column) => (column === null || column === '' || column === undefined ? null : coerceStatementAmount(row[column]));
+    return dataRows.map(row => {
+        let signedAmount;
+        if (mapping.amountColumn !== null) {
+            const amount = cellAmount(row, mapping.amountColumn);
+            signedAmount = typeof amount === 'number' ? (mapping.invertSign ? -amount : amount) : null;
+        } else {
+            const debit = cellAmount(row, mapping.debitColumn);
+            const credit = cellAmount(row, mapping.creditColumn);
+            signedAmount = (typeof credit === 'number' ? Math.abs(credit) : 0) - (typeof debit === 'number' ? Math.abs(debit) : 0);
+            if (typeof debit !== 'number' && typeof credit !== 'number') signedAmount = null;
+        }
+        return {
+            date: row[mapping.dateColumn] || '',
+            description: row[mapping.descriptionColumn] || '',
+            category: mapping.categoryColumn !== null ? row[mapping.categoryColumn] || '' : '',
+            signedAmount,
+        };
+    }).filter(row => row.date && typeof row.signedAmount === 'number' && row.signedAmount !== 0);
+}
+
+// --- CSV Mapping Wizard ---
+
+function getCsvMappingModal() {
+    let modal = document.getElementById('csv-mapping-modal');
+    if (modal) return modal;
+
+    modal = document.createElement('div');
+    modal.id = 'csv-mapping-modal';
+    modal.className = 'hidden fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
+    modal.innerHTML = `
+        <div class="relative top-10 mx-auto p-5 border w-11/12 max-w-4xl shadow-lg rounded-md bg-white">
+            <h3 class="text-lg font-medium text-gray-900 mb-1">CSV 欄位對應</h3>
+            <p class="text-sm text-gray-500 mb-3">請指定 <strong id="csv-mapping-filename"></strong> 各欄位的意義；設定會依銀行記住，下次匯入相同格式時自動套用。</p>
+            <div class="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+                <label class="col-span-2 md:col-span-4 hidden">套用已儲存的銀行設定<select id="csv-mapping-saved" class="w-full p-2 border border-gray-300 rounded-md"></select></label>
+                <label>銀行名稱<input type="text" id="csv-mapping-bank" class="w-full p-2 border border-gray-300 rounded-md"></label>
+                <label>帳號 (選填)<input type="text" id="csv-mapping-account" class="w-full p-2 border border-gray-300 rounded-md"></label>
+                <label class="flex items-end gap-1 pb-2"><input type="checkbox" id="csv-mapping-has-header" checked> 第一列為標題</label>
+                <label class="flex items-end gap-1 pb-2"><input type="checkbox" id="csv-mapping-invert"> 反轉金額正負號</label>
+                <label>日期<select id="csv-mapping-date" class="w-full p-2 border border-gray-300 rounded-md"></select></label>
+                <label>說明<select id="csv-mapping-description" class="w-full p-2 border border-gray-300 rounded-md"></select></label>
+                <label>分類 (選填)<select id="csv-mapping-category" class="w-full p-2 border border-gray-300 rounded-md"></select></label>
+                <label>金額 (單一欄位)<select id="csv-mapping-amount" class="w-full p-2 border border-gray-300 rounded-md"></select></label>
+                <label>支出欄 (未選金額時)<select id="csv-mapping-debit" class="w-full p-2 border border-gray-300 rounded-md"></select></label>
+                <label>存入欄 (未選金額時)<select id="csv-mapping-credit" class="w-full p-2 border border-gray-300 rounded-md"></select></label>
+            </div>
+            <p id="csv-mapping-hint" class="text-xs text-gray-500 mt-2"></p>
+            <div class="overflow-x-auto mt-3"><table id="csv-mapping-preview" class="min-w-full text-xs border"></table></div>
+            <p id="csv-mapping-error" class="text-red-500 text-sm mt-2 hidden"></p>
+            <div class="flex justify-end gap-2 mt-3">
+                <button id="csv-mapping-cancel" class="bg-gray-500 text-white px-4 py-2 rounded-md hover:bg-gray-600">取消匯入</button>
+                <button id="csv-mapping-confirm" class="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700">匯入</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    return modal;
+}
+
+function guessCsvColumn(headerRow, pattern) {
+    const index = headerRow.findIndex(cell => pattern.test(cell));
+    return index === -1 ? '' : String(index);
+}
+
+/**
+ * Asks the user how to read a CSV file.
+ * @param {Array<Array<string>>} rows - The parsed CSV.
+ * @param {string} filename - Shown in the dialog and used as the default bank name.
+ * @param {string} statementType - 'creditCard' or 'bankStatement'.
+ * @param {Array<object>} [savedMappings] - Headerless mappings that fit the file, offered for reuse.
+ * @returns {Promise<object|null>} The mapping, or null when cancelled.
+ */
+function promptForCsvMapping(rows, filename, statementType, savedMappings = []) {
+    return new Promise(resolve => {
+        const modal = getCsvMappingModal();
+        const $ = (id) => modal.querySelector(`#${id}`);
+        const header = rows[0] || [];
+        const columnCount = getCsvColumnCount(rows);
+        const optionsHtml = (allowEmpty) => (allowEmpty ? '<option value="">(無)</option>' : '') +
+            Array.from({ length: columnCount }, (_, i) => `<option value="${i}">第 ${i + 1} 欄${header[i] ? `：${escapeHtml(header[i])}` : ''}</option>`).join('');
+
+        $('csv-mapping-filename').textContent = filename;
+        $('csv-mapping-bank').value = getFileBaseName(filename);
+        $('csv-mapping-account').value = '';
+        $('csv-mapping-account').parentElement.classList.toggle('hidden', statementType !== 'bankStatement');
+        $('csv-mapping-has-header').checked = true;
+        // Card exports usually list charges as positive numbers; bank exports list withdrawals as negative.
+        $('csv-mapping-invert').checked = statementType === 'creditCard';
+        $('csv-mapping-hint').textContent = statementType === 'creditCard'
+            ? '單一金額欄位：未反轉時，負數為消費、正數為退款或繳款。'
+            : '單一金額欄位：未反轉時，負數為支出、正數為存入。';
+        $('csv-mapping-date').innerHTML = optionsHtml(false);
+        $('csv-mapping-description').innerHTML = optionsHtml(false);
+        ['category', 'amount', 'debit', 'credit'].forEach(key => { $(`csv-mapping-${key}`).innerHTML = optionsHtml(true); });
+        $('csv-mapping-date').value = guessCsvColumn(header, /日期|date/i) || '0';
+        $('csv-mapping-description').value = guessCsvColumn(header, /摘要|說明|備註|商店|description|payee|memo/i) || '1';
+        $('csv-mapping-category').value = guessCsvColumn(header, /分類|類別|category/i);
+        $('csv-mapping-debit').value = guessCsvColumn(header, /支出|提款|debit|withdrawal/i);
+        $('csv-mapping-credit').value = guessCsvColumn(header, /存入|收入|credit|deposit/i);
+        $('csv-mapping-amount').value = $('csv-mapping-debit').value || $('csv-mapping-credit').value ? '' : guessCsvColumn(header, /金額|amount/i);
+        $('csv-mapping-preview').innerHTML = rows.slice(0, CSV_PREVIEW_ROWS + 1).map(row =>
+            `<tr>${Array.from({ length: columnCount }, (_, i) => `<td class="border px-2 py-1 whitespace-nowrap">${escapeHtml(row[i])}</td>`).join('')}</tr>`
+        ).join('');
+        $('csv-mapping-saved').innerHTML = '<option value="">(新的設定)</option>' +
+            savedMappings.map((mapping, i) => `<option value="${i}">${escapeHtml(mapping.bankName)}${mapping.accountNumber ? ` (${escapeHtml(mapping.accountNumber)})` : ''}</option>`).join('');
+        $('csv-mapping-saved').parentElement.classList.toggle('hidden', savedMappings.length === 0);
+        $('csv-mapping-error').classList.add('hidden');
+        modal.classList.remove('hidden');
+
+        const columnValue = (value) => (value === null || value === undefined ? '' : String(value));
+        const onSavedChange = () => {
+            const mapping = savedMappings[$('csv-mapping-saved').value];
+            if (!mapping) return;
+            $('csv-mapping-bank').value = mapping.bankName;
+            $('csv-mapping-account').value = mapping.accountNumber || '';
+            $('csv-mapping-has-header').checked = mapping.hasHeader;
+            $('csv-mapping-invert').checked = mapping.invertSign;
+            ['date', 'description', 'category', 'amount', 'debit', 'credit'].forEach(key => {
+                $(`csv-mapping-${key}`).value = columnValue(mapping[`${key}Column`]);
+            });
+        };
+        const column = (id) => ($(id).value === '' ? null : parseInt($(id).value, 10));
+        const finish = (mapping) => {
+            modal.classList.add('hidden');
+            confirmButton.removeEventListener('click', onConfirm);
+            cancelButton.removeEventListener('click', onCancel);
+            $('csv-mapping-saved').removeEventListener('change', onSavedChange);
+            resolve(mapping);
+        };
+        const onConfirm = () => {
+            const mapping = {
+                bankName: $('csv-mapping-bank').value.trim(),
+                accountNumber: $('csv-mapping-account').value.trim() || null,
+                statementType,
+                hasHeader: $('csv-mapping-has-header').checked,
+                headerSignature: getCsvHeaderSignature(header),
+                columnCount,
+                dateColumn: column('csv-mapping-date'),
+                descriptionColumn: column('csv-mapping-description'),
+                categoryColumn: column('csv-mapping-category'),
+                amountColumn: column('csv-mapping-amount'),
+                debitColumn: column('csv-mapping-debit'),
+                creditColumn: column('csv-mapping-credit'),
+                invertSign: $('csv-mapping-invert').checked,
+            };
+            let error = null;
+            if (!mapping.bankName) error = '請輸入銀行名稱。';
+            else if (mapping.amountColumn === null && mapping.debitColumn === null && mapping.creditColumn === null) error = '請選擇金額欄位，或支出 / 存入欄位。';
+            if (error) {
+                $('csv-mapping-error').textContent = error;
+                $('csv-mapping-error').classList.remove('hidden');
+                return;
+            }
+            finish(mapping);
+        };
+        const onCancel = () => finish(null);
+        const confirmButton = $('csv-mapping-confirm');
+        const cancelButton = $('csv-mapping-cancel');
+        confirmButton.addEventListener('click', onConfirm);
+        cancelButton.addEventListener('click', onCancel);
+        $('csv-mapping-saved').addEventListener('change', onSavedChange);
+    });
+}
+
+// --- OFX / QFX ---
+
+function getOfxValue(block, tag) {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : null;
+}
+
+function parseOfxDate(value) {
+    const match = value && value.match(/^(\d{4})(\d{2})(\d{2})/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Reads an OFX 1.x (SGML) or 2.x (XML) bank or credit card statement. Only the tags the
+ * statement results need are read, so unclosed SGML tags are not a problem.
+ */
+function parseOfxText(text) {
+    const isCreditCard = /<CCSTMTRS>/i.test(text);
+    const transactions = [...text.matchAll(/<STMTTRN>([\s\S]*?)(?:<\/STMTTRN>|(?=<STMTTRN>)|(?=<\/BANKTRANLIST>))/gi)].map(match => {
+        const block = match[1];
+        const name = getOfxValue(block, 'NAME');
+        const memo = getOfxValue(block, 'MEMO');
+        return {
+            date: parseOfxDate(getOfxValue(block, 'DTPOSTED')),
+            description: [name, memo].filter(Boolean).filter((v, i, all) => all.indexOf(v) === i).join(' ') || getOfxValue(block, 'TRNTYPE') || '',
+            category: '',
+            signedAmount: coerceStatementAmount(getOfxValue(block, 'TRNAMT')),
+        };
+    }).filter(row => row.date && typeof row.signedAmount === 'number');
+
+    const ledgerBlock = (text.match(/<LEDGERBAL>([\s\S]*?)(?:<\/LEDGERBAL>|<AVAILBAL>|$)/i) || [])[1] || '';
+    const balance = coerceStatementAmount(getOfxValue(ledgerBlock, 'BALAMT'));
+    return {
+        statementType: isCreditCard ? 'creditCard' : 'bankStatement',
+        bankName: getOfxValue(text, 'ORG') || getOfxValue(text, 'BANKID'),
+        accountNumber: getOfxValue(text, 'ACCTID'),
+        startDate: parseOfxDate(getOfxValue(text, 'DTSTART')),
+        endDate: parseOfxDate(getOfxValue(text, 'DTEND')),
+        balance: typeof balance === 'number' ? balance : null,
+        rows: transactions,
+    };
+}
+
+// --- QIF ---
+
+/**
+ * QIF dates are written by US software as M/D/YY, M/D'YY or M/D/YYYY; ISO-like dates are
+ * also accepted.
+ */
+function parseQifDate(value) {
+    const text = (value || '').trim().replace(/\s/g, '');
+    let match = text.match(/^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})$/);
+    if (match) return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})['/.-](\d{2,4})$/);
+    if (!match) return null;
+    const year = match[3].length === 2 ? 2000 + parseInt(match[3], 10) : parseInt(match[3], 10);
+    return `${year}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+}
+
+function parseQifText(text) {
+    const typeMatch = text.match(/^!Type:(\w+)/im);
+    const rows = [];
+    let record = {};
+    text.split(/\r?\n/).forEach(line => {
+        const code = line[0];
+        const value = line.slice(1).trim();
+        if (code === '^') {
+            if (record.date && typeof record.signedAmount === 'number') rows.push({ category: '', description: '', ...record });
+            record = {};
+        } else if (code === 'D') {
+            record.date = parseQifDate(value);
+        } else if (code === 'T' || code === 'U') {
+            record.signedAmount = coerceStatementAmount(value);
+        } else if (code === 'P') {
+            record.description = value;
+        } else if (code === 'M' && !record.description) {
+            record.description = value;
+        } else if (code === 'L' && !value.startsWith('[')) {
+            record.category = value;
+        }
+    });
+    return {
+        statementType: typeMatch && /ccard/i.test(typeMatch[1]) ? 'creditCard' : 'bankStatement',
+        rows,
+    };
+}
+
+// --- Conversion ---
+
+/**
+ * Normalises the row dates to YYYY-MM-DD before sorting, so "2024/9/30", ROC and MM/DD dates
+ * order correctly. Dates that cannot be read are kept as they are for validation to report.
+ * @param {Array<object>} rows - Signed rows.
+ * @param {string|null} referenceDate - Gives MM/DD dates their year.
+ */
+function sortImportedRows(rows, referenceDate = null) {
+    return rows
+        .map(row => ({ ...row, date: coerceStatementDate(row.date, referenceDate) || row.date }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Builds a statement result from signed rows (negative = money out of the account).
+ * @param {string} statementType - 'creditCard' or 'bankStatement'.
+ * @param {object} source - { bankName, accountNumber, startDate, endDate, balance, rows }
+ * @param {string} hash - The file hash, used as billHash.
+ * @returns {object} The validated result.
+ */
+function buildImportedResult(statementType, source, hash) {
+    const rows = sortImportedRows(source.rows, source.endDate || null);
+    if (rows.length === 0) throw new Error('檔案中沒有可匯入的交易。');
+    const toItem = (row, amount) => ({
+        date: row.date,
+        description: row.description,
+        amount,
+        category: row.category || '其他',
+    });
+    const startDate = source.startDate || rows[0].date;
+    const endDate = source.endDate || rows[rows.length - 1].date;
+
+    let result;
+    if (statementType === 'bankStatement') {
+        result = {
+            bankName: source.bankName,
+            billHash: hash,
+            accountName: null,
+            accountNumber: source.accountNumber || null,
+            statementDate: endDate,
+            statementPeriod: { startDate, endDate },
+            endingBalance: source.balance,
+            withdrawals: rows.filter(row => row.signedAmount < 0).map(row => toItem(row, -row.signedAmount)),
+            deposits: rows.filter(row => row.signedAmount > 0).map(row => toItem(row, row.signedAmount)),
+        };
+    } else {
+        const payments = rows.filter(row => row.signedAmount > 0 && CARD_PAYMENT_PATTERN.test(row.description));
+        result = {
+            bankName: source.bankName,
+            billHash: hash,
+            statementDate: endDate,
+            dueDate: null,
+            paymentAmount: payments.length > 0 ? payments.reduce((sum, row) => sum + row.signedAmount, 0) : null,
+            // Card balances are reported as negative amounts owed.
+            totalAmount: typeof source.balance === 'number' ? -source.balance : null,
+            transactions: rows.filter(row => !payments.includes(row)).map(row => ({
+                ...toItem(row, -row.signedAmount),
+                foreignAmount: null,
+                foreignCurrency: null,
+            })),
+            rewards: [],
+        };
+    }
+
+    const { result: validated, errors } = validateStatementResult(result, statementType);
+    if (errors.length > 0) throw new Error(`匯入的資料有誤：${errors.slice(0, 3).join(' ')}`);
+    return validated;
+}
+
+/**
+ * Reads a CSV / OFX / QIF file and converts it into a statement result for the given page.
+ * @param {File} file - The downloaded file.
+ * @param {string} statementType - 'creditCard' or 'bankStatement'.
+ * @returns {Promise<object>} The statement result.
+ */
+async function importTransactionFile(file, statementType) {
+    const buffer = await readFileAsArrayBuffer(file);
+    const hash = await calculateFileHash(buffer);
+    const text = decodeImportFile(buffer);
+    const format = getImportFormat(file);
+    const typeLabel = statementType === 'creditCard' ? '信用卡' : '銀行帳戶';
+
+    if (format === 'csv') {
+        const rows = parseCsvText(text);
+        if (rows.length === 0) throw new Error('CSV 檔案是空的。');
+        let mapping = findCsvImportMapping(rows, statementType);
+        if (!mapping) {
+            mapping = await promptForCsvMapping(rows, file.name, statementType, getHeaderlessCsvMappings(rows, statementType));
+            if (!mapping) throw new Error('使用者取消匯入');
+            saveCsvImportMapping(mapping);
+        }
+        return buildImportedResult(statementType, {
+            bankName: mapping.bankName,
+            accountNumber: mapping.accountNumber,
+            balance: null,
+            rows: applyCsvImportMapping(rows, mapping),
+        }, hash);
+    }
+
+    const source = format === 'ofx' ? parseOfxText(text) : parseQifText(text);
+    if (source.statementType !== statementType) {
+        throw new Error(`此檔案是${source.statementType === 'creditCard' ? '信用卡' : '銀行帳戶'}資料，請至對應頁面匯入，而非${typeLabel}頁面。`);
+    }
+    return buildImportedResult(statementType, { ...source, bankName: source.bankName || getFileBaseName(file.name) }, hash);
+}